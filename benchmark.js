@@ -0,0 +1,233 @@
+/**
+ * ===========================================
+ * Benchmark Scene
+ * Stress test for collisions and entity churn
+ * ===========================================
+ *
+ * Runs a headless, oversized wave with constant fire from both
+ * sides and reports simulation frame times and garbage collection,
+ * then compares the spatial hash broad phase with brute-force
+ * collision checks and pooled with freshly allocated particles.
+ *
+ * Run with: npm run bench
+ */
+
+import { PerformanceObserver, performance } from 'perf_hooks';
+import { CONFIG, TICK, GameSimulation, rectCollision } from './simulation.js';
+import { Renderer, Particle } from './renderer.js';
+import { SpatialHash } from './spatial.js';
+import { Pool, compactActive } from './pool.js';
+
+const SCENE = {
+    seed: 0xBE4C4,
+    ticks: 3600,            // One minute of game time
+    rows: 12,
+    cols: 22,
+    enemyShootRate: 0.5     // Shots/s per enemy
+};
+
+// Garbage collections seen while a section runs
+let gcCount = 0;
+let gcTime = 0;
+new PerformanceObserver(list => {
+    for (const entry of list.getEntries()) {
+        gcCount++;
+        gcTime += entry.duration;
+    }
+}).observe({ entryTypes: ['gc'] });
+
+/**
+ * Let pending GC entries arrive, then reset the counters
+ */
+async function settle() {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    gcCount = 0;
+    gcTime = 0;
+}
+
+async function gcStats() {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return `${gcCount} GCs, ${gcTime.toFixed(1)} ms paused`;
+}
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function formatMs(ms) {
+    return `${ms.toFixed(3)} ms`;
+}
+
+// ============================================
+// Stress Scene
+// ============================================
+
+/**
+ * Oversized playfield and wave so the collision and cleanup paths dominate
+ */
+function configureScene() {
+    CONFIG.canvas.width = 1400;
+    CONFIG.canvas.height = 1000;
+    CONFIG.enemy.rows = SCENE.rows;
+    CONFIG.enemy.cols = SCENE.cols;
+    CONFIG.enemy.shootRate = SCENE.enemyShootRate;
+    CONFIG.player.lives = Infinity;
+}
+
+async function runScene() {
+    const sim = new GameSimulation(SCENE.seed);
+    const renderer = new Renderer(null);
+    
+    // Keep the ship invulnerable: losing it would clear the enemy fire
+    // and freeze the wave, taking the load off the scene
+    sim.player.invincible = Infinity;
+    const frameTimes = [];
+    let peakEntities = 0;
+    
+    await settle();
+    for (let tick = 0; tick < SCENE.ticks; tick++) {
+        // Sweep across the wave with the spread gun, firing every tick
+        sim.input.left = tick % 240 < 120;
+        sim.input.right = !sim.input.left;
+        sim.input.fire = true;
+        if (sim.currentWeapon !== 'spread') sim.collectWeapon('spread');
+        
+        const start = performance.now();
+        sim.step(TICK);
+        for (const event of sim.drainEvents()) {
+            if (event.type === 'explosion') renderer.explode(event.x, event.y, event.colors);
+        }
+        renderer.update(TICK);
+        frameTimes.push(performance.now() - start);
+        
+        if (sim.status === 'levelComplete') sim.startNextLevel();
+        if (sim.status === 'gameOver') {
+            sim.reset(SCENE.seed);
+            sim.player.invincible = Infinity;
+        }
+        
+        peakEntities = Math.max(peakEntities,
+            sim.playerProjectiles.length + sim.enemyProjectiles.length + renderer.particles.length);
+    }
+    
+    frameTimes.sort((a, b) => a - b);
+    const mean = frameTimes.reduce((a, b) => a + b, 0) / frameTimes.length;
+    console.log(`Stress scene: ${SCENE.rows * SCENE.cols} enemies, ${SCENE.ticks} ticks`);
+    console.log(`  tick mean ${formatMs(mean)}, p95 ${formatMs(percentile(frameTimes, 0.95))}, ` +
+        `p99 ${formatMs(percentile(frameTimes, 0.99))}, max ${formatMs(frameTimes[frameTimes.length - 1])}`);
+    console.log(`  peak ${peakEntities} projectiles and particles, ` +
+        `${sim.projectilePool.created} projectiles and ${renderer.particlePool.created} particles allocated`);
+    console.log(`  ${await gcStats()}`);
+}
+
+// ============================================
+// Broad Phase Comparison
+// ============================================
+
+/**
+ * Count overlapping shot/enemy pairs by testing every combination
+ */
+function bruteForcePairs(projectiles, enemies) {
+    let hits = 0;
+    for (const proj of projectiles) {
+        for (const enemy of enemies) {
+            if (rectCollision(proj, enemy)) hits++;
+        }
+    }
+    return hits;
+}
+
+function spatialHashPairs(grid, projectiles, enemies) {
+    let hits = 0;
+    grid.clear();
+    for (const enemy of enemies) grid.insert(enemy);
+    for (const proj of projectiles) {
+        for (const enemy of grid.query(proj)) {
+            if (rectCollision(proj, enemy)) hits++;
+        }
+    }
+    return hits;
+}
+
+function timeRepeated(fn, repeats) {
+    const start = performance.now();
+    let result = 0;
+    for (let i = 0; i < repeats; i++) result = fn();
+    return { result, ms: (performance.now() - start) / repeats };
+}
+
+function compareBroadPhase() {
+    const sim = new GameSimulation(SCENE.seed);
+    
+    // A wall of shots spread over the wave
+    const projectiles = [];
+    for (let i = 0; i < 400; i++) {
+        projectiles.push(sim.createProjectile(
+            sim.rng.int(CONFIG.canvas.width), sim.rng.int(CONFIG.canvas.height / 2), 0, '#fff', 'player'
+        ));
+    }
+    
+    const grid = new SpatialHash(CONFIG.collision.cellSize);
+    const repeats = 200;
+    const brute = timeRepeated(() => bruteForcePairs(projectiles, sim.enemies), repeats);
+    const hashed = timeRepeated(() => spatialHashPairs(grid, projectiles, sim.enemies), repeats);
+    
+    console.log(`Broad phase: ${projectiles.length} shots vs ${sim.enemies.length} enemies`);
+    console.log(`  brute force  ${formatMs(brute.ms)} per pass (${brute.result} hits)`);
+    console.log(`  spatial hash ${formatMs(hashed.ms)} per pass (${hashed.result} hits), ` +
+        `${(brute.ms / hashed.ms).toFixed(1)}x faster`);
+}
+
+// ============================================
+// Pooling Comparison
+// ============================================
+
+/**
+ * Churn explosion particles the way the renderer used to (allocate and
+ * filter) and the way it does now (pool and compact in place)
+ */
+async function comparePooling() {
+    const bursts = 6000;
+    
+    await settle();
+    let particles = [];
+    let start = performance.now();
+    for (let i = 0; i < bursts; i++) {
+        for (let j = 0; j < 20; j++) particles.push(new Particle(300, 200, '#fff'));
+        for (const particle of particles) particle.update(TICK);
+        particles = particles.filter(p => p.active);
+    }
+    const allocMs = performance.now() - start;
+    const allocGc = await gcStats();
+    
+    await settle();
+    const pool = new Pool(() => new Particle());
+    particles = [];
+    start = performance.now();
+    for (let i = 0; i < bursts; i++) {
+        for (let j = 0; j < 20; j++) particles.push(pool.acquire().init(300, 200, '#fff'));
+        for (const particle of particles) particle.update(TICK);
+        compactActive(particles, pool);
+    }
+    const pooledMs = performance.now() - start;
+    const pooledGc = await gcStats();
+    
+    console.log(`Particles: ${bursts} bursts of 20`);
+    console.log(`  allocate + filter ${allocMs.toFixed(1)} ms, ${allocGc}`);
+    console.log(`  pool + compact    ${pooledMs.toFixed(1)} ms, ${pooledGc} (${pool.created} allocated)`);
+}
+
+// ============================================
+// Run
+// ============================================
+
+console.log('\n⏱  Space Invaders Benchmark\n');
+console.log('================================\n');
+
+configureScene();
+await runScene();
+console.log('');
+compareBroadPhase();
+console.log('');
+await comparePooling();
+console.log('');
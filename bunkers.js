@@ -0,0 +1,199 @@
+/**
+ * ===========================================
+ * Bunker Module
+ * Destructible shields made of small cells
+ * ===========================================
+ *
+ * A bunker is a grid of solid or empty cells stamped from an ASCII
+ * shape. Shots from either side knock a ragged chunk out where
+ * they land, and invaders that reach a bunker grind away every
+ * cell they touch. Damage uses the simulation's seeded RNG, so it
+ * replays exactly.
+ */
+
+// Bunker outlines, one string per row: '#' is solid, anything else empty
+const BUNKER_SHAPES = {
+    classic: [
+        '    ##############    ',
+        '   ################   ',
+        '  ##################  ',
+        ' #################### ',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '#######        #######',
+        '######          ######',
+        '######          ######',
+        '######          ######'
+    ],
+    pillar: [
+        '  ########  ',
+        ' ########## ',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '####    ####',
+        '###      ###',
+        '###      ###'
+    ],
+    wall: [
+        ' ############################ ',
+        '##############################',
+        '##############################',
+        '##############################',
+        '##############################',
+        ' ############################ '
+    ]
+};
+
+class Bunker {
+    /**
+     * `shape` is an array of row strings (see BUNKER_SHAPES);
+     * `cellSize` is the side of one cell in pixels.
+     */
+    constructor(x, y, shape, cellSize) {
+        this.x = x;
+        this.y = y;
+        this.cellSize = cellSize;
+        this.cols = Math.max(...shape.map(row => row.length));
+        this.rows = shape.length;
+        this.width = this.cols * cellSize;
+        this.height = this.rows * cellSize;
+
+        this.cells = new Uint8Array(this.cols * this.rows);
+        this.remaining = 0;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col] === '#') {
+                    this.cells[row * this.cols + col] = 1;
+                    this.remaining++;
+                }
+            }
+        }
+
+        // Bumped on every change, so the renderer knows to redraw
+        this.revision = 0;
+    }
+
+    get destroyed() {
+        return this.remaining === 0;
+    }
+
+    isSolid(col, row) {
+        return col >= 0 && col < this.cols && row >= 0 && row < this.rows &&
+            this.cells[row * this.cols + col] === 1;
+    }
+
+    /**
+     * Column and row range covered by a rect, clamped to the grid.
+     * Null when the rect misses the bunker entirely.
+     */
+    cellRange(rect) {
+        const size = this.cellSize;
+        const col0 = Math.max(0, Math.floor((rect.x - this.x) / size));
+        const col1 = Math.min(this.cols - 1, Math.ceil((rect.x + rect.width - this.x) / size) - 1);
+        const row0 = Math.max(0, Math.floor((rect.y - this.y) / size));
+        const row1 = Math.min(this.rows - 1, Math.ceil((rect.y + rect.height - this.y) / size) - 1);
+        if (col0 > col1 || row0 > row1) return null;
+        return { col0, col1, row0, row1 };
+    }
+
+    /**
+     * First solid cell a projectile touches, searching from the side
+     * it travels in from: the bottom for shots moving up (`fromBelow`),
+     * otherwise the top. Returns { col, row } or null.
+     */
+    impactCell(rect, fromBelow) {
+        const range = this.cellRange(rect);
+        if (!range) return null;
+
+        const { col0, col1, row0, row1 } = range;
+        const step = fromBelow ? -1 : 1;
+        for (let row = fromBelow ? row1 : row0; row >= row0 && row <= row1; row += step) {
+            for (let col = col0; col <= col1; col++) {
+                if (this.isSolid(col, row)) return { col, row };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Knock a ragged hole around a cell: the cell itself always goes,
+     * neighbours within `radius` cells each go with probability `chance`.
+     * Returns the number of cells removed.
+     */
+    chip(col, row, radius, chance, rng) {
+        let removed = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                if (!this.isSolid(col + dx, row + dy)) continue;
+
+                const center = dx === 0 && dy === 0;
+                if (center || rng.chance(chance)) {
+                    this.clearCell(col + dx, row + dy);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every cell a rect overlaps (an invader pushing through).
+     * Returns the number of cells removed.
+     */
+    erode(rect) {
+        const range = this.cellRange(rect);
+        if (!range) return 0;
+
+        let removed = 0;
+        for (let row = range.row0; row <= range.row1; row++) {
+            for (let col = range.col0; col <= range.col1; col++) {
+                if (this.isSolid(col, row)) {
+                    this.clearCell(col, row);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    clearCell(col, row) {
+        this.cells[row * this.cols + col] = 0;
+        this.remaining--;
+        this.revision++;
+    }
+}
+
+/**
+ * Bunkers for one level from a layout ({ count, shape }), spread
+ * evenly across the width with their tops at `y`.
+ */
+function createBunkers(layout, canvasWidth, y, cellSize) {
+    const bunkers = [];
+    const shape = BUNKER_SHAPES[layout.shape] || BUNKER_SHAPES.classic;
+    const width = Math.max(...shape.map(row => row.length)) * cellSize;
+    const gap = canvasWidth / layout.count;
+
+    for (let i = 0; i < layout.count; i++) {
+        const x = Math.round(gap * (i + 0.5) - width / 2);
+        bunkers.push(new Bunker(x, y, shape, cellSize));
+    }
+    return bunkers;
+}
+
+export { Bunker, BUNKER_SHAPES, createBunkers };
@@ -0,0 +1,117 @@
+/**
+ * ===========================================
+ * Daily Challenge
+ * A shared run for each calendar day
+ * ===========================================
+ *
+ * Every day has one challenge, the same for every player: a Waves
+ * run on Normal from a seed derived from the date, with two or three
+ * rule modifiers picked by that seed. A modifier overrides parts of
+ * CONFIG for the run much like a difficulty preset does (see
+ * difficulty.js), except that its overrides are worked out from the
+ * config it is laid over, so "twice as fast" means twice as fast.
+ *
+ * The start screen gives each day one scored attempt; see game.js.
+ */
+
+import { SeededRandom } from './rng.js';
+import { mergeConfig } from './difficulty.js';
+
+// Modifiers a day's challenge picks from
+const CHALLENGE_MODIFIERS = {
+    missilesOnly: {
+        name: 'MISSILES ONLY',
+        description: 'Your ship fires nothing but homing missiles; weapon drops upgrade them',
+        overrides: () => ({ rules: { loadout: 'missile' } })
+    },
+    doubleSpeed: {
+        name: 'DOUBLE ENEMY SPEED',
+        description: 'The invaders march twice as fast',
+        overrides: config => ({ enemy: { speedX: config.enemy.speedX * 2 } })
+    },
+    oneLife: {
+        name: 'ONE LIFE',
+        description: 'A single ship and no spares to start with',
+        overrides: () => ({ player: { lives: 1 } })
+    },
+    heavyFire: {
+        name: 'HEAVY FIRE',
+        description: 'The invaders shoot twice as often',
+        overrides: config => ({
+            enemy: { shootRate: config.enemy.shootRate * 2 },
+            difficulty: { shootRateIncrease: config.difficulty.shootRateIncrease * 2 }
+        })
+    },
+    noCover: {
+        name: 'NO COVER',
+        description: 'No bunkers to hide behind',
+        overrides: () => ({ rules: { bunkers: false } })
+    },
+    noDrops: {
+        name: 'NO DROPS',
+        description: 'Invaders drop no power-ups',
+        overrides: () => ({ rules: { powerUps: false } })
+    }
+};
+
+// Modifiers in a day's challenge
+const MIN_MODIFIERS = 2;
+const MAX_MODIFIERS = 3;
+
+/**
+ * The challenge for a date (local time):
+ * { date: 'YYYY-MM-DD', seed, modifiers: [modifier ids] }
+ */
+function challengeForDate(date = new Date()) {
+    const day = dateKey(date);
+    const seed = hashString(day);
+    
+    // The seed picks the modifiers as well as seeding the run itself
+    const rng = new SeededRandom(seed);
+    const pool = Object.keys(CHALLENGE_MODIFIERS);
+    const count = MIN_MODIFIERS + rng.int(MAX_MODIFIERS - MIN_MODIFIERS + 1);
+    const modifiers = [];
+    while (modifiers.length < count) {
+        modifiers.push(pool.splice(rng.int(pool.length), 1)[0]);
+    }
+    
+    return { date: day, seed, modifiers };
+}
+
+/**
+ * `config` with each modifier's overrides laid over it in turn.
+ * Throws for an unknown modifier.
+ */
+function modifiedConfig(config, modifiers) {
+    return modifiers.reduce((result, id) => {
+        const modifier = CHALLENGE_MODIFIERS[id];
+        if (!modifier) {
+            throw new Error(`Unknown challenge modifier "${id}"`);
+        }
+        return mergeConfig(result, modifier.overrides(result));
+    }, config);
+}
+
+/**
+ * 'YYYY-MM-DD' for a date in local time, so the challenge changes at
+ * the player's midnight
+ */
+function dateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export { CHALLENGE_MODIFIERS, challengeForDate, modifiedConfig, dateKey };
@@ -0,0 +1,118 @@
+/**
+ * ===========================================
+ * Difficulty Module
+ * Selectable rule presets
+ * ===========================================
+ *
+ * A preset overrides parts of CONFIG for a whole run: invader speed,
+ * fire and dives (CONFIG.enemy), how quickly they ramp up from level
+ * to level (CONFIG.difficulty), starting lives and power-up drops.
+ * Anything a preset leaves out keeps its CONFIG value, so Normal -
+ * the game as tuned - overrides nothing.
+ *
+ * Classic Arcade plays by the 1978 rules instead: three lives, no
+ * power-ups, no dives, no boss waves or authored levels, and the
+ * march speeds up as the wave thins out.
+ */
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Presets in the order the start screen lists them
+const DIFFICULTY_PRESETS = {
+    cadet: {
+        name: 'CADET',
+        description: 'Slower invaders, more lives and more power-ups',
+        overrides: {
+            enemy: {
+                speedX: 38,
+                shootRate: 0.04,
+                dropDistance: 16,
+                dive: { rate: 0.06, aim: 0.2 }
+            },
+            difficulty: {
+                speedIncrease: 0.08,
+                shootRateIncrease: 0.012,
+                diveRateIncrease: 0.02,
+                aimIncrease: 0.04
+            },
+            player: { lives: 7 },
+            powerUp: { spawnChance: 0.012 }
+        }
+    },
+    normal: {
+        name: 'NORMAL',
+        description: 'The AI Commander Edition as tuned',
+        overrides: {}
+    },
+    veteran: {
+        name: 'VETERAN',
+        description: 'Faster, deadlier invaders and three lives',
+        overrides: {
+            enemy: {
+                speedX: 60,
+                shootRate: 0.1,
+                dropDistance: 25,
+                dive: { rate: 0.2, aim: 0.6, maxDivers: 4 }
+            },
+            difficulty: {
+                speedIncrease: 0.15,
+                shootRateIncrease: 0.03,
+                diveRateIncrease: 0.06,
+                aimIncrease: 0.1
+            },
+            player: { lives: 3 },
+            powerUp: { spawnChance: 0.005 }
+        }
+    },
+    classic: {
+        name: 'CLASSIC ARCADE',
+        description: 'The 1978 rules: 3 lives, no power-ups, faster as they fall',
+        overrides: {
+            enemy: {
+                speedX: 30,
+                shootRate: 0.08,
+                dropDistance: 25,
+                lastInvaderSpeed: 8,
+                dive: { rate: 0 }
+            },
+            difficulty: {
+                speedIncrease: 0.15,
+                shootRateIncrease: 0.03,
+                diveRateIncrease: 0
+            },
+            player: { lives: 3 },
+            powerUp: { spawnChance: 0 },
+            rules: { bosses: false, authoredLevels: false }
+        }
+    }
+};
+
+/**
+ * `base` (CONFIG) with a preset's overrides laid over it. Nested
+ * sections merge key by key; arrays and other values are replaced.
+ * Throws for an unknown preset.
+ */
+function presetConfig(base, difficulty) {
+    const preset = DIFFICULTY_PRESETS[difficulty];
+    if (!preset) {
+        throw new Error(`Unknown difficulty "${difficulty}"`);
+    }
+    return mergeConfig(base, preset.overrides);
+}
+
+/**
+ * `base` with `overrides` laid over it (also used by challenge.js)
+ */
+function mergeConfig(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        result[key] = isSection(value) && isSection(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+    return result;
+}
+
+function isSection(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, presetConfig, mergeConfig };
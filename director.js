@@ -0,0 +1,122 @@
+/**
+ * ===========================================
+ * Difficulty Director
+ * Adaptive difficulty from player performance
+ * ===========================================
+ *
+ * Every so often (CONFIG.director.interval seconds of play, and
+ * again when a wave is cleared) the director reviews how the player
+ * has done since the last review: accuracy, ships lost, enemy shots
+ * that only just missed and how quickly the wave went down. A player
+ * who is cruising gets faster fire and a faster march and fewer
+ * power-ups; one who is struggling gets the opposite. Each knob is a
+ * multiplier that moves a step per review, within CONFIG.director's
+ * min and max.
+ *
+ * The director only sees what the simulation feeds it, so a run
+ * with it switched on replays exactly like any other.
+ */
+
+class DifficultyDirector {
+    constructor(config, enabled = false) {
+        this.config = config;
+        this.enabled = enabled;
+        
+        // Multipliers on the wave's fire rate, march speed and power-up chance
+        this.fireRate = 1;
+        this.marchSpeed = 1;
+        this.powerUpChance = 1;
+        
+        // Totals at the last review, and near misses since
+        this.last = { shotsFired: 0, shotsHit: 0, shipsLost: 0 };
+        this.nearMisses = 0;
+    }
+    
+    /**
+     * An enemy shot passed close by the ship without hitting it
+     */
+    nearMiss() {
+        this.nearMisses++;
+    }
+    
+    /**
+     * Judge the play since the last review from the run's running
+     * totals (and the wave's clear time in seconds, when one was just
+     * cleared) and move the knobs a step. Returns the adjustment, or
+     * null when switched off, undecided or already at the limits.
+     */
+    review({ shotsFired, shotsHit, shipsLost, clearTime = null }) {
+        const cfg = this.config;
+        const fired = shotsFired - this.last.shotsFired;
+        const hit = shotsHit - this.last.shotsHit;
+        const lost = shipsLost - this.last.shipsLost;
+        const nearMisses = this.nearMisses;
+        this.last = { shotsFired, shotsHit, shipsLost };
+        this.nearMisses = 0;
+        
+        if (!this.enabled) return null;
+        
+        // Positive when the player is doing well, negative when struggling
+        let verdict = 0;
+        const reasons = [];
+        
+        if (fired >= cfg.minShots) {
+            const accuracy = Math.round((hit / fired) * 100);
+            if (accuracy >= cfg.highAccuracy) {
+                verdict++;
+                reasons.push(`${accuracy}% accuracy`);
+            } else if (accuracy <= cfg.lowAccuracy) {
+                verdict--;
+                reasons.push(`${accuracy}% accuracy`);
+            }
+        }
+        if (lost > 0) {
+            verdict -= Math.min(lost, 2);
+            reasons.push(lost === 1 ? '1 ship lost' : `${lost} ships lost`);
+        }
+        if (nearMisses >= cfg.nearMisses) {
+            verdict--;
+            reasons.push(`${nearMisses} near misses`);
+        }
+        if (clearTime !== null) {
+            if (clearTime <= cfg.fastClear) {
+                verdict++;
+                reasons.push(`wave cleared in ${Math.round(clearTime)}s`);
+            } else if (clearTime >= cfg.slowClear) {
+                verdict--;
+                reasons.push(`wave took ${Math.round(clearTime)}s`);
+            }
+        }
+        
+        if (verdict === 0) return null;
+        
+        const direction = Math.sign(verdict);
+        const before = [this.fireRate, this.marchSpeed, this.powerUpChance];
+        this.fireRate = this.nudge(this.fireRate, direction);
+        this.marchSpeed = this.nudge(this.marchSpeed, direction);
+        this.powerUpChance = this.nudge(this.powerUpChance, -direction);
+        
+        const after = [this.fireRate, this.marchSpeed, this.powerUpChance];
+        if (after.every((value, i) => value === before[i])) return null;
+        
+        return {
+            direction: direction > 0 ? 'harder' : 'easier',
+            reasons,
+            fireRate: this.fireRate,
+            marchSpeed: this.marchSpeed,
+            powerUpChance: this.powerUpChance
+        };
+    }
+    
+    /**
+     * A multiplier moved one step up or down, kept within the limits
+     * (rounded so repeated steps don't drift)
+     */
+    nudge(value, direction) {
+        const { step, min, max } = this.config;
+        const moved = Math.round((value + direction * step) * 100) / 100;
+        return Math.max(min, Math.min(max, moved));
+    }
+}
+
+export { DifficultyDirector };
@@ -6,120 +6,62 @@
  * 
  * A complete Space Invaders game with Microsoft Foundry Local
  * LLM integration for dynamic gameplay enhancement.
+ * 
+ * This is the browser side of the game. The rules live in the
+ * headless simulation (simulation.js); this module drives its clock
+ * and wires its events to the renderer, HUD, overlays, sound and
+ * the AI Commander console.
  */
 
 import { llmManager } from './llm.js';
 import { soundManager } from './sound.js';
-
-// ============================================
-// Game Configuration
-// ============================================
-
-const CONFIG = {
-    canvas: {
-        width: 600,
-        height: 500
-    },
-    player: {
-        width: 50,
-        height: 30,
-        speed: 7,           // Slightly faster player
-        color: '#00ff41',
-        lives: 5            // More lives to start
-    },
-    enemy: {
-        width: 40,
-        height: 30,
-        rows: 3,            // Fewer rows (was 4)
-        cols: 7,            // Fewer columns (was 8)
-        padding: 15,        // More space between enemies
-        startY: 60,
-        speedX: 0.8,        // Much slower (was 1.5)
-        dropDistance: 20,   // Smaller drops (was 25)
-        shootChance: 0.001  // Much lower (was 0.003)
-    },
-    projectile: {
-        width: 4,
-        height: 15,
-        playerSpeed: 10,    // Faster player shots (was 8)
-        enemySpeed: 2.5,    // Slower enemy shots (was 4)
-        playerColor: '#00ff41',
-        enemyColor: '#ff0040'
-    },
-    powerUp: {
-        width: 25,
-        height: 25,
-        speed: 2,
-        spawnChance: 0.008,  // Frequent power-ups
-        types: ['spread', 'laser', 'rapid', 'missile', 'shield', 'extraLife', 'bomb', 'bonus'],
-        duration: 8000       // Weapon power-ups last 8 seconds
-    },
-    scoring: {
-        enemyKill: 10,
-        levelBonus: 500,
-        powerUpBonus: 100
-    },
-    difficulty: {
-        speedIncrease: 0.12,        // Gentler scaling (was 0.15)
-        shootChanceIncrease: 0.0003 // Gentler scaling (was 0.0005)
-    },
-    llm: {
-        tauntInterval: 8000,      // Time between taunts (ms)
-        briefingDelay: 2000,       // Delay before showing briefing
-        commentInterval: 15000     // Time between performance comments
-    }
-};
+import { GameSimulation, CONFIG, TICK, WEAPON_TYPES } from './simulation.js';
+import { Renderer } from './renderer.js';
+import { randomSeed, formatSeed, parseSeed } from './rng.js';
+import { InputRecorder, ReplayPlayer, INPUT_BITS, serializeReplay, parseReplay } from './replay.js';
+import { StateMachine, GAME_SCREENS } from './screens.js';
+import { Viewport } from './viewport.js';
+import { loadLevels } from './levels.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS } from './difficulty.js';
+import { DEFAULT_MODE, GAME_MODES } from './modes.js';
+import { CHALLENGE_MODIFIERS, challengeForDate } from './challenge.js';
 
 // ============================================
 // Game State
 // ============================================
 
 const gameState = {
-    // Core state
-    running: false,
-    paused: false,
-    gameOver: false,
-    levelComplete: false,
-    
-    // Score and progress
-    score: 0,
+    // Best score from the leaderboard
     highScore: 0,
-    lives: CONFIG.player.lives,
-    level: 1,
     
-    // Weapon system
-    currentWeapon: 'basic',
-    weaponTimer: null,
+    // Mode and preset picked on the start screen, used for every run until changed
+    mode: DEFAULT_MODE,
+    difficulty: DEFAULT_DIFFICULTY,
+    
+    // Difficulty director on; such runs are unranked
+    adaptive: false,
     
-    // Statistics for AI comments
-    shotsFired: 0,
-    shotsHit: 0,
-    enemiesDefeated: 0,
+    // Today's challenge ({ date, seed, modifiers, ranked }) while
+    // playing it, null for a run on the picked mode and difficulty
+    daily: null,
     
     // Timing
     lastTauntTime: 0,
-    lastCommentTime: 0,
-    
-    // Input state
-    keys: {
-        left: false,
-        right: false,
-        space: false
-    },
-    canShoot: true
+    lastCommentTime: 0
 };
 
-// ============================================
-// Game Objects
-// ============================================
+// Which screen is showing; see screens.js for the allowed transitions
+const flow = new StateMachine('title', GAME_SCREENS);
+
+// The current run - score, lives, level, weapons and every entity
+const sim = new GameSimulation();
+
+// A seed shared through the URL (?seed=1A2B3C4D) replays that exact run
+const fixedSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
 
-let player = null;
-let enemies = [];
-let playerProjectiles = [];
-let enemyProjectiles = [];
-let powerUps = [];
-let particles = [];
-let stars = [];
+// Per-tick input log of the current run, and the finished run's replay
+let recorder = new InputRecorder(sim.seed, sim.difficulty, sim.adaptive, sim.mode, sim.modifiers);
+let lastReplay = null;
 
 // ============================================
 // Canvas Setup
@@ -127,6 +69,7 @@ let stars = [];
 
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
+const gameContainer = document.querySelector('.game-container');
 
 // UI Elements
 const scoreDisplay = document.getElementById('score');
@@ -134,6 +77,11 @@ const highScoreDisplay = document.getElementById('highScore');
 const livesDisplay = document.getElementById('lives');
 const levelDisplay = document.getElementById('level');
 const weaponDisplay = document.getElementById('currentWeapon');
+const weaponMeter = document.getElementById('weaponMeter');
+const weaponMeterFill = document.getElementById('weaponMeterFill');
+const weaponInventory = document.getElementById('weaponInventory');
+const shieldDisplay = document.getElementById('shield');
+const comboDisplay = document.getElementById('combo');
 const aiStatusDisplay = document.getElementById('aiStatus');
 const aiConsole = document.getElementById('aiConsole');
 const aiThinking = document.getElementById('aiThinking');
@@ -142,17 +90,57 @@ const aiThinking = document.getElementById('aiThinking');
 const startScreen = document.getElementById('startScreen');
 const gameOverScreen = document.getElementById('gameOverScreen');
 const levelCompleteScreen = document.getElementById('levelCompleteScreen');
+const briefingScreen = document.getElementById('briefingScreen');
+const briefingTitle = document.getElementById('briefingTitle');
+const briefingText = document.getElementById('briefingText');
+const levelScore = document.getElementById('levelScore');
+const levelBonus = document.getElementById('levelBonus');
 const leaderboardScreen = document.getElementById('leaderboardScreen');
 const startBtn = document.getElementById('startBtn');
+const dailyBtn = document.getElementById('dailyBtn');
+const dailyModifiers = document.getElementById('dailyModifiers');
+const dailyNote = document.getElementById('dailyNote');
 const restartBtn = document.getElementById('restartBtn');
+const menuBtn = document.getElementById('menuBtn');
 const nextLevelBtn = document.getElementById('nextLevelBtn');
+const launchBtn = document.getElementById('launchBtn');
 const showLeaderboardBtn = document.getElementById('showLeaderboardBtn');
 const closeLeaderboardBtn = document.getElementById('closeLeaderboardBtn');
+const dailyBoardBtn = document.getElementById('dailyBoardBtn');
 const saveScoreBtn = document.getElementById('saveScoreBtn');
 const soundToggleBtn = document.getElementById('soundToggleBtn');
+const fullscreenBtn = document.getElementById('fullscreenBtn');
 const playerNameInput = document.getElementById('playerName');
 const nameInputSection = document.getElementById('nameInput');
 const leaderboardList = document.getElementById('leaderboardList');
+const leaderboardTitle = document.getElementById('leaderboardTitle');
+const difficultyBtns = document.querySelectorAll('.difficulty-option[data-difficulty]');
+const difficultyDescription = document.getElementById('difficultyDescription');
+const adaptiveBtn = document.getElementById('adaptiveBtn');
+const adaptiveNote = document.getElementById('adaptiveNote');
+const modeBtns = document.querySelectorAll('.mode-option[data-mode]');
+const modeDescription = document.getElementById('modeDescription');
+const modeHudItems = document.querySelectorAll('.hud-item[data-mode]');
+const survivalTimeDisplay = document.getElementById('survivalTime');
+const timeLeftDisplay = document.getElementById('timeLeft');
+const modeSummary = document.getElementById('modeSummary');
+
+// Replay controls
+const loadReplayBtn = document.getElementById('loadReplayBtn');
+const replayFileInput = document.getElementById('replayFile');
+const watchReplayBtn = document.getElementById('watchReplayBtn');
+const downloadReplayBtn = document.getElementById('downloadReplayBtn');
+const replayControls = document.getElementById('replayControls');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySeek = document.getElementById('replaySeek');
+const replayTime = document.getElementById('replayTime');
+const replayExitBtn = document.getElementById('replayExitBtn');
+const replaySpeedBtns = document.querySelectorAll('.replay-speed');
+
+const renderer = new Renderer(ctx);
+
+// Scales the logical playfield (CONFIG.canvas) to the window and display density
+const viewport = new Viewport(canvas, gameContainer, CONFIG.canvas.width, CONFIG.canvas.height);
 
 // ============================================
 // Leaderboard System
@@ -161,9 +149,38 @@ const leaderboardList = document.getElementById('leaderboardList');
 const LEADERBOARD_KEY = 'spaceInvadersLeaderboard';
 const MAX_LEADERBOARD_ENTRIES = 10;
 
+// Screen to go back to when the leaderboard is closed
+let leaderboardReturn = 'title';
+
+// Day of the daily board picked on the leaderboard from the start
+// screen, or null for the mode and difficulty board
+let leaderboardDay = null;
+
+/**
+ * Day whose daily challenge board is in use: the daily run's, or the
+ * one picked on the leaderboard
+ */
+function dailyBoardDay() {
+    return gameState.daily?.date ?? leaderboardDay;
+}
+
+/**
+ * Each mode and difficulty keeps its own scores, and each day's
+ * challenge its own board; Waves on Normal keeps the original key so
+ * scores from before modes and presets existed stay on its board
+ */
+function leaderboardKey(mode = gameState.mode, difficulty = gameState.difficulty, day = dailyBoardDay()) {
+    if (day) return `${LEADERBOARD_KEY}.daily.${day}`;
+    
+    let key = LEADERBOARD_KEY;
+    if (mode !== DEFAULT_MODE) key += `.${mode}`;
+    if (difficulty !== DEFAULT_DIFFICULTY) key += `.${difficulty}`;
+    return key;
+}
+
 function getLeaderboard() {
     try {
-        const data = localStorage.getItem(LEADERBOARD_KEY);
+        const data = localStorage.getItem(leaderboardKey());
         return data ? JSON.parse(data) : [];
     } catch (e) {
         console.warn('Could not load leaderboard:', e);
@@ -173,18 +190,23 @@ function getLeaderboard() {
 
 function saveLeaderboard(leaderboard) {
     try {
-        localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard));
+        localStorage.setItem(leaderboardKey(), JSON.stringify(leaderboard));
     } catch (e) {
         console.warn('Could not save leaderboard:', e);
     }
 }
 
-function addScore(name, score, level) {
+/**
+ * `stats` adds the mode's own result: seconds survived in Endless,
+ * waves cleared in Time Attack (see modeStats)
+ */
+function addScore(name, score, level, stats = {}) {
     const leaderboard = getLeaderboard();
     const entry = {
         name: name.toUpperCase().substring(0, 10) || 'PILOT',
         score: score,
         level: level,
+        ...stats,
         date: new Date().toISOString()
     };
     
@@ -200,6 +222,16 @@ function addScore(name, score, level) {
 
 function renderLeaderboard(highlightIndex = -1) {
     const leaderboard = getLeaderboard();
+    const board = [DIFFICULTY_PRESETS[gameState.difficulty].name];
+    if (gameState.mode !== DEFAULT_MODE) board.unshift(GAME_MODES[gameState.mode].name);
+    const boardTitle = `${board.join(' - ')} LEADERBOARD`;
+    const day = dailyBoardDay();
+    leaderboardTitle.textContent = day ? `DAILY CHALLENGE ${day} LEADERBOARD` : boardTitle;
+    
+    // The start screen can switch between its board and today's
+    // challenge; a daily run only has the one
+    dailyBoardBtn.classList.toggle('hidden', leaderboardReturn !== 'title');
+    dailyBoardBtn.textContent = leaderboardDay ? boardTitle : 'DAILY CHALLENGE';
     
     if (leaderboard.length === 0) {
         leaderboardList.innerHTML = '<p class="no-scores">No scores yet! Be the first!</p>';
@@ -214,7 +246,7 @@ function renderLeaderboard(highlightIndex = -1) {
                 <span class="leaderboard-rank">#${index + 1}</span>
                 <span class="leaderboard-name">${entry.name}</span>
                 <span class="leaderboard-score">${entry.score}</span>
-                <span class="leaderboard-level">LV${entry.level}</span>
+                <span class="leaderboard-level">${leaderboardResult(entry)}</span>
             </div>
         `;
     });
@@ -222,837 +254,396 @@ function renderLeaderboard(highlightIndex = -1) {
     leaderboardList.innerHTML = html;
 }
 
+/**
+ * Last column of a leaderboard entry: the level reached, or the time
+ * survived in Endless and waves cleared in Time Attack
+ */
+function leaderboardResult(entry) {
+    if (dailyBoardDay()) return `LV${entry.level}`;
+    
+    switch (gameState.mode) {
+        case 'endless':
+            return formatClock(entry.time ?? 0);
+        case 'timeAttack':
+            return `${entry.waves ?? 0}W`;
+        default:
+            return `LV${entry.level}`;
+    }
+}
+
 function showLeaderboard(highlightIndex = -1) {
-    renderLeaderboard(highlightIndex);
-    leaderboardScreen.classList.remove('hidden');
+    // Opening the scores mid-run pauses it first
+    if (flow.is('playing')) flow.transition('paused');
+    flow.transition('leaderboard', { highlightIndex });
 }
 
 function hideLeaderboard() {
-    leaderboardScreen.classList.add('hidden');
+    flow.transition(leaderboardReturn);
+}
+
+/**
+ * Swap the start screen's leaderboard between the selected mode and
+ * difficulty's board and today's daily challenge board
+ */
+function toggleDailyBoard() {
+    leaderboardDay = leaderboardDay ? null : challengeForDate().date;
+    renderLeaderboard();
 }
 
 // ============================================
-// Player Class
+// Simulation Events
 // ============================================
 
-class Player {
-    constructor() {
-        this.width = CONFIG.player.width;
-        this.height = CONFIG.player.height;
-        this.x = (CONFIG.canvas.width - this.width) / 2;
-        this.y = CONFIG.canvas.height - this.height - 20;
-        this.speed = CONFIG.player.speed;
-        this.color = CONFIG.player.color;
-    }
-    
-    update() {
-        if (gameState.keys.left && this.x > 0) {
-            this.x -= this.speed;
-        }
-        if (gameState.keys.right && this.x < CONFIG.canvas.width - this.width) {
-            this.x += this.speed;
-        }
-    }
-    
-    draw() {
-        ctx.fillStyle = this.color;
-        
-        // Draw ship body (triangle-ish shape)
-        ctx.beginPath();
-        ctx.moveTo(this.x + this.width / 2, this.y);
-        ctx.lineTo(this.x + this.width, this.y + this.height);
-        ctx.lineTo(this.x, this.y + this.height);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Draw cockpit
-        ctx.fillStyle = '#00aa30';
-        ctx.beginPath();
-        ctx.moveTo(this.x + this.width / 2, this.y + 8);
-        ctx.lineTo(this.x + this.width / 2 + 8, this.y + this.height - 5);
-        ctx.lineTo(this.x + this.width / 2 - 8, this.y + this.height - 5);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Engine glow
-        ctx.fillStyle = '#ff6b35';
-        ctx.fillRect(this.x + 10, this.y + this.height, 8, 4 + Math.random() * 3);
-        ctx.fillRect(this.x + this.width - 18, this.y + this.height, 8, 4 + Math.random() * 3);
-    }
-    
-    shoot() {
-        if (!gameState.canShoot) return;
-        
-        const centerX = this.x + this.width / 2;
-        const weapon = gameState.currentWeapon;
-        
-        switch (weapon) {
-            case 'spread':
-                // 3-way spread shot
-                playerProjectiles.push(new Projectile(
-                    centerX - 2, this.y, -CONFIG.projectile.playerSpeed, '#ff6b35', 'player'
-                ));
-                playerProjectiles.push(new Projectile(
-                    centerX - 15, this.y + 5, -CONFIG.projectile.playerSpeed, '#ff6b35', 'player', -1.5
-                ));
-                playerProjectiles.push(new Projectile(
-                    centerX + 10, this.y + 5, -CONFIG.projectile.playerSpeed, '#ff6b35', 'player', 1.5
-                ));
-                soundManager.shootSpread();
+const WEAPON_NAMES = {
+    basic: 'BASIC',
+    spread: 'SPREAD',
+    laser: 'LASER',
+    rapid: 'RAPID',
+    missile: 'MISSILE'
+};
+
+const TIER_NUMERALS = ['', 'I', 'II', 'III'];
+
+const WEAPON_MESSAGES = {
+    spread: 'Spread Shot armed!',
+    laser: 'Laser Beam online!',
+    rapid: 'Rapid Fire engaged!',
+    missile: 'Homing Missiles loaded!'
+};
+
+/**
+ * Turn everything the simulation reported since the last call
+ * into sound, particles, HUD updates and console messages.
+ */
+function handleSimulationEvents() {
+    for (const event of sim.drainEvents()) {
+        switch (event.type) {
+            case 'playerShot':
+                playShotSound(event.weapon);
+                updateWeaponMeter();
                 break;
-                
-            case 'laser':
-                // Powerful laser beam
-                playerProjectiles.push(new Projectile(
-                    centerX - 3, this.y, -CONFIG.projectile.playerSpeed * 1.5, '#ff0040', 'player', 0, 'laser'
-                ));
-                soundManager.shootLaser();
+            case 'enemyShot':
+                soundManager.enemyShoot();
                 break;
-                
-            case 'rapid':
-                // Fast single shot
-                playerProjectiles.push(new Projectile(
-                    centerX - 2, this.y, -CONFIG.projectile.playerSpeed * 1.3, '#ffdd00', 'player'
-                ));
-                soundManager.shoot();
+            case 'enemyDive':
+                soundManager.enemyDive();
+                break;
+            case 'explosion':
+                renderer.explode(event.x, event.y, event.colors);
                 break;
+            case 'mothershipSpawned':
+                soundManager.startMothership();
+                if (flow.is('replay')) break;
                 
-            case 'missile':
-                // Homing missile
-                playerProjectiles.push(new Projectile(
-                    centerX - 4, this.y, -CONFIG.projectile.playerSpeed * 0.8, '#ff00ff', 'player', 0, 'missile'
-                ));
-                soundManager.shootMissile();
+                llmManager.generateMothershipCallout(sim.level).then(callout => {
+                    addConsoleMessage(callout, "commander");
+                });
+                break;
+            case 'mothershipDestroyed':
+                soundManager.stopMothership();
+                soundManager.mothershipHit();
+                addConsoleMessage(`Mothership destroyed! +${event.points} mystery points!`, "system");
+                updateHUD();
+                break;
+            case 'mothershipEscaped':
+                soundManager.stopMothership();
+                break;
+            case 'bunkerHit':
+                renderer.explode(event.x, event.y, event.colors, 6);
+                break;
+            case 'splash':
+                renderer.explode(event.x, event.y, event.colors, 30);
+                soundManager.splash();
+                break;
+            case 'enemyDamaged':
+                soundManager.armorHit();
                 break;
+            case 'bossDamaged':
+                soundManager.armorHit();
+                break;
+            case 'bossSegmentDestroyed':
+                soundManager.enemyHit();
+                updateHUD();
+                break;
+            case 'bossPhase':
+                soundManager.bossPhase();
+                addConsoleMessage(`Boss entering phase ${event.phase}! Watch for new attack patterns!`, "commander");
+                break;
+            case 'bossMinions':
+                addConsoleMessage("The boss is launching fighters!", "commander");
+                break;
+            case 'bossDefeated':
+                soundManager.bomb();
+                addConsoleMessage("Boss destroyed! Outstanding work, pilot!", "commander");
+                updateHUD();
+                break;
+            case 'enemyKilled':
+                soundManager.enemyHit();
+                updateHUD();
+                break;
+            case 'comboChanged':
+                updateHUD();
+                if (event.multiplier === CONFIG.scoring.combo.maxMultiplier) {
+                    addConsoleMessage(`Max combo! Kills score x${event.multiplier}!`, "commander");
+                }
+                break;
+            case 'playerHit':
+                updateHUD();
+                soundManager.playerHit();
+                if (event.lives > 0) {
+                    addConsoleMessage("Ship lost! Launching a replacement, pilot!", "commander");
+                }
+                break;
+            case 'playerRespawned':
+                soundManager.respawn();
+                break;
+            case 'shieldHit':
+                renderer.explode(event.x, event.y, event.colors, 8);
+                soundManager.shieldHit();
+                updateShieldDisplay();
+                break;
+            case 'shieldDown':
+                soundManager.shieldBreak();
+                updateShieldDisplay();
+                if (event.reason === 'broken') {
+                    addConsoleMessage("Shield collapsed! You're exposed, pilot!", "commander");
+                } else {
+                    addConsoleMessage("Shield energy depleted.", "system");
+                }
+                break;
+            case 'powerUpSpawned':
+                if (flow.is('replay')) break;
                 
-            default:
-                // Basic shot
-                playerProjectiles.push(new Projectile(
-                    centerX - CONFIG.projectile.width / 2,
-                    this.y,
-                    -CONFIG.projectile.playerSpeed,
-                    CONFIG.projectile.playerColor,
-                    'player'
-                ));
-                soundManager.shoot();
+                // Async LLM call for power-up hint (don't wait)
+                llmManager.generatePowerUpHint(event.powerUpType).then(hint => {
+                    if (hint) addConsoleMessage(hint, "hint");
+                });
+                break;
+            case 'powerUpCollected':
+                announcePowerUp(event);
+                updateHUD();
+                updateShieldDisplay();
+                break;
+            case 'weaponChanged':
+                updateWeaponDisplay();
+                break;
+            case 'weaponDepleted':
+                updateWeaponDisplay();
+                addConsoleMessage(`${WEAPON_NAMES[event.depleted]} out of ammo. Switching to ${WEAPON_NAMES[event.weapon]}.`, "system");
+                break;
+            case 'difficultyAdjusted':
+                announceDifficulty(event);
+                break;
+            case 'endlessRamp':
+                updateHUD();
+                soundManager.bossPhase();
+                addConsoleMessage(`Threat level ${event.level}! They're coming faster, pilot!`, "commander");
+                break;
+            case 'levelComplete':
+                // Replays move straight on to the next wave
+                if (flow.is('replay')) {
+                    addConsoleMessage(`Level ${event.level} cleared. +${event.bonus.total} bonus.`, "system");
+                    updateHUD();
+                    break;
+                }
+                flow.transition('levelClear');
+                break;
+            case 'gameOver':
+                // Refused while watching a replay
+                flow.transition('gameOver', { reason: event.reason });
+                break;
         }
-        
-        gameState.shotsFired++;
-        gameState.canShoot = false;
-        
-        // Fire rate based on weapon
-        const fireRates = {
-            basic: 250,
-            spread: 400,
-            laser: 350,
-            rapid: 100,
-            missile: 500
-        };
-        
-        setTimeout(() => {
-            gameState.canShoot = true;
-        }, fireRates[weapon] || 250);
     }
 }
 
-// ============================================
-// Enemy Class
-// ============================================
-
-class Enemy {
-    constructor(x, y, row) {
-        this.width = CONFIG.enemy.width;
-        this.height = CONFIG.enemy.height;
-        this.x = x;
-        this.y = y;
-        this.row = row;
-        this.alive = true;
-        this.animFrame = 0;
-        this.animTimer = 0;
-    }
-    
-    update(direction, shouldDrop) {
-        if (!this.alive) return;
-        
-        // Horizontal movement
-        this.x += CONFIG.enemy.speedX * direction * (1 + (gameState.level - 1) * CONFIG.difficulty.speedIncrease);
-        
-        // Drop down
-        if (shouldDrop) {
-            this.y += CONFIG.enemy.dropDistance;
-        }
-        
-        // Animation
-        this.animTimer++;
-        if (this.animTimer > 30) {
-            this.animFrame = (this.animFrame + 1) % 2;
-            this.animTimer = 0;
-        }
-        
-        // Random shooting
-        const shootChance = CONFIG.enemy.shootChance + 
-            (gameState.level - 1) * CONFIG.difficulty.shootChanceIncrease;
-        if (Math.random() < shootChance) {
-            this.shoot();
-        }
-    }
-    
-    draw() {
-        if (!this.alive) return;
-        
-        // Different colors per row
-        const colors = ['#ff0040', '#ff6b35', '#ffdd00', '#00ff41'];
-        ctx.fillStyle = colors[this.row % colors.length];
-        
-        // Simple pixel-art style enemy
-        const px = 5; // Pixel size
-        const pattern = this.animFrame === 0 ? [
-            [0,0,1,0,0,0,1,0,0],
-            [0,0,0,1,1,1,0,0,0],
-            [0,0,1,1,1,1,1,0,0],
-            [0,1,1,0,1,0,1,1,0],
-            [1,1,1,1,1,1,1,1,1],
-            [1,0,1,1,1,1,1,0,1],
-            [1,0,1,0,0,0,1,0,1],
-            [0,0,0,1,0,1,0,0,0]
-        ] : [
-            [0,0,1,0,0,0,1,0,0],
-            [1,0,0,1,1,1,0,0,1],
-            [1,0,1,1,1,1,1,0,1],
-            [1,1,1,0,1,0,1,1,1],
-            [1,1,1,1,1,1,1,1,1],
-            [0,1,1,1,1,1,1,1,0],
-            [0,0,1,0,0,0,1,0,0],
-            [0,1,0,0,0,0,0,1,0]
-        ];
-        
-        for (let row = 0; row < pattern.length; row++) {
-            for (let col = 0; col < pattern[row].length; col++) {
-                if (pattern[row][col]) {
-                    ctx.fillRect(
-                        this.x + col * px - 2,
-                        this.y + row * px - 5,
-                        px - 1,
-                        px - 1
-                    );
-                }
-            }
-        }
-    }
-    
-    shoot() {
-        const projectile = new Projectile(
-            this.x + this.width / 2 - CONFIG.projectile.width / 2,
-            this.y + this.height,
-            CONFIG.projectile.enemySpeed,
-            CONFIG.projectile.enemyColor,
-            'enemy'
-        );
-        enemyProjectiles.push(projectile);
-        soundManager.enemyShoot();
+/**
+ * The mothership warble only plays while one is crossing and the
+ * action is running (not paused, on an overlay or in a stopped replay)
+ */
+function syncMothershipSound(running) {
+    if (running && sim.mothership) {
+        soundManager.startMothership();
+    } else {
+        soundManager.stopMothership();
     }
 }
 
-// ============================================
-// Projectile Class
-// ============================================
-
-class Projectile {
-    constructor(x, y, speed, color, owner, angleOffset = 0, type = 'normal') {
-        this.x = x;
-        this.y = y;
-        this.speed = speed;
-        this.color = color;
-        this.owner = owner;
-        this.angleOffset = angleOffset;
-        this.type = type;
-        this.active = true;
-        
-        // Size based on type
-        if (type === 'laser') {
-            this.width = 6;
-            this.height = 25;
-            this.damage = 2;
-        } else if (type === 'missile') {
-            this.width = 8;
-            this.height = 16;
-            this.damage = 3;
-        } else {
-            this.width = CONFIG.projectile.width;
-            this.height = CONFIG.projectile.height;
-            this.damage = 1;
-        }
-    }
-    
-    update() {
-        this.y += this.speed;
-        this.x += this.angleOffset;
-        
-        // Missile homing behavior
-        if (this.type === 'missile' && this.owner === 'player') {
-            const target = enemies.find(e => e.alive);
-            if (target) {
-                const dx = (target.x + target.width / 2) - this.x;
-                if (Math.abs(dx) > 5) {
-                    this.x += dx > 0 ? 2 : -2;
-                }
-            }
-        }
-        
-        // Remove if off screen
-        if (this.y < -this.height || this.y > CONFIG.canvas.height ||
-            this.x < -20 || this.x > CONFIG.canvas.width + 20) {
-            this.active = false;
-        }
-    }
-    
-    draw() {
-        ctx.fillStyle = this.color;
-        
-        if (this.type === 'laser') {
-            // Laser beam effect
-            ctx.shadowColor = this.color;
-            ctx.shadowBlur = 15;
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            ctx.fillStyle = '#fff';
-            ctx.fillRect(this.x + 2, this.y, 2, this.height);
-            ctx.shadowBlur = 0;
-        } else if (this.type === 'missile') {
-            // Missile shape
-            ctx.beginPath();
-            ctx.moveTo(this.x + this.width / 2, this.y);
-            ctx.lineTo(this.x + this.width, this.y + this.height);
-            ctx.lineTo(this.x + this.width / 2, this.y + this.height - 4);
-            ctx.lineTo(this.x, this.y + this.height);
-            ctx.closePath();
-            ctx.fill();
-            
-            // Missile trail
-            ctx.fillStyle = '#ff6b35';
-            ctx.fillRect(this.x + 2, this.y + this.height, 4, 4 + Math.random() * 4);
-        } else {
-            // Normal projectile
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            ctx.shadowColor = this.color;
-            ctx.shadowBlur = 10;
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            ctx.shadowBlur = 0;
-        }
+function playShotSound(weapon) {
+    switch (weapon) {
+        case 'spread':
+            soundManager.shootSpread();
+            break;
+        case 'laser':
+            soundManager.shootLaser();
+            break;
+        case 'missile':
+            soundManager.shootMissile();
+            break;
+        default:
+            soundManager.shoot();
     }
 }
 
-// ============================================
-// PowerUp Class
-// ============================================
-
-class PowerUp {
-    constructor(x, y, type) {
-        this.x = x;
-        this.y = y;
-        this.width = CONFIG.powerUp.width;
-        this.height = CONFIG.powerUp.height;
-        this.speed = CONFIG.powerUp.speed;
-        this.type = type;
-        this.active = true;
-        this.rotation = 0;
-    }
-    
-    update() {
-        this.y += this.speed;
-        this.rotation += 0.05;
-        
-        if (this.y > CONFIG.canvas.height) {
-            this.active = false;
-        }
-    }
-    
-    draw() {
-        ctx.save();
-        ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
-        ctx.rotate(this.rotation);
-        
-        // Color based on type
-        const colors = {
-            spread: '#ff6b35',
-            laser: '#ff0040',
-            rapid: '#ffdd00',
-            missile: '#ff00ff',
-            shield: '#00bfff',
-            extraLife: '#00ff41',
-            bomb: '#ff4444',
-            bonus: '#ffd700'
-        };
-        ctx.fillStyle = colors[this.type] || '#ffffff';
-        
-        // Different shapes per type
-        if (this.type === 'bomb') {
-            // Circle for bomb
-            ctx.beginPath();
-            ctx.arc(0, 0, this.width / 2, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.fillStyle = '#000';
-            ctx.fillRect(-2, -this.width / 2 - 3, 4, 6);
-        } else if (this.type === 'extraLife' || this.type === 'shield') {
-            // Heart/shield shape
-            ctx.beginPath();
-            ctx.moveTo(0, -this.width / 3);
-            ctx.bezierCurveTo(this.width / 2, -this.width / 2, this.width / 2, this.width / 4, 0, this.width / 2);
-            ctx.bezierCurveTo(-this.width / 2, this.width / 4, -this.width / 2, -this.width / 2, 0, -this.width / 3);
-            ctx.fill();
-        } else {
-            // Star shape for weapons
-            ctx.beginPath();
-            for (let i = 0; i < 10; i++) {
-                const angle = (i * Math.PI) / 5 - Math.PI / 2;
-                const r = i % 2 === 0 ? this.width / 2 : this.width / 4;
-                ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+function announcePowerUp(event) {
+    switch (event.powerUpType) {
+        case 'spread':
+        case 'laser':
+        case 'rapid':
+        case 'missile':
+            // A ship locked to one weapon upgrades that whatever the pickup
+            if (event.tier > 1) {
+                addConsoleMessage(`${WEAPON_NAMES[event.weapon]} upgraded to tier ${TIER_NUMERALS[event.tier]}!`, "hint");
+            } else {
+                addConsoleMessage(WEAPON_MESSAGES[event.weapon], "hint");
             }
-            ctx.closePath();
-            ctx.fill();
-        }
-        
-        // Glow effect
-        ctx.shadowColor = colors[this.type] || '#ffffff';
-        ctx.shadowBlur = 10;
-        
-        ctx.restore();
+            soundManager.weaponPowerUp();
+            break;
+        case 'shield':
+            addConsoleMessage(`Shield bubble online! Absorbs ${event.hits} hits.`, "commander");
+            soundManager.powerUp();
+            break;
+        case 'extraLife':
+            addConsoleMessage("Extra lives! +2 Lives", "commander");
+            soundManager.extraLife();
+            break;
+        case 'bomb':
+            addConsoleMessage(`BOMB! ${event.destroyed} enemies vaporized!`, "commander");
+            soundManager.bomb();
+            break;
+        case 'bonus':
+            addConsoleMessage(`Bonus cache! +${event.points} points!`, "commander");
+            soundManager.powerUp();
+            break;
     }
 }
 
-// ============================================
-// Particle Class (for explosions)
-// ============================================
-
-class Particle {
-    constructor(x, y, color) {
-        this.x = x;
-        this.y = y;
-        this.color = color;
-        this.vx = (Math.random() - 0.5) * 6;
-        this.vy = (Math.random() - 0.5) * 6;
-        this.life = 1;
-        this.decay = 0.02 + Math.random() * 0.02;
-        this.size = 2 + Math.random() * 4;
-    }
-    
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.life -= this.decay;
-        this.size *= 0.97;
-    }
-    
-    draw() {
-        ctx.globalAlpha = this.life;
-        ctx.fillStyle = this.color;
-        ctx.fillRect(this.x, this.y, this.size, this.size);
-        ctx.globalAlpha = 1;
-    }
-    
-    get active() {
-        return this.life > 0;
-    }
+function updateWeaponDisplay() {
+    const { type, tier } = sim.weapon;
+    weaponDisplay.textContent = type === 'basic' ? WEAPON_NAMES.basic : `${WEAPON_NAMES[type]} ${TIER_NUMERALS[tier]}`;
+    weaponDisplay.className = `hud-value weapon-display ${type}`;
+    
+    // Other weapons held, in the order Q cycles through them, each
+    // with its own meter (their ammo only changes once selected)
+    weaponInventory.innerHTML = sim.inventory
+        .filter(slot => slot.type !== type)
+        .map(slot => {
+            const meter = slot.ammo === Infinity ? '' : `
+                <span class="weapon-meter ${WEAPON_TYPES[slot.type].meter}">
+                    <span class="weapon-meter-fill" style="width: ${meterPercent(slot)}%"></span>
+                </span>`;
+            return `<span class="inventory-slot ${slot.type}">${WEAPON_NAMES[slot.type][0]}${meter}</span>`;
+        })
+        .join('');
+    updateWeaponMeter();
 }
 
-// ============================================
-// Background Stars
-// ============================================
-
-function createStars() {
-    stars = [];
-    for (let i = 0; i < 100; i++) {
-        stars.push({
-            x: Math.random() * CONFIG.canvas.width,
-            y: Math.random() * CONFIG.canvas.height,
-            size: Math.random() * 2,
-            speed: 0.2 + Math.random() * 0.5,
-            brightness: Math.random()
-        });
+/**
+ * Ammo or energy left in the selected weapon; hidden for the basic
+ * cannon and other weapons that never run out
+ */
+function updateWeaponMeter() {
+    const slot = sim.weapon;
+    if (slot.ammo === Infinity) {
+        weaponMeter.className = 'weapon-meter hidden';
+        return;
     }
+    weaponMeter.className = `weapon-meter ${WEAPON_TYPES[slot.type].meter}`;
+    weaponMeterFill.style.width = `${meterPercent(slot)}%`;
 }
 
-function updateAndDrawStars() {
-    for (const star of stars) {
-        star.y += star.speed;
-        if (star.y > CONFIG.canvas.height) {
-            star.y = 0;
-            star.x = Math.random() * CONFIG.canvas.width;
-        }
-        
-        star.brightness += (Math.random() - 0.5) * 0.1;
-        star.brightness = Math.max(0.3, Math.min(1, star.brightness));
-        
-        ctx.fillStyle = `rgba(255, 255, 255, ${star.brightness})`;
-        ctx.fillRect(star.x, star.y, star.size, star.size);
-    }
+/**
+ * How full an inventory slot's ammo or energy meter is
+ */
+function meterPercent({ type, ammo }) {
+    return (ammo / WEAPON_TYPES[type].ammo) * 100;
 }
 
-// ============================================
-// Enemy Management
-// ============================================
-
-let enemyDirection = 1;
-
-function createEnemies() {
-    enemies = [];
-    const startX = (CONFIG.canvas.width - 
-        (CONFIG.enemy.cols * (CONFIG.enemy.width + CONFIG.enemy.padding))) / 2;
-    
-    for (let row = 0; row < CONFIG.enemy.rows; row++) {
-        for (let col = 0; col < CONFIG.enemy.cols; col++) {
-            const x = startX + col * (CONFIG.enemy.width + CONFIG.enemy.padding);
-            const y = CONFIG.enemy.startY + row * (CONFIG.enemy.height + CONFIG.enemy.padding);
-            enemies.push(new Enemy(x, y, row));
-        }
-    }
+/**
+ * One pip per hit the shield bubble can still take
+ */
+function updateShieldDisplay() {
+    const hits = sim.player.shield;
+    shieldDisplay.textContent = hits > 0 ? '◆'.repeat(hits) : '--';
+    shieldDisplay.className = `hud-value shield-display${hits > 0 ? ' active' : ''}`;
 }
 
-function updateEnemies() {
-    const aliveEnemies = enemies.filter(e => e.alive);
-    if (aliveEnemies.length === 0) {
-        levelComplete();
-        return;
-    }
-    
-    // Check if enemies hit walls
-    let hitWall = false;
-    for (const enemy of aliveEnemies) {
-        if ((enemyDirection > 0 && enemy.x + enemy.width > CONFIG.canvas.width - 10) ||
-            (enemyDirection < 0 && enemy.x < 10)) {
-            hitWall = true;
-            break;
-        }
-    }
-    
-    // Update all enemies
-    for (const enemy of enemies) {
-        enemy.update(enemyDirection, hitWall);
-    }
-    
-    // Change direction if hit wall
-    if (hitWall) {
-        enemyDirection *= -1;
-    }
+/**
+ * End-of-wave bonus breakdown on the level complete screen
+ */
+function renderBonusTally(bonus) {
+    const seconds = Math.floor(bonus.seconds);
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    const rows = [
+        ['LEVEL BONUS', '', bonus.levelPoints],
+        ['ACCURACY', `${bonus.accuracy}%`, bonus.accuracyPoints],
+        ['NO DAMAGE', bonus.noDamage ? 'YES' : 'NO', bonus.noDamagePoints],
+        ['TIME', time, bonus.timePoints]
+    ];
     
-    // Check if enemies reached player level (game over)
-    for (const enemy of aliveEnemies) {
-        if (enemy.y + enemy.height > player.y - 20) {
-            gameOver();
-            return;
-        }
+    let html = '';
+    for (const [label, detail, points] of rows) {
+        html += `
+            <div class="bonus-row">
+                <span class="bonus-label">${label}</span>
+                <span class="bonus-detail">${detail}</span>
+                <span class="bonus-points">+${points}</span>
+            </div>
+        `;
     }
+    html += `
+        <div class="bonus-row bonus-total">
+            <span class="bonus-label">TOTAL BONUS</span>
+            <span class="bonus-points">+${bonus.total}</span>
+        </div>
+    `;
+    levelBonus.innerHTML = html;
 }
 
 // ============================================
-// Collision Detection
+// HUD and Console
 // ============================================
 
-function checkCollisions() {
-    // Player projectiles vs enemies
-    for (const proj of playerProjectiles) {
-        if (!proj.active) continue;
-        
-        for (const enemy of enemies) {
-            if (!enemy.alive) continue;
-            
-            if (rectCollision(proj, enemy)) {
-                proj.active = false;
-                enemy.alive = false;
-                gameState.score += CONFIG.scoring.enemyKill * gameState.level;
-                gameState.shotsHit++;
-                gameState.enemiesDefeated++;
-                createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, 
-                    ['#ff0040', '#ff6b35', '#ffdd00']);
-                soundManager.enemyHit();
-                updateHUD();
-                
-                // Chance to spawn power-up
-                if (Math.random() < CONFIG.powerUp.spawnChance * 10) {
-                    spawnPowerUp(enemy.x, enemy.y);
-                }
-            }
-        }
-    }
-    
-    // Enemy projectiles vs player
-    for (const proj of enemyProjectiles) {
-        if (!proj.active) continue;
-        
-        if (rectCollision(proj, player)) {
-            proj.active = false;
-            playerHit();
-        }
+function updateHUD() {
+    updateModeDisplay();
+    scoreDisplay.textContent = sim.score;
+    highScoreDisplay.textContent = gameState.highScore;
+    livesDisplay.textContent = sim.lives;
+    levelDisplay.textContent = sim.level;
+    comboDisplay.textContent = `x${sim.comboMultiplier}`;
+    comboDisplay.className = `hud-value combo-display${sim.comboMultiplier > 1 ? ' active' : ''}`;
+    
+    // Update high score if beaten (unranked runs don't count)
+    if (isRanked() && sim.score > gameState.highScore) {
+        gameState.highScore = sim.score;
+        highScoreDisplay.textContent = gameState.highScore;
     }
+}
+
+/**
+ * Mode HUD items: the time survived in Endless, the clock in Time Attack
+ */
+function updateModeDisplay() {
+    modeHudItems.forEach(item => {
+        item.classList.toggle('hidden', item.dataset.mode !== sim.mode);
+    });
     
-    // Player vs power-ups
-    for (const powerUp of powerUps) {
-        if (!powerUp.active) continue;
-        
-        if (rectCollision(player, powerUp)) {
-            powerUp.active = false;
-            collectPowerUp(powerUp);
-        }
+    if (sim.mode === 'endless') {
+        survivalTimeDisplay.textContent = formatClock(sim.playTime);
+    } else if (sim.mode === 'timeAttack') {
+        // Count whole seconds down, so 3:00 shows until a second has gone
+        const left = Math.ceil(sim.timeLeft - 1e-9);
+        timeLeftDisplay.textContent = formatClock(left);
+        timeLeftDisplay.classList.toggle('warning', left <= TIME_WARNING);
     }
 }
 
-function rectCollision(a, b) {
-    return a.x < b.x + b.width &&
-           a.x + a.width > b.x &&
-           a.y < b.y + b.height &&
-           a.y + a.height > b.y;
-}
+// Seconds left on the Time Attack clock when it turns red
+const TIME_WARNING = 30;
 
-// ============================================
-// Game Events
-// ============================================
-
-function playerHit() {
-    gameState.lives--;
-    updateHUD();
-    createExplosion(player.x + player.width / 2, player.y + player.height / 2,
-        ['#00ff41', '#00aa30', '#006618']);
-    soundManager.playerHit();
-    
-    if (gameState.lives <= 0) {
-        gameOver();
-    } else {
-        // Brief invincibility flash would go here
-        addConsoleMessage("Shield impact! Stay evasive, pilot!", "commander");
-    }
-}
-
-function spawnPowerUp(x, y) {
-    // Weighted random selection - weapons more common, bomb/extraLife rare
-    const weights = {
-        spread: 20,
-        laser: 15,
-        rapid: 20,
-        missile: 15,
-        shield: 10,
-        extraLife: 5,
-        bomb: 5,
-        bonus: 10
-    };
-    
-    const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
-    let selectedType = 'bonus';
-    
-    for (const [type, weight] of Object.entries(weights)) {
-        random -= weight;
-        if (random <= 0) {
-            selectedType = type;
-            break;
-        }
-    }
-    
-    powerUps.push(new PowerUp(x, y, selectedType));
-    
-    // Async LLM call for power-up hint (don't wait)
-    llmManager.generatePowerUpHint(selectedType).then(hint => {
-        if (hint) addConsoleMessage(hint, "hint");
-    });
-}
-
-function collectPowerUp(powerUp) {
-    gameState.score += CONFIG.scoring.powerUpBonus;
-    
-    // Check for new high score
-    if (gameState.score > gameState.highScore) {
-        gameState.highScore = gameState.score;
-    }
-    
-    // Apply power-up effect
-    switch (powerUp.type) {
-        case 'spread':
-            setWeapon('spread', 'Spread Shot armed!');
-            soundManager.weaponPowerUp();
-            break;
-        case 'laser':
-            setWeapon('laser', 'Laser Beam online!');
-            soundManager.weaponPowerUp();
-            break;
-        case 'rapid':
-            setWeapon('rapid', 'Rapid Fire engaged!');
-            soundManager.weaponPowerUp();
-            break;
-        case 'missile':
-            setWeapon('missile', 'Homing Missiles loaded!');
-            soundManager.weaponPowerUp();
-            break;
-        case 'shield':
-            gameState.lives = Math.min(gameState.lives + 1, 9);
-            addConsoleMessage("Shield restored! +1 Life", "commander");
-            soundManager.extraLife();
-            break;
-        case 'extraLife':
-            gameState.lives = Math.min(gameState.lives + 2, 9);
-            addConsoleMessage("Extra lives! +2 Lives", "commander");
-            soundManager.extraLife();
-            break;
-        case 'bomb':
-            // Screen clear bomb
-            let destroyed = 0;
-            enemies.forEach(e => {
-                if (e.alive) {
-                    e.alive = false;
-                    destroyed++;
-                    createExplosion(e.x + e.width / 2, e.y + e.height / 2, ['#ff0040', '#ff6b35', '#ffdd00']);
-                }
-            });
-            gameState.score += destroyed * CONFIG.scoring.enemyKill;
-            addConsoleMessage(`BOMB! ${destroyed} enemies vaporized!`, "commander");
-            soundManager.bomb();
-            break;
-        case 'bonus':
-            const bonusPoints = 250 + Math.floor(Math.random() * 500);
-            gameState.score += bonusPoints;
-            addConsoleMessage(`Bonus cache! +${bonusPoints} points!`, "commander");
-            soundManager.powerUp();
-            break;
-    }
-    
-    updateHUD();
-}
-
-function setWeapon(weapon, message) {
-    // Clear existing weapon timer
-    if (gameState.weaponTimer) {
-        clearTimeout(gameState.weaponTimer);
-    }
-    
-    gameState.currentWeapon = weapon;
-    updateWeaponDisplay();
-    addConsoleMessage(message, "hint");
-    
-    // Weapon expires after duration
-    gameState.weaponTimer = setTimeout(() => {
-        gameState.currentWeapon = 'basic';
-        updateWeaponDisplay();
-        addConsoleMessage("Weapon power depleted. Basic cannon restored.", "system");
-    }, CONFIG.powerUp.duration);
-}
-
-function updateWeaponDisplay() {
-    const names = {
-        basic: 'BASIC',
-        spread: 'SPREAD',
-        laser: 'LASER',
-        rapid: 'RAPID',
-        missile: 'MISSILE'
-    };
-    weaponDisplay.textContent = names[gameState.currentWeapon] || 'BASIC';
-    weaponDisplay.className = `hud-value weapon-display ${gameState.currentWeapon}`;
-}
-
-function createExplosion(x, y, colors) {
-    for (let i = 0; i < 20; i++) {
-        const color = colors[Math.floor(Math.random() * colors.length)];
-        particles.push(new Particle(x, y, color));
-    }
-}
-
-// ============================================
-// Level Management
-// ============================================
-
-function levelComplete() {
-    gameState.levelComplete = true;
-    gameState.running = false;
-    
-    soundManager.levelComplete();
-    
-    const levelScore = document.getElementById('levelScore');
-    levelScore.textContent = `SCORE: ${gameState.score}`;
-    
-    // Get LLM briefing for next level
-    const briefingElement = document.getElementById('levelBriefing');
-    briefingElement.textContent = "Analyzing next sector...";
-    
-    llmManager.generateBriefing(gameState.level + 1, gameState.score).then(briefing => {
-        briefingElement.textContent = briefing;
-    });
-    
-    levelCompleteScreen.classList.remove('hidden');
-}
-
-function startNextLevel() {
-    gameState.level++;
-    gameState.levelComplete = false;
-    levelCompleteScreen.classList.add('hidden');
-    
-    // Reset for new level
-    playerProjectiles = [];
-    enemyProjectiles = [];
-    powerUps = [];
-    particles = [];
-    enemyDirection = 1;
-    
-    // Create new enemy wave
-    createEnemies();
-    
-    // Update HUD
-    updateHUD();
-    
-    // Generate level description
-    llmManager.generateLevelDescription(gameState.level).then(desc => {
-        addConsoleMessage(desc, "briefing");
-    });
-    
-    // Resume game
-    gameState.running = true;
-    requestAnimationFrame(gameLoop);
-}
-
-// ============================================
-// Game Over
-// ============================================
-
-function gameOver() {
-    gameState.gameOver = true;
-    gameState.running = false;
-    
-    soundManager.gameOver();
-    
-    const finalScore = document.getElementById('finalScore');
-    finalScore.textContent = `SCORE: ${gameState.score}`;
-    
-    // Get LLM game over comment
-    const aiComment = document.getElementById('aiComment');
-    aiComment.textContent = "Analyzing battle data...";
-    
-    const stats = {
-        accuracy: gameState.shotsFired > 0 ? 
-            Math.round((gameState.shotsHit / gameState.shotsFired) * 100) : 0
-    };
-    
-    llmManager.generateGameOverComment(gameState.score, gameState.level, stats).then(comment => {
-        aiComment.textContent = comment;
-    });
-    
-    // Show name input for saving score
-    nameInputSection.classList.remove('hidden');
-    playerNameInput.value = '';
-    
-    gameOverScreen.classList.remove('hidden');
-}
-
-// ============================================
-// HUD and Console
-// ============================================
-
-function updateHUD() {
-    scoreDisplay.textContent = gameState.score;
-    highScoreDisplay.textContent = gameState.highScore;
-    livesDisplay.textContent = gameState.lives;
-    levelDisplay.textContent = gameState.level;
-    
-    // Update high score if beaten
-    if (gameState.score > gameState.highScore) {
-        gameState.highScore = gameState.score;
-        highScoreDisplay.textContent = gameState.highScore;
-    }
-}
+function formatClock(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
 
 function updateAIStatus(status) {
     // Map internal states to display states
@@ -1134,7 +725,7 @@ function setThinking(active) {
 // ============================================
 
 async function triggerEnemyTaunt() {
-    if (!gameState.running || gameState.paused) return;
+    if (!flow.is('playing')) return;
     
     const now = Date.now();
     if (now - gameState.lastTauntTime < CONFIG.llm.tauntInterval) return;
@@ -1143,8 +734,8 @@ async function triggerEnemyTaunt() {
     setThinking(true);
     
     const taunt = await llmManager.generateTaunt({
-        level: gameState.level,
-        score: gameState.score
+        level: sim.level,
+        score: sim.score
     });
     
     setThinking(false);
@@ -1155,7 +746,7 @@ async function triggerEnemyTaunt() {
 }
 
 async function triggerPerformanceComment() {
-    if (!gameState.running || gameState.paused) return;
+    if (!flow.is('playing')) return;
     
     const now = Date.now();
     if (now - gameState.lastCommentTime < CONFIG.llm.commentInterval) return;
@@ -1163,10 +754,9 @@ async function triggerPerformanceComment() {
     gameState.lastCommentTime = now;
     
     const stats = {
-        accuracy: gameState.shotsFired > 0 ? 
-            Math.round((gameState.shotsHit / gameState.shotsFired) * 100) : 50,
-        efficiency: gameState.enemiesDefeated > 0 ?
-            Math.min(100, Math.round((gameState.enemiesDefeated / (gameState.level * 10)) * 100)) : 50
+        accuracy: sim.shotsFired > 0 ? sim.accuracy : 50,
+        efficiency: sim.enemiesDefeated > 0 ?
+            Math.min(100, Math.round((sim.enemiesDefeated / (sim.level * 10)) * 100)) : 50
     };
     
     const comment = await llmManager.generatePerformanceComment(stats);
@@ -1181,27 +771,53 @@ async function triggerPerformanceComment() {
 // ============================================
 
 function handleKeyDown(e) {
+    // Typing a pilot name must not trigger shortcuts
+    if (e.target?.tagName === 'INPUT') return;
+    
+    if (e.code === 'KeyF') {
+        toggleFullscreen();
+        return;
+    }
+    
+    // While watching a replay the keyboard only controls playback
+    if (flow.is('replay')) {
+        if (e.code === 'Space' || e.code === 'KeyP') {
+            e.preventDefault();
+            toggleReplayPlayback();
+        } else if (e.code === 'Escape') {
+            exitReplay();
+        }
+        return;
+    }
+    
     switch (e.code) {
         case 'ArrowLeft':
         case 'KeyA':
-            gameState.keys.left = true;
+            sim.input.left = true;
             break;
         case 'ArrowRight':
         case 'KeyD':
-            gameState.keys.right = true;
+            sim.input.right = true;
             break;
         case 'Space':
             e.preventDefault();
-            if (gameState.running && !gameState.paused) {
-                player.shoot();
+            if (flow.is('playing')) {
+                sim.fire();
+            } else if (flow.is('briefing')) {
+                launchMission();
+            }
+            break;
+        case 'KeyQ':
+            if (flow.is('playing')) {
+                sim.nextWeapon();
             }
             break;
         case 'KeyP':
             togglePause();
             break;
         case 'KeyR':
-            if (gameState.gameOver) {
-                restartGame();
+            if (flow.is('gameOver')) {
+                startGame();
             }
             break;
     }
@@ -1211,81 +827,459 @@ function handleKeyUp(e) {
     switch (e.code) {
         case 'ArrowLeft':
         case 'KeyA':
-            gameState.keys.left = false;
+            sim.input.left = false;
             break;
         case 'ArrowRight':
         case 'KeyD':
-            gameState.keys.right = false;
+            sim.input.right = false;
             break;
     }
 }
 
+function toggleFullscreen() {
+    viewport.toggleFullscreen().catch(() => {
+        addConsoleMessage("Fullscreen is not available here.", "system");
+    });
+}
+
 function togglePause() {
-    if (!gameState.running) return;
+    if (flow.is('playing')) {
+        flow.transition('paused');
+    } else if (flow.is('paused')) {
+        flow.transition('playing');
+    }
+}
+
+// ============================================
+// Game Loop
+// ============================================
+
+let lastFrameTime = null;
+let accumulator = 0;
+let loopFrame = null;
+
+/**
+ * Start (or resume) the render loop with a fresh clock so the time
+ * spent on overlays or paused is not replayed as simulation ticks.
+ */
+function startLoop() {
+    lastFrameTime = null;
+    accumulator = 0;
     
-    gameState.paused = !gameState.paused;
+    // A quick pause and resume must not leave two loops running
+    cancelAnimationFrame(loopFrame);
+    loopFrame = requestAnimationFrame(gameLoop);
+}
+
+function gameLoop(timestamp) {
+    if (!flow.is('playing')) return;
+    
+    // Accumulate real time and consume it in fixed simulation steps
+    if (lastFrameTime === null) lastFrameTime = timestamp;
+    const frameTime = Math.min((timestamp - lastFrameTime) / 1000, CONFIG.loop.maxFrameTime);
+    lastFrameTime = timestamp;
+    accumulator += frameTime;
+    
+    while (accumulator >= TICK && flow.is('playing')) {
+        recorder.record(sim.input);
+        sim.step(TICK);
+        renderer.update(TICK);
+        handleSimulationEvents();
+        accumulator -= TICK;
+    }
     
-    if (gameState.paused) {
-        addConsoleMessage("Game paused. Press P to resume.", "system");
+    // Draw between the last two ticks
+    renderer.render(sim, accumulator / TICK);
+    updateModeDisplay();
+    
+    // Trigger LLM updates (non-blocking)
+    triggerEnemyTaunt();
+    triggerPerformanceComment();
+    
+    // Continue loop
+    if (flow.is('playing')) {
+        loopFrame = requestAnimationFrame(gameLoop);
+    }
+}
+
+// ============================================
+// Screen Flow
+// ============================================
+
+// Overlay shown while each screen is active (playing and paused have none)
+const SCREEN_OVERLAYS = {
+    title: startScreen,
+    briefing: briefingScreen,
+    levelClear: levelCompleteScreen,
+    gameOver: gameOverScreen,
+    leaderboard: leaderboardScreen,
+    replay: replayControls
+};
+
+// Milliseconds the briefing stays up before launching by itself
+const BRIEFING_DURATION = 3000;
+let briefingTimer = null;
+
+flow.onChange(({ from, to }) => {
+    SCREEN_OVERLAYS[from]?.classList.add('hidden');
+    SCREEN_OVERLAYS[to]?.classList.remove('hidden');
+});
+
+// Back from a replay or the game over screen: a fresh run on the
+// picked options, ready to change them
+flow.onEnter('title', ({ from }) => {
+    if (from === 'replay' || from === 'gameOver') {
+        gameState.daily = null;
+        resetGameState();
+        loadHighScore();
+        updateHUD();
+        updateDailyDisplay();
+    }
+});
+
+flow.onEnter('briefing', ({ from }) => {
+    if (from === 'levelClear') {
+        // Create new enemy wave
+        sim.startNextLevel();
+        renderer.clearEffects();
+        
+        llmManager.generateLevelDescription(sim.level).then(desc => {
+            addConsoleMessage(desc, "briefing");
+        });
+    } else {
+        beginRun(from);
+    }
+    
+    updateHUD();
+    const level = sim.level;
+    briefingText.textContent = "Analyzing sector...";
+    
+    // The daily challenge opens with a briefing on the day's modifiers,
+    // Endless and Time Attack runs with one on the mode, and boss
+    // levels with the boss's own intro line
+    if (from !== 'levelClear' && gameState.daily) {
+        const { date, modifiers } = gameState.daily;
+        briefingTitle.textContent = `DAILY CHALLENGE ${date}`;
+        llmManager.generateChallengeBriefing(date, modifiers.map(id => CHALLENGE_MODIFIERS[id])).then(briefing => {
+            briefingText.textContent = briefing;
+            addConsoleMessage(briefing, "briefing");
+        });
+    } else if (from !== 'levelClear' && sim.mode !== DEFAULT_MODE) {
+        briefingTitle.textContent = GAME_MODES[sim.mode].name;
+        llmManager.generateModeBriefing(sim.mode).then(briefing => {
+            briefingText.textContent = briefing;
+            addConsoleMessage(briefing, "briefing");
+        });
+    } else if (sim.isBossLevel) {
+        briefingTitle.textContent = `LEVEL ${level} - BOSS`;
+        llmManager.generateBossIntro(level).then(intro => {
+            briefingText.textContent = intro;
+            addConsoleMessage(intro, "taunt");
+        });
     } else {
+        const name = sim.wave.name;
+        briefingTitle.textContent = name ? `LEVEL ${level} - ${name.toUpperCase()}` : `LEVEL ${level}`;
+        
+        // Get LLM briefing for this level
+        llmManager.generateBriefing(level, sim.score).then(briefing => {
+            briefingText.textContent = briefing;
+            if (level === 1) addConsoleMessage(briefing, "briefing");
+        });
+    }
+    
+    briefingTimer = setTimeout(launchMission, BRIEFING_DURATION);
+});
+
+flow.onExit('briefing', () => {
+    clearTimeout(briefingTimer);
+    briefingTimer = null;
+});
+
+flow.onEnter('playing', ({ from }) => {
+    if (from === 'paused') {
         addConsoleMessage("Resuming combat operations.", "system");
-        requestAnimationFrame(gameLoop);
     }
+    syncMothershipSound(true);
+    startLoop();
+});
+
+flow.onExit('playing', () => syncMothershipSound(false));
+
+flow.onEnter('paused', ({ from }) => {
+    if (from === 'playing') {
+        recorder.markPause();
+        addConsoleMessage("Game paused. Press P to resume.", "system");
+    }
+});
+
+flow.onEnter('levelClear', () => {
+    soundManager.levelComplete();
+    renderBonusTally(sim.bonus);
+    levelScore.textContent = `SCORE: ${sim.score}`;
+    updateHUD();
+});
+
+flow.onEnter('gameOver', ({ from, data }) => {
+    // Back from the leaderboard: the overlay is already filled in
+    if (from === 'leaderboard') return;
+    
+    lastReplay = recorder.toReplay({ score: sim.score, level: sim.level });
+    
+    soundManager.gameOver();
+    
+    const gameOverTitle = document.getElementById('gameOverTitle');
+    gameOverTitle.textContent = data.reason === 'timeUp' ? "TIME'S UP" : 'GAME OVER';
+    
+    const finalScore = document.getElementById('finalScore');
+    finalScore.textContent = `SCORE: ${sim.score}`;
+    
+    // What the mode measures besides the score
+    switch (sim.mode) {
+        case 'endless':
+            modeSummary.textContent = `SURVIVED ${formatClock(sim.playTime)} - THREAT LEVEL ${sim.level}`;
+            break;
+        case 'timeAttack':
+            modeSummary.textContent = `WAVES CLEARED: ${sim.wavesCleared}`;
+            break;
+        default:
+            modeSummary.textContent = `REACHED LEVEL ${sim.level}`;
+    }
+    
+    // Seed lets the run be reproduced for bug reports and challenges
+    const runSeed = document.getElementById('runSeed');
+    runSeed.textContent = `SEED: ${formatSeed(sim.seed)}${runLabel()}`;
+    
+    // Get LLM game over comment
+    const aiComment = document.getElementById('aiComment');
+    aiComment.textContent = "Analyzing battle data...";
+    
+    const stats = {
+        accuracy: sim.accuracy
+    };
+    
+    llmManager.generateGameOverComment(sim.score, sim.level, stats).then(comment => {
+        aiComment.textContent = comment;
+    });
+    
+    // Show name input for saving score (unless unranked)
+    nameInputSection.classList.toggle('hidden', !isRanked());
+    playerNameInput.value = '';
+});
+
+flow.onEnter('leaderboard', ({ from, data }) => {
+    leaderboardReturn = from;
+    renderLeaderboard(data.highlightIndex ?? -1);
+});
+flow.onExit('leaderboard', () => { leaderboardDay = null; });
+
+flow.onEnter('replay', ({ data }) => startReplay(data.replay));
+flow.onExit('replay', stopReplay);
+
+/**
+ * START GAME, PLAY AGAIN and R all begin a run through the briefing
+ */
+function startGame() {
+    gameState.daily = null;
+    flow.transition('briefing');
+}
+
+/**
+ * DAILY CHALLENGE begins today's challenge; only the first attempt
+ * of the day is scored
+ */
+function startDaily() {
+    const challenge = challengeForDate();
+    const ranked = loadDailyAttempt() !== challenge.date;
+    if (ranked) saveDailyAttempt(challenge.date);
+    
+    gameState.daily = { ...challenge, ranked };
+    flow.transition('briefing');
+}
+
+function launchMission() {
+    flow.transition('playing');
+}
+
+function beginRun(from) {
+    // Initialize sound (requires user interaction)
+    soundManager.init();
+    soundManager.startGame();
+    
+    if (from === 'gameOver') {
+        aiConsole.innerHTML = '';
+        addConsoleMessage("Reinitializing combat systems...", "system");
+    }
+    
+    // The HUD high score follows the board the run goes on
+    resetGameState();
+    loadHighScore();
 }
 
 // ============================================
-// Game Loop
+// Replays
 // ============================================
 
-function gameLoop() {
-    if (!gameState.running || gameState.paused) return;
+const replayView = {
+    player: null,       // ReplayPlayer while watching, null otherwise
+    playing: false,
+    speed: 1,
+    reported: false     // Verification result already shown
+};
+
+/**
+ * Offer the recorded run as a JSON download
+ */
+function downloadReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `space-invaders-${formatSeed(replay.seed)}-${replay.final.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    addConsoleMessage("Replay saved. Share it with your squadron!", "system");
+}
+
+/**
+ * Read a replay file chosen on the start screen
+ */
+async function loadReplayFile(file) {
+    try {
+        const replay = parseReplay(await file.text());
+        flow.transition('replay', { replay });
+    } catch (e) {
+        addConsoleMessage(`Could not load replay: ${e.message}`, "system");
+    }
+}
+
+function startReplay(replay) {
+    soundManager.init();
     
-    // Clear canvas
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, CONFIG.canvas.width, CONFIG.canvas.height);
+    replayView.player = new ReplayPlayer(replay, sim);
+    replayView.playing = true;
+    replayView.speed = 1;
+    replayView.reported = false;
     
-    // Draw background
-    updateAndDrawStars();
+    renderer.clearEffects();
+    updateHUD();
+    updateWeaponDisplay();
+    updateShieldDisplay();
     
-    // Update game objects
-    player.update();
-    updateEnemies();
+    replaySeek.max = replayView.player.length;
+    updateReplayControls();
     
-    // Update projectiles
-    for (const proj of playerProjectiles) proj.update();
-    for (const proj of enemyProjectiles) proj.update();
+    addConsoleMessage(`Replaying seed ${formatSeed(replay.seed)} - recorded score ${replay.final.score}.`, "system");
     
-    // Update power-ups
-    for (const powerUp of powerUps) powerUp.update();
+    lastFrameTime = null;
+    accumulator = 0;
+    requestAnimationFrame(replayLoop);
+}
+
+function stopReplay() {
+    replayView.player = null;
+    replayView.playing = false;
+    syncMothershipSound(false);
+}
+
+function exitReplay() {
+    flow.transition('title');
+}
+
+function toggleReplayPlayback() {
+    if (!replayView.player) return;
     
-    // Update particles
-    for (const particle of particles) particle.update();
+    // Play from the start again once the end is reached
+    if (replayView.player.finished) {
+        seekReplay(0);
+    }
+    replayView.playing = !replayView.playing;
+    syncMothershipSound(replayView.playing);
+    updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+    replayView.speed = speed;
+    updateReplayControls();
+}
+
+function seekReplay(tick) {
+    if (!replayView.player) return;
     
-    // Check collisions
-    checkCollisions();
+    replayView.player.seek(tick);
+    replayView.reported = false;
+    renderer.clearEffects();
+    syncMothershipSound(replayView.playing);
+    updateHUD();
+    updateWeaponDisplay();
+    updateShieldDisplay();
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    const player = replayView.player;
+    if (!player) return;
     
-    // Clean up inactive objects
-    playerProjectiles = playerProjectiles.filter(p => p.active);
-    enemyProjectiles = enemyProjectiles.filter(p => p.active);
-    powerUps = powerUps.filter(p => p.active);
-    particles = particles.filter(p => p.active);
+    replayPlayBtn.textContent = replayView.playing ? '❚❚' : '▶';
+    replaySeek.value = player.tick;
+    replayTime.textContent = `${formatTicks(player.tick)} / ${formatTicks(player.length)}`;
+    replaySpeedBtns.forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.speed) === replayView.speed);
+    });
+    updateModeDisplay();
+}
+
+/**
+ * Report once whether playback reproduced the recorded outcome
+ */
+function reportReplayResult() {
+    if (replayView.reported) return;
+    replayView.reported = true;
     
-    // Draw everything
-    player.draw();
-    for (const enemy of enemies) enemy.draw();
-    for (const proj of playerProjectiles) proj.draw();
-    for (const proj of enemyProjectiles) proj.draw();
-    for (const powerUp of powerUps) powerUp.draw();
-    for (const particle of particles) particle.draw();
+    const final = replayView.player.replay.final;
+    if (replayView.player.verify()) {
+        addConsoleMessage(`Replay verified: ${final.score} points, level ${final.level}.`, "commander");
+    } else {
+        addConsoleMessage(`Replay diverged: recorded ${final.score}, re-simulated ${sim.score}.`, "system");
+    }
+}
+
+function formatTicks(ticks) {
+    return formatClock(ticks * TICK);
+}
+
+function replayLoop(timestamp) {
+    const player = replayView.player;
+    if (!player) return;
     
-    // Trigger LLM updates (non-blocking)
-    triggerEnemyTaunt();
-    triggerPerformanceComment();
+    if (lastFrameTime === null) lastFrameTime = timestamp;
+    const frameTime = Math.min((timestamp - lastFrameTime) / 1000, CONFIG.loop.maxFrameTime);
+    lastFrameTime = timestamp;
     
-    // Continue loop
-    if (gameState.running && !gameState.paused) {
-        requestAnimationFrame(gameLoop);
+    if (replayView.playing) {
+        // Speed scales game time, so 4x runs four ticks per tick of real time
+        accumulator += frameTime * replayView.speed;
+        
+        while (accumulator >= TICK && !player.finished) {
+            const mask = player.stepTick();
+            renderer.update(TICK);
+            handleSimulationEvents();
+            if (mask & INPUT_BITS.pause) {
+                addConsoleMessage("Pilot paused here.", "system");
+            }
+            accumulator -= TICK;
+        }
+        
+        if (player.finished) {
+            replayView.playing = false;
+            accumulator = 0;
+            syncMothershipSound(false);
+            reportReplayResult();
+        }
+        updateReplayControls();
     }
+    
+    renderer.render(sim, replayView.playing ? accumulator / TICK : 1);
+    requestAnimationFrame(replayLoop);
 }
 
 // ============================================
@@ -1293,9 +1287,33 @@ function gameLoop() {
 // ============================================
 
 async function initGame() {
-    // Load high score from leaderboard
+    // Load high score from the selected mode and difficulty's
+    // leaderboard, and set the first run up with them
+    gameState.mode = loadMode();
+    gameState.difficulty = loadDifficulty();
+    gameState.adaptive = loadAdaptive();
+    resetGameState();
     loadHighScore();
     updateHUD();
+    updateRunOptions();
+    updateDailyDisplay();
+    
+    // Fit the canvas to the window and display density, and redraw on
+    // resize since resizing clears it (matters while paused)
+    viewport.onResize(() => {
+        renderer.setPixelRatio(viewport.pixelRatio);
+        renderer.render(sim, 1);
+    });
+    viewport.watch();
+    viewport.fit();
+    
+    // Authored waves from levels/; without them every level is procedural
+    // (e.g. when opened straight from disk, where fetch is blocked)
+    try {
+        sim.setLevels(await loadLevels());
+    } catch (error) {
+        console.warn(`Level files unavailable, using procedural waves: ${error.message}`);
+    }
     
     // Initialize LLM (optional - game works without it)
     llmManager.onStatusChange(updateAIStatus);
@@ -1308,8 +1326,9 @@ async function initGame() {
         addConsoleMessage("Welcome, pilot! Ready for combat.", "system");
     }
     
-    // Create background
-    createStars();
+    if (fixedSeed !== null) {
+        addConsoleMessage(`Fixed seed ${formatSeed(fixedSeed)} loaded.`, "system");
+    }
     
     // Set up event listeners
     document.addEventListener('keydown', handleKeyDown);
@@ -1317,17 +1336,43 @@ async function initGame() {
     
     // Button handlers
     startBtn.addEventListener('click', startGame);
-    restartBtn.addEventListener('click', restartGame);
-    nextLevelBtn.addEventListener('click', startNextLevel);
+    dailyBtn.addEventListener('click', startDaily);
+    restartBtn.addEventListener('click', startGame);
+    menuBtn.addEventListener('click', () => {
+        flow.transition('title');
+        soundManager.menuClick();
+    });
+    modeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectMode(btn.dataset.mode);
+            soundManager.menuClick();
+        });
+    });
+    difficultyBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectDifficulty(btn.dataset.difficulty);
+            soundManager.menuClick();
+        });
+    });
+    adaptiveBtn.addEventListener('click', () => {
+        toggleAdaptive();
+        soundManager.menuClick();
+    });
+    nextLevelBtn.addEventListener('click', () => flow.transition('briefing'));
+    launchBtn.addEventListener('click', launchMission);
     
     // Leaderboard handlers
     showLeaderboardBtn.addEventListener('click', () => showLeaderboard());
     closeLeaderboardBtn.addEventListener('click', hideLeaderboard);
+    dailyBoardBtn.addEventListener('click', () => {
+        toggleDailyBoard();
+        soundManager.menuClick();
+    });
     
     // Save score handler
     saveScoreBtn.addEventListener('click', () => {
         const name = playerNameInput.value.trim() || 'PILOT';
-        const rank = addScore(name, gameState.score, gameState.level);
+        const rank = addScore(name, sim.score, sim.level, modeStats());
         nameInputSection.classList.add('hidden');
         addConsoleMessage(`Score saved! Rank #${rank + 1}`, 'commander');
         soundManager.menuClick();
@@ -1343,6 +1388,29 @@ async function initGame() {
         }
     });
     
+    // Replay handlers
+    loadReplayBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = '';
+        if (file) loadReplayFile(file);
+    });
+    watchReplayBtn.addEventListener('click', () => {
+        if (lastReplay) flow.transition('replay', { replay: lastReplay });
+    });
+    downloadReplayBtn.addEventListener('click', () => {
+        if (lastReplay) downloadReplay(lastReplay);
+    });
+    replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+    replaySeek.addEventListener('input', () => seekReplay(Number(replaySeek.value)));
+    replaySpeedBtns.forEach(btn => {
+        btn.addEventListener('click', () => setReplaySpeed(Number(btn.dataset.speed)));
+    });
+    replayExitBtn.addEventListener('click', exitReplay);
+    
+    // Fullscreen handler
+    fullscreenBtn.addEventListener('click', toggleFullscreen);
+    
     // Sound toggle handler
     soundToggleBtn.addEventListener('click', () => {
         soundManager.init(); // Ensure initialized
@@ -1350,101 +1418,225 @@ async function initGame() {
         soundToggleBtn.textContent = enabled ? '🔊 SOUND' : '🔇 MUTED';
         soundToggleBtn.classList.toggle('muted', !enabled);
         if (enabled) soundManager.menuClick();
+        syncMothershipSound(flow.is('playing') || replayView.playing);
     });
 }
 
-function startGame() {
-    // Initialize sound (requires user interaction)
-    soundManager.init();
-    soundManager.startGame();
+/**
+ * The mode's own result for the leaderboard, or the day of a daily
+ * challenge
+ */
+function modeStats() {
+    if (gameState.daily) return { day: gameState.daily.date };
+    
+    switch (sim.mode) {
+        case 'endless':
+            return { time: Math.floor(sim.playTime) };
+        case 'timeAttack':
+            return { waves: sim.wavesCleared };
+        default:
+            return {};
+    }
+}
+
+function resetGameState() {
+    gameState.lastTauntTime = 0;
+    gameState.lastCommentTime = 0;
     
-    // Hide start screen
-    startScreen.classList.add('hidden');
+    // Fresh run: score, lives, level, weapon and a new wave. The daily
+    // challenge is the same Waves run on Normal for everyone that day.
+    const daily = gameState.daily;
+    sim.setDifficulty(daily ? DEFAULT_DIFFICULTY : gameState.difficulty);
+    sim.setAdaptive(daily ? false : gameState.adaptive);
+    sim.setMode(daily ? DEFAULT_MODE : gameState.mode);
+    sim.setModifiers(daily ? daily.modifiers : []);
+    sim.reset(daily ? daily.seed : fixedSeed ?? randomSeed());
+    recorder = new InputRecorder(sim.seed, sim.difficulty, sim.adaptive, sim.mode, sim.modifiers);
+    renderer.clearEffects();
+    updateWeaponDisplay();
+    updateShieldDisplay();
+}
+
+function loadHighScore() {
+    const leaderboard = getLeaderboard();
+    gameState.highScore = leaderboard.length > 0 ? leaderboard[0].score : 0;
+}
+
+// ============================================
+// Mode and Difficulty
+// ============================================
+
+const MODE_KEY = 'spaceInvadersMode';
+const DIFFICULTY_KEY = 'spaceInvadersDifficulty';
+const ADAPTIVE_KEY = 'spaceInvadersAdaptive';
+
+function loadMode() {
+    try {
+        const saved = localStorage.getItem(MODE_KEY);
+        return Object.hasOwn(GAME_MODES, saved) ? saved : DEFAULT_MODE;
+    } catch (e) {
+        return DEFAULT_MODE;
+    }
+}
+
+/**
+ * Pick the mode for the next run; the HUD high score follows its board
+ */
+function selectMode(mode) {
+    gameState.mode = mode;
+    try {
+        localStorage.setItem(MODE_KEY, mode);
+    } catch (e) {
+        console.warn('Could not save game mode:', e);
+    }
     
-    // Reset game state
     resetGameState();
-    
-    // Create player and enemies
-    player = new Player();
-    createEnemies();
-    
-    // Update HUD
+    loadHighScore();
     updateHUD();
-    
-    // Get initial briefing
-    llmManager.generateBriefing(1, 0).then(briefing => {
-        addConsoleMessage(briefing, "briefing");
-    });
-    
-    // Start game
-    gameState.running = true;
-    requestAnimationFrame(gameLoop);
+    updateRunOptions();
 }
 
-function restartGame() {
-    // Hide overlays
-    gameOverScreen.classList.add('hidden');
+function loadDifficulty() {
+    try {
+        const saved = localStorage.getItem(DIFFICULTY_KEY);
+        return Object.hasOwn(DIFFICULTY_PRESETS, saved) ? saved : DEFAULT_DIFFICULTY;
+    } catch (e) {
+        return DEFAULT_DIFFICULTY;
+    }
+}
+
+/**
+ * Pick the preset for the next run; the HUD high score follows its board
+ */
+function selectDifficulty(difficulty) {
+    gameState.difficulty = difficulty;
+    try {
+        localStorage.setItem(DIFFICULTY_KEY, difficulty);
+    } catch (e) {
+        console.warn('Could not save difficulty:', e);
+    }
     
-    // Reset state
     resetGameState();
-    
-    // Clear console
-    aiConsole.innerHTML = '';
-    addConsoleMessage("Reinitializing combat systems...", "system");
-    
-    // Create new game objects
-    player = new Player();
-    createEnemies();
-    playerProjectiles = [];
-    enemyProjectiles = [];
-    powerUps = [];
-    particles = [];
-    enemyDirection = 1;
-    
-    // Update HUD
+    loadHighScore();
     updateHUD();
+    updateRunOptions();
+}
+
+function loadAdaptive() {
+    try {
+        return localStorage.getItem(ADAPTIVE_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Switch the difficulty director on or off for the next run
+ */
+function toggleAdaptive() {
+    gameState.adaptive = !gameState.adaptive;
+    try {
+        localStorage.setItem(ADAPTIVE_KEY, String(gameState.adaptive));
+    } catch (e) {
+        console.warn('Could not save adaptive setting:', e);
+    }
+    
+    resetGameState();
+    updateRunOptions();
+}
+
+/**
+ * Show the picked mode, difficulty and adaptive setting on the start screen
+ */
+function updateRunOptions() {
+    modeBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === gameState.mode);
+    });
+    modeDescription.textContent = GAME_MODES[gameState.mode].description;
     
-    // Get briefing
-    llmManager.generateBriefing(1, 0).then(briefing => {
-        addConsoleMessage(briefing, "briefing");
+    difficultyBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.difficulty === gameState.difficulty);
     });
+    difficultyDescription.textContent = DIFFICULTY_PRESETS[gameState.difficulty].description;
     
-    // Start game
-    gameState.running = true;
-    requestAnimationFrame(gameLoop);
+    adaptiveBtn.textContent = `ADAPTIVE: ${gameState.adaptive ? 'ON' : 'OFF'}`;
+    adaptiveBtn.classList.toggle('active', gameState.adaptive);
+    adaptiveNote.textContent = gameState.adaptive ?
+        'Unranked: the invaders adapt to how you play' :
+        'Ranked: scores go on the leaderboard';
 }
 
-function resetGameState() {
-    gameState.running = false;
-    gameState.paused = false;
-    gameState.gameOver = false;
-    gameState.levelComplete = false;
-    gameState.score = 0;
-    gameState.lives = CONFIG.player.lives;
-    gameState.level = 1;
-    gameState.shotsFired = 0;
-    gameState.shotsHit = 0;
-    gameState.enemiesDefeated = 0;
-    gameState.lastTauntTime = 0;
-    gameState.lastCommentTime = 0;
-    gameState.keys = { left: false, right: false, space: false };
-    gameState.canShoot = true;
-    
-    // Reset weapon
-    if (gameState.weaponTimer) {
-        clearTimeout(gameState.weaponTimer);
+/**
+ * Whether the run's score can go on a leaderboard: adaptive runs and
+ * repeat attempts at the daily challenge are unranked
+ */
+function isRanked() {
+    return gameState.daily ? gameState.daily.ranked : !sim.adaptive;
+}
+
+/**
+ * What kind of run the game over screen's seed line belongs to
+ */
+function runLabel() {
+    const daily = gameState.daily;
+    if (daily) return daily.ranked ? ` - DAILY ${daily.date}` : ' - UNRANKED (DAILY PRACTICE)';
+    return sim.adaptive ? ' - UNRANKED (ADAPTIVE)' : '';
+}
+
+/**
+ * Log what the difficulty director changed, and why
+ */
+function announceDifficulty({ direction, reasons, fireRate, marchSpeed, powerUpChance }) {
+    const verb = direction === 'harder' ? 'Raising' : 'Easing';
+    addConsoleMessage(
+        `Director: ${verb} the pressure (${reasons.join(', ')}). ` +
+        `Enemy fire x${fireRate}, march x${marchSpeed}, drops x${powerUpChance}.`,
+        "system"
+    );
+}
+
+// ============================================
+// Daily Challenge
+// ============================================
+
+const DAILY_ATTEMPT_KEY = 'spaceInvadersDailyAttempt';
+
+/**
+ * Date of the last daily challenge attempted, if any
+ */
+function loadDailyAttempt() {
+    try {
+        return localStorage.getItem(DAILY_ATTEMPT_KEY);
+    } catch (e) {
+        return null;
     }
-    gameState.currentWeapon = 'basic';
-    updateWeaponDisplay();
 }
 
-function loadHighScore() {
-    const leaderboard = getLeaderboard();
-    if (leaderboard.length > 0) {
-        gameState.highScore = leaderboard[0].score;
+function saveDailyAttempt(date) {
+    try {
+        localStorage.setItem(DAILY_ATTEMPT_KEY, date);
+    } catch (e) {
+        console.warn('Could not save daily challenge attempt:', e);
     }
 }
 
+/**
+ * Today's modifiers on the start screen, and whether the scored
+ * attempt has been used
+ */
+function updateDailyDisplay() {
+    const challenge = challengeForDate();
+    dailyModifiers.textContent = challenge.modifiers
+        .map(id => CHALLENGE_MODIFIERS[id].name)
+        .join(' + ');
+    
+    const attempted = loadDailyAttempt() === challenge.date;
+    dailyBtn.textContent = attempted ? 'DAILY PRACTICE' : 'DAILY CHALLENGE';
+    dailyNote.textContent = attempted ?
+        "Today's scored attempt is used - practice runs are unranked" :
+        `${challenge.date}: one scored attempt, same seed for everyone`;
+}
+
 // ============================================
 // Start the game
 // ============================================
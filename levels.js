@@ -0,0 +1,236 @@
+/**
+ * ===========================================
+ * Level Module
+ * Wave definitions loaded from JSON files
+ * ===========================================
+ * 
+ * Levels are authored as JSON files in levels/, listed in order in
+ * levels/index.json (the first file is level 1). Every field of a
+ * level is optional; anything left out comes from the procedural
+ * wave for that level (see proceduralWave in simulation.js), and
+ * levels past the last file are fully procedural.
+ * 
+ * A level file looks like:
+ * 
+ *   {
+ *     "name": "First Contact",
+ *     "formation": ["OOOOOOO", "XXXXXXX", "SSSSSSS"],
+ *     "movement": { "pattern": "march", "speed": 1, "drop": 20 },
+ *     "fireRate": 0.06,
+ *     "dive": { "rate": 0.12, "aim": 0.4 },
+ *     "powerUps": { "chance": 0.08, "weights": { "spread": 20, "bomb": 5 } },
+ *     "bunkers": { "count": 4, "shape": "classic" }
+ *   }
+ * 
+ * Rates are tuned for Normal; other difficulty presets scale the
+ * fire rate, drop, dive rate and aim and power-up chance by the same
+ * ratio as they scale the defaults (see scaleLevel in simulation.js).
+ * 
+ * Formation rows use O (officer), X (soldier) and S (scout), with
+ * '.' or a space for an empty slot. "boss": true makes the level a
+ * boss fight, and the formation is ignored.
+ */
+
+import { CONFIG, ENEMY_TYPES } from './simulation.js';
+import { BUNKER_SHAPES } from './bunkers.js';
+
+const LEVEL_DIRECTORY = 'levels/';
+const LEVEL_INDEX = 'index.json';
+
+// Formation characters and the enemy type they place
+const FORMATION_LEGEND = {
+    O: 'officer',
+    X: 'soldier',
+    S: 'scout'
+};
+
+const MOVEMENT_PATTERNS = ['march', 'sway'];
+
+// Most columns that fit across the canvas with a margin for marching
+const MAX_COLUMNS = Math.floor((CONFIG.canvas.width - 20 + CONFIG.enemy.padding) /
+    (CONFIG.enemy.width + CONFIG.enemy.padding));
+const MAX_ROWS = 6;
+const MAX_BUNKERS = 6;
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a parsed level file and convert it to a level definition.
+ * Only the fields present in the file are returned. Throws an Error
+ * naming `source` and the problem when the level is unusable.
+ */
+function parseLevel(data, source = 'level') {
+    const fail = message => {
+        throw new Error(`${source}: ${message}`);
+    };
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        fail('level must be a JSON object');
+    }
+    
+    const level = {};
+    
+    if (data.name !== undefined) {
+        if (typeof data.name !== 'string') fail('name must be a string');
+        level.name = data.name;
+    }
+    
+    if (data.boss !== undefined) {
+        if (typeof data.boss !== 'boolean') fail('boss must be true or false');
+        level.boss = data.boss;
+    }
+    
+    if (data.formation !== undefined) {
+        level.formation = parseFormation(data.formation, fail);
+    }
+    
+    if (data.movement !== undefined) {
+        const movement = data.movement;
+        if (!movement || typeof movement !== 'object') fail('movement must be an object');
+        level.movement = {};
+        if (movement.pattern !== undefined) {
+            if (!MOVEMENT_PATTERNS.includes(movement.pattern)) {
+                fail(`movement.pattern must be one of ${MOVEMENT_PATTERNS.join(', ')}`);
+            }
+            level.movement.pattern = movement.pattern;
+        }
+        if (movement.speed !== undefined) {
+            if (!isNumber(movement.speed) || movement.speed <= 0) fail('movement.speed must be a positive number');
+            level.movement.speed = movement.speed;
+        }
+        if (movement.drop !== undefined) {
+            if (!isNumber(movement.drop) || movement.drop < 0) fail('movement.drop must be a number >= 0');
+            level.movement.drop = movement.drop;
+        }
+    }
+    
+    if (data.fireRate !== undefined) {
+        if (!isNumber(data.fireRate) || data.fireRate < 0) fail('fireRate must be a number >= 0');
+        level.fireRate = data.fireRate;
+    }
+    
+    if (data.dive !== undefined) {
+        const dive = data.dive;
+        if (!dive || typeof dive !== 'object') fail('dive must be an object');
+        level.dive = {};
+        if (dive.rate !== undefined) {
+            if (!isNumber(dive.rate) || dive.rate < 0) fail('dive.rate must be a number >= 0');
+            level.dive.rate = dive.rate;
+        }
+        if (dive.aim !== undefined) {
+            if (!isNumber(dive.aim) || dive.aim < 0 || dive.aim > 1) fail('dive.aim must be between 0 and 1');
+            level.dive.aim = dive.aim;
+        }
+    }
+    
+    if (data.powerUps !== undefined) {
+        level.powerUps = parsePowerUps(data.powerUps, fail);
+    }
+    
+    if (data.bunkers !== undefined) {
+        const bunkers = data.bunkers;
+        if (!bunkers || typeof bunkers !== 'object') fail('bunkers must be an object');
+        if (!Number.isInteger(bunkers.count) || bunkers.count < 0 || bunkers.count > MAX_BUNKERS) {
+            fail(`bunkers.count must be a whole number from 0 to ${MAX_BUNKERS}`);
+        }
+        const shape = bunkers.shape ?? 'classic';
+        if (!(shape in BUNKER_SHAPES)) fail(`unknown bunker shape "${shape}"`);
+        level.bunkers = { count: bunkers.count, shape };
+    }
+    
+    return level;
+}
+
+/**
+ * Formation strings to rows of enemy types (null for empty slots)
+ */
+function parseFormation(rows, fail) {
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_ROWS) {
+        fail(`formation must be a list of 1 to ${MAX_ROWS} rows`);
+    }
+    
+    let enemies = 0;
+    const formation = rows.map((row, index) => {
+        if (typeof row !== 'string') fail(`formation row ${index + 1} must be a string`);
+        if (row.length > MAX_COLUMNS) fail(`formation row ${index + 1} is wider than ${MAX_COLUMNS} columns`);
+        
+        return [...row].map(char => {
+            if (char === '.' || char === ' ') return null;
+            const type = FORMATION_LEGEND[char];
+            if (!type || !(type in ENEMY_TYPES)) fail(`unknown formation character "${char}"`);
+            enemies++;
+            return type;
+        });
+    });
+    
+    if (enemies === 0) fail('formation has no enemies');
+    return formation;
+}
+
+function parsePowerUps(powerUps, fail) {
+    if (!powerUps || typeof powerUps !== 'object') fail('powerUps must be an object');
+    
+    const result = {};
+    if (powerUps.chance !== undefined) {
+        if (!isNumber(powerUps.chance) || powerUps.chance < 0 || powerUps.chance > 1) {
+            fail('powerUps.chance must be between 0 and 1');
+        }
+        result.chance = powerUps.chance;
+    }
+    
+    if (powerUps.weights !== undefined) {
+        const weights = powerUps.weights;
+        if (!weights || typeof weights !== 'object') fail('powerUps.weights must be an object');
+        for (const [type, weight] of Object.entries(weights)) {
+            if (!CONFIG.powerUp.types.includes(type)) fail(`unknown power-up "${type}"`);
+            if (!isNumber(weight) || weight < 0) fail(`weight for "${type}" must be a number >= 0`);
+        }
+        if (!Object.values(weights).some(weight => weight > 0)) {
+            fail('powerUps.weights needs at least one positive weight');
+        }
+        result.weights = { ...weights };
+    }
+    return result;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Fetch and validate every level listed in levels/index.json.
+ * Rejects with the first problem found; callers fall back to
+ * procedural waves.
+ */
+async function loadLevels(fetchFile = fetch, directory = LEVEL_DIRECTORY) {
+    const readJson = async file => {
+        const response = await fetchFile(directory + file);
+        if (!response.ok) {
+            throw new Error(`${file}: HTTP ${response.status}`);
+        }
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new Error(`${file}: not valid JSON`);
+        }
+    };
+    
+    const index = await readJson(LEVEL_INDEX);
+    if (!index || !Array.isArray(index.levels) || !index.levels.every(file => typeof file === 'string')) {
+        throw new Error(`${LEVEL_INDEX}: "levels" must be a list of file names`);
+    }
+    
+    const levels = [];
+    for (const file of index.levels) {
+        levels.push(parseLevel(await readJson(file), file));
+    }
+    return levels;
+}
+
+export { FORMATION_LEGEND, MOVEMENT_PATTERNS, parseLevel, loadLevels };
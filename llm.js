@@ -142,6 +142,29 @@ const FALLBACK_RESPONSES = {
         "Threat level increasing. Stay sharp, commander."
     ],
     
+    modeBriefings: {
+        endless: [
+            "They're not stopping, pilot. Hold the line as long as you can.",
+            "Endless invasion detected. Every second you survive counts.",
+            "Reinforcements will keep coming. So will you. Survive!",
+            "No waves, no breaks. Just you against the swarm."
+        ],
+        timeAttack: [
+            "Three minutes on the clock. Clear every wave you can!",
+            "The clock is ticking, pilot. Speed is everything.",
+            "Fast and accurate - waste no time out there!",
+            "Beat the clock. Every wave cleared is a victory."
+        ]
+    },
+    
+    // {modifiers} is filled in with the day's modifiers
+    challengeBriefings: [
+        "Today's orders: {modifiers}. One shot at glory, pilot.",
+        "Command has set the terms: {modifiers}. Make your attempt count.",
+        "Daily challenge confirmed - {modifiers}. Every pilot faces the same sky today.",
+        "Conditions for today: {modifiers}. No second chances on the board."
+    ],
+    
     levelDescriptions: [
         "Sector Alpha - The invasion begins.",
         "Sector Beta - Enemy forces intensify.",
@@ -158,6 +181,30 @@ const FALLBACK_RESPONSES = {
         "Special weapon cache detected!"
     ],
     
+    shieldHints: [
+        "Shield generator spotted! Grab it and soak up their fire!",
+        "Energy bubble incoming - three hits of free protection!",
+        "Shield cell drifting down. Catch it before you need it!",
+        "Deflector power-up detected! Let their shots bounce off!",
+        "Shield bubble available - take it and press the attack!"
+    ],
+    
+    mothershipCallouts: [
+        "Mothership on the top lane! Take the shot!",
+        "Enemy command ship inbound - big bounty on that hull!",
+        "Saucer crossing overhead. Don't let it escape!",
+        "Mothership detected! Mystery bonus for a direct hit!",
+        "Command vessel in range. Light it up, pilot!"
+    ],
+    
+    bossIntros: [
+        "I am the Overlord of this sector. Your journey ends here!",
+        "You have destroyed my scouts. Now face me, human!",
+        "My hull has crushed a thousand worlds. Yours is next!",
+        "Bow before the flagship of the invasion fleet!",
+        "Enough games, Earthling. I will finish this myself!"
+    ],
+    
     performanceComments: {
         excellent: [
             "Outstanding performance, pilot!",
@@ -498,6 +545,69 @@ class LLMManager {
         return this.getRandomFallback('briefings');
     }
     
+    /**
+     * Generate the opening briefing for an Endless or Time Attack run.
+     * Called on the briefing screen in place of the level briefing.
+     */
+    async generateModeBriefing(mode) {
+        const context = { mode };
+        
+        if (LLM_CONFIG.cacheEnabled) {
+            const cached = this.cache.get('modeBriefing', context);
+            if (cached) return cached;
+        }
+        
+        const systemPrompt = `You are an AI Commander guiding a pilot in a Space Invaders game. Brief the pilot on the challenge ahead. Keep it under 25 words. Be urgent and encouraging.`;
+        
+        const userPrompt = mode === 'endless'
+            ? `Endless mode: rows of invaders stream in without end and grow more dangerous over time. The pilot must survive as long as possible. Brief them.`
+            : `Time Attack mode: the pilot has 3 minutes to clear as many invader waves as possible. Brief them.`;
+        
+        const response = await this.sendPrompt(systemPrompt, userPrompt, {
+            maxTokens: 60,
+            temperature: 0.8
+        });
+        
+        if (response) {
+            this.cache.set('modeBriefing', context, response);
+            return response;
+        }
+        
+        return this.getRandomFallback('modeBriefings', mode);
+    }
+    
+    /**
+     * Generate the opening briefing for the daily challenge, describing
+     * the day's modifiers ([{ name, description }]).
+     * Called on the briefing screen in place of the level briefing.
+     */
+    async generateChallengeBriefing(date, modifiers) {
+        const context = { date, modifiers: modifiers.map(m => m.name) };
+        
+        if (LLM_CONFIG.cacheEnabled) {
+            const cached = this.cache.get('challengeBriefing', context);
+            if (cached) return cached;
+        }
+        
+        const systemPrompt = `You are an AI Commander guiding a pilot in a Space Invaders game. Brief the pilot on today's daily challenge and the special rules in force. Keep it under 35 words. Be urgent and encouraging.`;
+        
+        const rules = modifiers.map(m => `${m.name} (${m.description})`).join('; ');
+        const userPrompt = `Daily challenge for ${date}. Every pilot gets one scored attempt today. Special rules: ${rules}. Brief them on these rules.`;
+        
+        const response = await this.sendPrompt(systemPrompt, userPrompt, {
+            maxTokens: 80,
+            temperature: 0.8
+        });
+        
+        if (response) {
+            this.cache.set('challengeBriefing', context, response);
+            return response;
+        }
+        
+        return this.getRandomFallback('challengeBriefings')
+            .replace('{modifiers}', listNames(modifiers));
+    }
+    
     /**
      * Generate a procedural level description.
      * Provides flavor text for each level.
@@ -542,7 +652,10 @@ class LLMManager {
         
         const systemPrompt = `You are an AI Commander in a Space Invaders game. Alert the pilot about a power-up. Keep it under 12 words. Sound excited but professional.`;
         
-        const userPrompt = `A ${powerUpType} power-up has appeared. Alert the pilot!`;
+        // The shield is a bubble that absorbs hits, not a generic boost
+        const userPrompt = powerUpType === 'shield'
+            ? `A shield power-up has appeared. It puts an energy bubble around the ship that absorbs enemy shots. Alert the pilot!`
+            : `A ${powerUpType} power-up has appeared. Alert the pilot!`;
         
         const response = await this.sendPrompt(systemPrompt, userPrompt, {
             maxTokens: 30,
@@ -554,7 +667,65 @@ class LLMManager {
             return response;
         }
         
-        return this.getRandomFallback('powerUpHints');
+        return this.getRandomFallback(powerUpType === 'shield' ? 'shieldHints' : 'powerUpHints');
+    }
+    
+    /**
+     * Generate a callout when the mothership appears.
+     * Called as it starts crossing the top lane.
+     */
+    async generateMothershipCallout(level = 1) {
+        const context = { level };
+        
+        if (LLM_CONFIG.cacheEnabled) {
+            const cached = this.cache.get('mothership', context);
+            if (cached) return cached;
+        }
+        
+        const systemPrompt = `You are an AI Commander in a Space Invaders game. An alien mothership is crossing the top of the screen and is worth mystery bonus points. Urge the pilot to shoot it down. Keep it under 12 words.`;
+        
+        const userPrompt = `A mothership has appeared on level ${level}. Alert the pilot!`;
+        
+        const response = await this.sendPrompt(systemPrompt, userPrompt, {
+            maxTokens: 30,
+            temperature: 0.8
+        });
+        
+        if (response) {
+            this.cache.set('mothership', context, response);
+            return response;
+        }
+        
+        return this.getRandomFallback('mothershipCallouts');
+    }
+    
+    /**
+     * Generate the boss's intro line for a boss level.
+     * Called on the briefing screen before the fight.
+     */
+    async generateBossIntro(level) {
+        const context = { level };
+        
+        if (LLM_CONFIG.cacheEnabled) {
+            const cached = this.cache.get('bossIntro', context);
+            if (cached) return cached;
+        }
+        
+        const systemPrompt = `You are a giant alien boss in a Space Invaders game, about to fight the human pilot. Deliver a short, dramatic entrance line. Keep it under 20 words. Be menacing but appropriate for all ages.`;
+        
+        const userPrompt = `The boss appears on level ${level}. Introduce yourself to the pilot.`;
+        
+        const response = await this.sendPrompt(systemPrompt, userPrompt, {
+            maxTokens: 50,
+            temperature: 0.9
+        });
+        
+        if (response) {
+            this.cache.set('bossIntro', context, response);
+            return response;
+        }
+        
+        return this.getRandomFallback('bossIntros');
     }
     
     /**
@@ -659,6 +830,15 @@ class LLMManager {
     }
 }
 
+/**
+ * "missiles only, one life and no cover" from [{ name }]
+ */
+function listNames(items) {
+    const names = items.map(item => item.name.toLowerCase());
+    if (names.length < 2) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
 // Create and export singleton instance
 const llmManager = new LLMManager();
 
@@ -0,0 +1,36 @@
+/**
+ * ===========================================
+ * Game Modes
+ * How a run is structured
+ * ===========================================
+ *
+ * Waves is the game as it has always been: clear a level, get a
+ * briefing, take on the next. Endless drops the levels - new rows
+ * of invaders keep streaming in at the top and the attack ramps up
+ * with every CONFIG.modes.endless.rampInterval seconds survived.
+ * Time Attack plays the usual waves against a clock of
+ * CONFIG.modes.timeAttack.duration seconds of play.
+ *
+ * The rules themselves live in GameSimulation; this is what the
+ * start screen, leaderboards and replays need to know about a mode.
+ */
+
+const DEFAULT_MODE = 'waves';
+
+// Modes in the order the start screen lists them
+const GAME_MODES = {
+    waves: {
+        name: 'WAVES',
+        description: 'Clear wave after wave, with a boss every fifth level'
+    },
+    endless: {
+        name: 'ENDLESS',
+        description: 'Invaders stream in without end - survive as long as you can'
+    },
+    timeAttack: {
+        name: 'TIME ATTACK',
+        description: 'Clear as many waves as you can in 3 minutes'
+    }
+};
+
+export { DEFAULT_MODE, GAME_MODES };
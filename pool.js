@@ -0,0 +1,70 @@
+/**
+ * ===========================================
+ * Object Pool
+ * Reuse short-lived entities instead of allocating
+ * ===========================================
+ *
+ * Projectiles and explosion particles are created and thrown away
+ * many times a second. Recycling them through a pool, and removing
+ * dead ones from their lists in place, keeps the garbage collector
+ * quiet during play.
+ */
+
+class Pool {
+    /**
+     * @param {Function} create - Makes a new instance when the pool is empty
+     */
+    constructor(create) {
+        this.create = create;
+        this.free = [];
+        this.created = 0;
+    }
+    
+    /**
+     * Take a recycled instance, or a new one. The caller re-initializes it.
+     */
+    acquire() {
+        if (this.free.length > 0) {
+            return this.free.pop();
+        }
+        this.created++;
+        return this.create();
+    }
+    
+    release(item) {
+        this.free.push(item);
+    }
+    
+    get available() {
+        return this.free.length;
+    }
+}
+
+/**
+ * Drop inactive items from `items` in place, keeping the order of the
+ * rest, and hand the dropped ones back to `pool` when one is given.
+ */
+function compactActive(items, pool = null) {
+    let kept = 0;
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (item.active) {
+            items[kept++] = item;
+        } else if (pool) {
+            pool.release(item);
+        }
+    }
+    items.length = kept;
+    return items;
+}
+
+/**
+ * Empty `items` in place, returning everything to `pool`
+ */
+function releaseAll(items, pool) {
+    for (const item of items) pool.release(item);
+    items.length = 0;
+    return items;
+}
+
+export { Pool, compactActive, releaseAll };
@@ -0,0 +1,704 @@
+/**
+ * ===========================================
+ * Canvas Renderer Module
+ * Draws the simulation state to a 2D canvas
+ * ===========================================
+ *
+ * The renderer only reads simulation state - it never changes it.
+ * It also owns purely cosmetic effects (background stars and
+ * explosion particles), which are fed by simulation events and
+ * have no influence on gameplay.
+ */
+
+import { CONFIG } from './simulation.js';
+import { Pool, compactActive, releaseAll } from './pool.js';
+import { SpriteCache } from './sprites.js';
+
+// Glow radius (shadowBlur) baked into projectile sprites
+const SHOT_GLOW = 10;
+const LASER_GLOW = 15;
+
+// Invader bitmap: pixel size and offset from the enemy position
+const ENEMY_PIXEL = 5;
+const ENEMY_SPRITE_BOUNDS = { x: -2, y: -5, width: 9 * ENEMY_PIXEL, height: 8 * ENEMY_PIXEL };
+
+// Bunker cell colour
+const BUNKER_COLOR = '#00ff41';
+
+// Mothership saucer bitmap (3px pixels, 48x21)
+const MOTHERSHIP_PIXEL = 3;
+const MOTHERSHIP_COLOR = '#ff00ff';
+const MOTHERSHIP_PATTERN = [
+    '.....######.....',
+    '...##########...',
+    '..############..',
+    '.##.##.##.##.##.',
+    '################',
+    '..###..##..###..',
+    '...#........#...'
+];
+
+// Boss hull bitmaps (5px pixels) per segment kind
+const BOSS_PIXEL = 5;
+const BOSS_COLOR = '#ff00ff';
+const BOSS_PATTERNS = {
+    core: [
+        '.....######.....',
+        '...##########...',
+        '..############..',
+        '.###..####..###.',
+        '################',
+        '################',
+        '##.##########.##',
+        '#...########...#',
+        '....##....##....',
+        '...##......##...'
+    ],
+    pod: [
+        '..####..',
+        '.######.',
+        '########',
+        '##.##.##',
+        '########',
+        '.#.##.#.',
+        '#......#'
+    ]
+};
+
+// Boss health bar, just below the HUD
+const BOSS_BAR = { x: 150, y: 52, width: 300, height: 6 };
+
+// Enemy colours per type, and the colour of the hit flash
+const ENEMY_COLORS = {
+    officer: '#ff0040',
+    soldier: '#ff6b35',
+    scout: '#ffdd00'
+};
+const ENEMY_FLASH_COLOR = '#ffffff';
+
+// Health pips shown while an enemy flashes: filled for remaining HP
+const HEALTH_PIP_FULL = '#00ff41';
+const HEALTH_PIP_EMPTY = '#444444';
+
+// Invulnerable player ship: blinks this many times a second, dimmed to this alpha
+const PLAYER_BLINK_RATE = 8;
+const PLAYER_BLINK_ALPHA = 0.25;
+
+// Missile lock-on reticle: bracket colour, px outside the target, pulse rate (rad/s)
+const LOCK_ON_COLOR = '#ff00ff';
+const LOCK_ON_PAD = 4;
+const LOCK_ON_PULSE = 12;
+
+// Shield bubble: outline and fill, fading as it takes hits
+const SHIELD_COLOR = '#00bfff';
+const SHIELD_FILL = 'rgba(0, 191, 255, 0.12)';
+
+// Two-frame invader bitmaps per enemy type
+const ENEMY_PATTERNS = {
+    scout: [
+        [
+            [0,0,0,0,1,0,0,0,0],
+            [0,0,0,1,1,1,0,0,0],
+            [0,0,1,1,1,1,1,0,0],
+            [0,1,1,0,1,0,1,1,0],
+            [0,1,1,1,1,1,1,1,0],
+            [0,0,1,0,1,0,1,0,0],
+            [0,1,0,0,0,0,0,1,0],
+            [0,0,1,0,0,0,1,0,0]
+        ],
+        [
+            [0,0,0,0,1,0,0,0,0],
+            [0,0,0,1,1,1,0,0,0],
+            [0,0,1,1,1,1,1,0,0],
+            [0,1,1,0,1,0,1,1,0],
+            [0,1,1,1,1,1,1,1,0],
+            [0,0,0,1,0,1,0,0,0],
+            [0,0,1,0,1,0,1,0,0],
+            [0,1,0,1,0,1,0,1,0]
+        ]
+    ],
+    soldier: [
+        [
+            [0,0,1,0,0,0,1,0,0],
+            [0,0,0,1,1,1,0,0,0],
+            [0,0,1,1,1,1,1,0,0],
+            [0,1,1,0,1,0,1,1,0],
+            [1,1,1,1,1,1,1,1,1],
+            [1,0,1,1,1,1,1,0,1],
+            [1,0,1,0,0,0,1,0,1],
+            [0,0,0,1,0,1,0,0,0]
+        ],
+        [
+            [0,0,1,0,0,0,1,0,0],
+            [1,0,0,1,1,1,0,0,1],
+            [1,0,1,1,1,1,1,0,1],
+            [1,1,1,0,1,0,1,1,1],
+            [1,1,1,1,1,1,1,1,1],
+            [0,1,1,1,1,1,1,1,0],
+            [0,0,1,0,0,0,1,0,0],
+            [0,1,0,0,0,0,0,1,0]
+        ]
+    ],
+    officer: [
+        [
+            [0,0,1,1,1,1,1,0,0],
+            [0,1,1,1,1,1,1,1,0],
+            [1,1,1,1,1,1,1,1,1],
+            [1,1,0,0,1,0,0,1,1],
+            [1,1,1,1,1,1,1,1,1],
+            [0,0,1,1,0,1,1,0,0],
+            [0,1,1,0,1,0,1,1,0],
+            [1,1,0,0,0,0,0,1,1]
+        ],
+        [
+            [0,0,1,1,1,1,1,0,0],
+            [0,1,1,1,1,1,1,1,0],
+            [1,1,1,1,1,1,1,1,1],
+            [1,1,0,0,1,0,0,1,1],
+            [1,1,1,1,1,1,1,1,1],
+            [0,1,1,1,0,1,1,1,0],
+            [1,1,0,0,1,0,0,1,1],
+            [0,1,1,0,0,0,1,1,0]
+        ]
+    ]
+};
+
+// Power-up colours by type
+const POWER_UP_COLORS = {
+    spread: '#ff6b35',
+    laser: '#ff0040',
+    rapid: '#ffdd00',
+    missile: '#ff00ff',
+    shield: '#00bfff',
+    extraLife: '#00ff41',
+    bomb: '#ff4444',
+    bonus: '#ffd700'
+};
+
+/**
+ * Blend between the previous and current simulation state.
+ * Rendering happens between fixed ticks, so drawing at the
+ * interpolated position keeps motion smooth on any refresh rate.
+ */
+function lerp(from, to, alpha) {
+    return from + (to - from) * alpha;
+}
+
+// ============================================
+// Particle Class (for explosions)
+// ============================================
+
+class Particle {
+    constructor(...args) {
+        this.init(...args);
+    }
+    
+    /**
+     * (Re)initialize, so pooled particles can be reused
+     */
+    init(x = 0, y = 0, color = '#fff') {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.color = color;
+        this.vx = (Math.random() - 0.5) * 2 * CONFIG.particle.speed;
+        this.vy = (Math.random() - 0.5) * 2 * CONFIG.particle.speed;
+        this.life = 1;
+        this.decay = CONFIG.particle.fadeRate * (1 + Math.random());
+        this.size = 2 + Math.random() * 4;
+        return this;
+    }
+    
+    update(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        this.life -= this.decay * dt;
+        this.size *= Math.pow(CONFIG.particle.shrink, dt);
+    }
+    
+    draw(ctx, alpha) {
+        ctx.globalAlpha = Math.max(0, this.life);
+        ctx.fillStyle = this.color;
+        ctx.fillRect(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha), this.size, this.size);
+        ctx.globalAlpha = 1;
+    }
+    
+    get active() {
+        return this.life > 0;
+    }
+}
+
+// ============================================
+// Renderer Class
+// ============================================
+
+class Renderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.stars = [];
+        this.particles = [];
+        this.particlePool = new Pool(() => new Particle());
+        this.sprites = new SpriteCache();
+        
+        // Bunker -> { sprite, revision, scale }; redrawn when the bunker takes damage
+        this.bunkerSprites = new WeakMap();
+        // Invaders under a homing shot's lock, refilled every frame
+        this.lockedTargets = new Set();
+        this.createStars();
+    }
+    
+    // ========================================
+    // Cosmetic Effects
+    // ========================================
+    
+    createStars() {
+        this.stars = [];
+        for (let i = 0; i < 100; i++) {
+            this.stars.push({
+                x: Math.random() * CONFIG.canvas.width,
+                y: Math.random() * CONFIG.canvas.height,
+                size: Math.random() * 2,
+                speed: 12 + Math.random() * 30,     // px/s
+                brightness: Math.random()
+            });
+        }
+    }
+    
+    /**
+     * Spawn a burst of explosion particles
+     */
+    explode(x, y, colors, count = 20) {
+        for (let i = 0; i < count; i++) {
+            const color = colors[Math.floor(Math.random() * colors.length)];
+            this.particles.push(this.particlePool.acquire().init(x, y, color));
+        }
+    }
+    
+    /**
+     * Remove all particles (new game or next level)
+     */
+    clearEffects() {
+        releaseAll(this.particles, this.particlePool);
+    }
+    
+    /**
+     * Advance stars and particles by one fixed step
+     */
+    update(dt) {
+        for (const star of this.stars) {
+            star.y += star.speed * dt;
+            if (star.y > CONFIG.canvas.height) {
+                star.y = 0;
+                star.x = Math.random() * CONFIG.canvas.width;
+            }
+            
+            star.brightness += (Math.random() - 0.5) * 6 * dt;
+            star.brightness = Math.max(0.3, Math.min(1, star.brightness));
+        }
+        
+        for (const particle of this.particles) particle.update(dt);
+        compactActive(this.particles, this.particlePool);
+    }
+    
+    // ========================================
+    // Frame Rendering
+    // ========================================
+    
+    /**
+     * Device pixels per logical unit, so cached sprites match the display
+     */
+    setPixelRatio(ratio) {
+        this.sprites.setScale(ratio);
+    }
+    
+    /**
+     * Draw a frame, interpolating alpha (0-1) of the way from the
+     * previous simulation tick towards the current one.
+     */
+    render(sim, alpha) {
+        const ctx = this.ctx;
+        
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, CONFIG.canvas.width, CONFIG.canvas.height);
+        
+        // Draw background
+        this.drawStars();
+        
+        // Draw everything
+        this.drawPlayer(sim.player, alpha);
+        this.drawShield(sim.player, alpha);
+        for (const bunker of sim.bunkers) this.drawBunker(bunker);
+        for (const enemy of sim.enemies) this.drawEnemy(enemy, alpha);
+        if (sim.mothership) this.drawMothership(sim.mothership, alpha);
+        if (sim.boss) this.drawBoss(sim.boss, alpha);
+        for (const proj of sim.playerProjectiles) this.drawProjectile(proj, alpha);
+        for (const proj of sim.enemyProjectiles) this.drawProjectile(proj, alpha);
+        this.drawLockOns(sim, alpha);
+        for (const powerUp of sim.powerUps) this.drawPowerUp(powerUp, alpha);
+        for (const particle of this.particles) particle.draw(ctx, alpha);
+    }
+    
+    drawStars() {
+        const ctx = this.ctx;
+        for (const star of this.stars) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${star.brightness})`;
+            ctx.fillRect(star.x, star.y, star.size, star.size);
+        }
+    }
+    
+    /**
+     * Blit a cached sprite for an entity at (x, y)
+     */
+    drawSprite(sprite, x, y) {
+        this.ctx.drawImage(sprite.canvas, x + sprite.x, y + sprite.y, sprite.width, sprite.height);
+    }
+    
+    drawPlayer(player, alpha) {
+        // Nothing to draw between losing a ship and the next one arriving
+        if (!player.alive) return;
+        
+        const ctx = this.ctx;
+        const x = lerp(player.prevX, player.x, alpha);
+        const y = player.y;
+        
+        const { width, height, color } = player;
+        const ship = this.sprites.get(`player:${color}`, { x: 0, y: 0, width, height }, sprite => {
+            // Ship body (triangle-ish shape)
+            sprite.fillStyle = color;
+            sprite.beginPath();
+            sprite.moveTo(width / 2, 0);
+            sprite.lineTo(width, height);
+            sprite.lineTo(0, height);
+            sprite.closePath();
+            sprite.fill();
+            
+            // Cockpit
+            sprite.fillStyle = '#00aa30';
+            sprite.beginPath();
+            sprite.moveTo(width / 2, 8);
+            sprite.lineTo(width / 2 + 8, height - 5);
+            sprite.lineTo(width / 2 - 8, height - 5);
+            sprite.closePath();
+            sprite.fill();
+        });
+        
+        // Blink while invulnerable; timed by the simulation so replays match
+        const dimmed = player.invincible > 0 && Math.floor(player.invincible * PLAYER_BLINK_RATE) % 2 === 1;
+        if (dimmed) ctx.globalAlpha = PLAYER_BLINK_ALPHA;
+        
+        this.drawSprite(ship, x, y);
+        
+        // Engine glow flickers, so it is drawn live
+        ctx.fillStyle = '#ff6b35';
+        ctx.fillRect(x + 10, y + player.height, 8, 4 + Math.random() * 3);
+        ctx.fillRect(x + player.width - 18, y + player.height, 8, 4 + Math.random() * 3);
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Energy bubble round the ship, dimmer with each hit it has absorbed
+     */
+    drawShield(player, alpha) {
+        if (!player.alive || player.shield === 0) return;
+        
+        const ctx = this.ctx;
+        const x = lerp(player.prevX, player.x, alpha) + player.width / 2;
+        const y = player.y + player.height / 2;
+        
+        ctx.globalAlpha = 0.3 + 0.7 * (player.shield / CONFIG.shield.hits);
+        ctx.fillStyle = SHIELD_FILL;
+        ctx.strokeStyle = SHIELD_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(x, y, player.width * 0.75, player.height, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Bunkers change only when hit, so each is cached until its
+     * revision moves on
+     */
+    drawBunker(bunker) {
+        if (bunker.destroyed) return;
+        
+        let cached = this.bunkerSprites.get(bunker);
+        if (!cached || cached.revision !== bunker.revision || cached.scale !== this.sprites.scale) {
+            const bounds = { x: 0, y: 0, width: bunker.width, height: bunker.height };
+            const sprite = this.sprites.render(bounds, ctx => {
+                const size = bunker.cellSize;
+                ctx.fillStyle = BUNKER_COLOR;
+                for (let row = 0; row < bunker.rows; row++) {
+                    for (let col = 0; col < bunker.cols; col++) {
+                        if (bunker.isSolid(col, row)) {
+                            ctx.fillRect(col * size, row * size, size, size);
+                        }
+                    }
+                }
+            });
+            cached = { sprite, revision: bunker.revision, scale: this.sprites.scale };
+            this.bunkerSprites.set(bunker, cached);
+        }
+        this.drawSprite(cached.sprite, bunker.x, bunker.y);
+    }
+    
+    drawEnemy(enemy, alpha) {
+        if (!enemy.alive) return;
+        
+        const x = lerp(enemy.prevX, enemy.x, alpha);
+        const y = lerp(enemy.prevY, enemy.y, alpha);
+        
+        // Flash white for a moment after a hit that didn't kill
+        const flashing = enemy.hitFlash > 0;
+        const color = flashing ? ENEMY_FLASH_COLOR : ENEMY_COLORS[enemy.type];
+        this.drawSprite(this.enemySprite(enemy.type, enemy.animFrame, color), x, y);
+        
+        if (flashing) {
+            this.drawHealthPips(enemy, x, y);
+        }
+    }
+    
+    /**
+     * One pip per hit point under the enemy, filled for what is left
+     */
+    drawHealthPips(enemy, x, y) {
+        const ctx = this.ctx;
+        const size = 4;
+        const gap = 2;
+        const width = enemy.maxHp * (size + gap) - gap;
+        const left = x + (enemy.width - width) / 2;
+        
+        for (let i = 0; i < enemy.maxHp; i++) {
+            ctx.fillStyle = i < enemy.hp ? HEALTH_PIP_FULL : HEALTH_PIP_EMPTY;
+            ctx.fillRect(left + i * (size + gap), y + enemy.height + 4, size, size);
+        }
+    }
+    
+    /**
+     * Pixel-art invader for one type, animation frame and colour
+     */
+    enemySprite(type, frame, color) {
+        return this.sprites.get(`enemy:${type}:${frame}:${color}`, ENEMY_SPRITE_BOUNDS, sprite => {
+            const px = ENEMY_PIXEL;
+            const pattern = ENEMY_PATTERNS[type][frame];
+            sprite.fillStyle = color;
+            
+            for (let row = 0; row < pattern.length; row++) {
+                for (let col = 0; col < pattern[row].length; col++) {
+                    if (pattern[row][col]) {
+                        sprite.fillRect(col * px - 2, row * px - 5, px - 1, px - 1);
+                    }
+                }
+            }
+        });
+    }
+    
+    drawBoss(boss, alpha) {
+        const x = lerp(boss.prevX, boss.x, alpha);
+        
+        for (const seg of boss.segments) {
+            if (!seg.alive) continue;
+            const color = seg.hitFlash > 0 ? ENEMY_FLASH_COLOR : BOSS_COLOR;
+            this.drawSprite(this.bossSprite(seg.kind, color), x + seg.offsetX, boss.y + seg.offsetY);
+        }
+        
+        this.drawBossHealth(boss);
+    }
+    
+    /**
+     * Pixel-art hull piece for one segment kind and colour
+     */
+    bossSprite(kind, color) {
+        const pattern = BOSS_PATTERNS[kind];
+        const bounds = { x: 0, y: 0, width: pattern[0].length * BOSS_PIXEL, height: pattern.length * BOSS_PIXEL };
+        return this.sprites.get(`boss:${kind}:${color}`, bounds, ctx => {
+            const px = BOSS_PIXEL;
+            ctx.fillStyle = color;
+            pattern.forEach((line, row) => {
+                for (let col = 0; col < line.length; col++) {
+                    if (line[col] === '#') ctx.fillRect(col * px, row * px, px - 1, px - 1);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Remaining health across all segments, with a notch at each phase change
+     */
+    drawBossHealth(boss) {
+        const ctx = this.ctx;
+        const bar = BOSS_BAR;
+        const fraction = boss.hp / boss.maxHp;
+        
+        ctx.fillStyle = HEALTH_PIP_EMPTY;
+        ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+        ctx.fillStyle = BOSS_COLOR;
+        ctx.fillRect(bar.x, bar.y, bar.width * fraction, bar.height);
+        
+        ctx.fillStyle = '#ffffff';
+        for (const phase of CONFIG.boss.phases) {
+            if (phase.health < 1) {
+                ctx.fillRect(bar.x + bar.width * phase.health - 1, bar.y - 2, 2, bar.height + 4);
+            }
+        }
+    }
+    
+    drawMothership(ship, alpha) {
+        const x = lerp(ship.prevX, ship.x, alpha);
+        const bounds = { x: 0, y: 0, width: ship.width, height: ship.height };
+        const sprite = this.sprites.get('mothership', bounds, ctx => {
+            const px = MOTHERSHIP_PIXEL;
+            ctx.fillStyle = MOTHERSHIP_COLOR;
+            MOTHERSHIP_PATTERN.forEach((line, row) => {
+                for (let col = 0; col < line.length; col++) {
+                    if (line[col] === '#') ctx.fillRect(col * px, row * px, px, px);
+                }
+            });
+        });
+        this.drawSprite(sprite, x, ship.y);
+    }
+    
+    drawProjectile(proj, alpha) {
+        const ctx = this.ctx;
+        const x = lerp(proj.prevX, proj.x, alpha);
+        const y = lerp(proj.prevY, proj.y, alpha);
+        
+        if (proj.type !== 'missile') {
+            this.drawSprite(this.projectileSprite(proj), x, y);
+            return;
+        }
+        
+        // Missiles point along their heading, trail behind
+        ctx.save();
+        ctx.translate(x + proj.width / 2, y + proj.height / 2);
+        ctx.rotate(proj.heading);
+        this.drawSprite(this.projectileSprite(proj), -proj.width / 2, -proj.height / 2);
+        ctx.fillStyle = '#ff6b35';
+        ctx.fillRect(-2, proj.height / 2, 4, 4 + Math.random() * 4);
+        ctx.restore();
+    }
+    
+    /**
+     * Lock-on reticle round every target a player missile is homing on
+     */
+    drawLockOns(sim, alpha) {
+        const ctx = this.ctx;
+        const locked = this.lockedTargets;
+        locked.clear();
+        for (const proj of sim.playerProjectiles) {
+            if (proj.target && proj.target.alive) locked.add(proj.target);
+        }
+        if (locked.size === 0) return;
+        
+        // Brackets pulse in and out on the game clock
+        const pulse = LOCK_ON_PAD + Math.sin(sim.timers.time * LOCK_ON_PULSE) * 2;
+        ctx.strokeStyle = LOCK_ON_COLOR;
+        ctx.lineWidth = 1.5;
+        for (const target of locked) {
+            // Enemies interpolate; boss segments ride on the boss
+            const x = (target.prevX === undefined ? target.x : lerp(target.prevX, target.x, alpha)) - pulse;
+            const y = (target.prevY === undefined ? target.y : lerp(target.prevY, target.y, alpha)) - pulse;
+            const w = target.width + pulse * 2;
+            const h = target.height + pulse * 2;
+            const arm = Math.min(w, h) / 3;
+            
+            ctx.beginPath();
+            for (const [cx, cy, sx, sy] of [[x, y, 1, 1], [x + w, y, -1, 1], [x, y + h, 1, -1], [x + w, y + h, -1, -1]]) {
+                ctx.moveTo(cx + arm * sx, cy);
+                ctx.lineTo(cx, cy);
+                ctx.lineTo(cx, cy + arm * sy);
+            }
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Projectile body with its glow baked in, per type, colour and size
+     */
+    projectileSprite(proj) {
+        const { type, color, width, height } = proj;
+        const glow = type === 'laser' ? LASER_GLOW : type === 'missile' ? 0 : SHOT_GLOW;
+        const margin = glow * 2;
+        const bounds = { x: -margin, y: -margin, width: width + margin * 2, height: height + margin * 2 };
+        
+        return this.sprites.get(`shot:${type}:${color}:${width}x${height}`, bounds, sprite => {
+            sprite.fillStyle = color;
+            
+            if (type === 'laser') {
+                // Laser beam effect
+                sprite.shadowColor = color;
+                sprite.shadowBlur = glow;
+                sprite.fillRect(0, 0, width, height);
+                sprite.fillStyle = '#fff';
+                sprite.fillRect(width / 2 - 1, 0, 2, height);
+            } else if (type === 'missile') {
+                // Missile shape
+                sprite.beginPath();
+                sprite.moveTo(width / 2, 0);
+                sprite.lineTo(width, height);
+                sprite.lineTo(width / 2, height - 4);
+                sprite.lineTo(0, height);
+                sprite.closePath();
+                sprite.fill();
+            } else {
+                // Normal projectile
+                sprite.fillRect(0, 0, width, height);
+                sprite.shadowColor = color;
+                sprite.shadowBlur = glow;
+                sprite.fillRect(0, 0, width, height);
+            }
+        });
+    }
+    
+    drawPowerUp(powerUp, alpha) {
+        const ctx = this.ctx;
+        const size = powerUp.width;
+        ctx.save();
+        ctx.translate(powerUp.x + size / 2, lerp(powerUp.prevY, powerUp.y, alpha) + powerUp.height / 2);
+        ctx.rotate(lerp(powerUp.prevRotation, powerUp.rotation, alpha));
+        
+        // Color based on type
+        ctx.fillStyle = POWER_UP_COLORS[powerUp.type] || '#ffffff';
+        
+        // Different shapes per type
+        if (powerUp.type === 'bomb') {
+            // Circle for bomb
+            ctx.beginPath();
+            ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#000';
+            ctx.fillRect(-2, -size / 2 - 3, 4, 6);
+        } else if (powerUp.type === 'extraLife' || powerUp.type === 'shield') {
+            // Heart/shield shape
+            ctx.beginPath();
+            ctx.moveTo(0, -size / 3);
+            ctx.bezierCurveTo(size / 2, -size / 2, size / 2, size / 4, 0, size / 2);
+            ctx.bezierCurveTo(-size / 2, size / 4, -size / 2, -size / 2, 0, -size / 3);
+            ctx.fill();
+        } else {
+            // Star shape for weapons
+            ctx.beginPath();
+            for (let i = 0; i < 10; i++) {
+                const angle = (i * Math.PI) / 5 - Math.PI / 2;
+                const r = i % 2 === 0 ? size / 2 : size / 4;
+                ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+            }
+            ctx.closePath();
+            ctx.fill();
+        }
+        
+        // Glow effect
+        ctx.shadowColor = POWER_UP_COLORS[powerUp.type] || '#ffffff';
+        ctx.shadowBlur = 10;
+        
+        ctx.restore();
+    }
+}
+
+export { Renderer, Particle, lerp };
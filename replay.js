@@ -0,0 +1,293 @@
+/**
+ * ===========================================
+ * Replay Module
+ * Input recording and deterministic playback
+ * ===========================================
+ *
+ * A replay is the run's RNG seed, game mode, difficulty preset, daily
+ * challenge modifiers and whether the difficulty director was on, plus
+ * the player's input for every simulation tick. Because the
+ * simulation is deterministic, feeding the same inputs back into a
+ * GameSimulation built from the same seed and rules reproduces the
+ * run exactly - no positions or scores need to be stored.
+ *
+ * Inputs are packed into a bitmask per tick and run-length encoded,
+ * so a few minutes of play is only a few kilobytes of JSON.
+ */
+
+import { GameSimulation, CONFIG, TICK } from './simulation.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS } from './difficulty.js';
+import { DEFAULT_MODE, GAME_MODES } from './modes.js';
+import { CHALLENGE_MODIFIERS } from './challenge.js';
+
+const REPLAY_FORMAT = 'space-invaders-replay';
+// Version 2 records the difficulty, adaptive setting, mode and challenge
+// modifiers; version 1 replays predate them and the simulation changes
+// that came with them, so they cannot be replayed
+const REPLAY_VERSION = 2;
+
+// Bits of the per-tick input mask
+const INPUT_BITS = {
+    left: 1,
+    right: 2,
+    fire: 4,
+    pause: 8,       // The run was paused just before this tick
+    cycle: 16       // Switch to the next weapon in the inventory
+};
+
+/**
+ * Pack the simulation input for one tick into a bitmask
+ */
+function encodeInput(input, paused = false) {
+    let mask = 0;
+    if (input.left) mask |= INPUT_BITS.left;
+    if (input.right) mask |= INPUT_BITS.right;
+    if (input.fire) mask |= INPUT_BITS.fire;
+    if (paused) mask |= INPUT_BITS.pause;
+    if (input.cycle) mask |= INPUT_BITS.cycle;
+    return mask;
+}
+
+/**
+ * Unpack a bitmask into the simulation's input object
+ */
+function applyInput(input, mask) {
+    input.left = (mask & INPUT_BITS.left) !== 0;
+    input.right = (mask & INPUT_BITS.right) !== 0;
+    input.fire = (mask & INPUT_BITS.fire) !== 0;
+    input.cycle = (mask & INPUT_BITS.cycle) !== 0;
+}
+
+// ============================================
+// Input Recorder
+// ============================================
+
+/**
+ * Records one input mask per simulation tick as [mask, count] runs.
+ */
+class InputRecorder {
+    constructor(seed, difficulty = DEFAULT_DIFFICULTY, adaptive = false, mode = DEFAULT_MODE, modifiers = []) {
+        this.seed = seed >>> 0;
+        this.difficulty = difficulty;
+        this.adaptive = adaptive;
+        this.mode = mode;
+        this.modifiers = modifiers;
+        this.runs = [];
+        this.ticks = 0;
+        this.pausePending = false;
+    }
+    
+    /**
+     * Note a pause; it is stored on the next recorded tick
+     */
+    markPause() {
+        this.pausePending = true;
+    }
+    
+    /**
+     * Record the input that is about to be applied for one tick
+     */
+    record(input) {
+        const mask = encodeInput(input, this.pausePending);
+        this.pausePending = false;
+        
+        const last = this.runs[this.runs.length - 1];
+        if (last && last[0] === mask) {
+            last[1]++;
+        } else {
+            this.runs.push([mask, 1]);
+        }
+        this.ticks++;
+    }
+    
+    /**
+     * Build a replay object for the recorded run.
+     * `final` is the outcome ({ score, level }) used to verify playback.
+     */
+    toReplay(final) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            adaptive: this.adaptive,
+            mode: this.mode,
+            modifiers: [...this.modifiers],
+            tickRate: CONFIG.loop.tickRate,
+            ticks: this.ticks,
+            recordedAt: new Date().toISOString(),
+            final: { score: final.score, level: final.level },
+            inputs: this.runs.map(run => [run[0], run[1]])
+        };
+    }
+}
+
+// ============================================
+// Serialization
+// ============================================
+
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay file.
+ * Throws an Error describing the problem when the file is unusable.
+ */
+function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a Space Invaders replay');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    if (replay.tickRate !== CONFIG.loop.tickRate) {
+        throw new Error(`Replay was recorded at ${replay.tickRate} ticks/s`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) {
+        throw new Error('Replay has an invalid seed');
+    }
+    if (!Object.hasOwn(DIFFICULTY_PRESETS, replay.difficulty)) {
+        throw new Error(`Replay has an unknown difficulty "${replay.difficulty}"`);
+    }
+    if (typeof replay.adaptive !== 'boolean') {
+        throw new Error('Replay has an invalid adaptive setting');
+    }
+    if (!Object.hasOwn(GAME_MODES, replay.mode)) {
+        throw new Error(`Replay has an unknown game mode "${replay.mode}"`);
+    }
+    if (!Array.isArray(replay.modifiers)) {
+        throw new Error('Replay has invalid challenge modifiers');
+    }
+    const unknown = replay.modifiers.find(id => !Object.hasOwn(CHALLENGE_MODIFIERS, id));
+    if (unknown !== undefined) {
+        throw new Error(`Replay has an unknown challenge modifier "${unknown}"`);
+    }
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(isValidRun)) {
+        throw new Error('Replay has corrupt input data');
+    }
+    
+    const ticks = replay.inputs.reduce((total, run) => total + run[1], 0);
+    if (ticks !== replay.ticks) {
+        throw new Error('Replay input length does not match its tick count');
+    }
+    
+    return replay;
+}
+
+function isValidRun(run) {
+    return Array.isArray(run) &&
+        Number.isInteger(run[0]) && run[0] >= 0 && run[0] < 32 &&
+        Number.isInteger(run[1]) && run[1] > 0;
+}
+
+// ============================================
+// Replay Player
+// ============================================
+
+/**
+ * Re-simulates a recorded run tick by tick.
+ * Supports stepping forward and seeking to any tick; seeking
+ * backwards restarts from the seed and fast-forwards.
+ */
+class ReplayPlayer {
+    constructor(replay, sim = new GameSimulation(replay.seed)) {
+        this.replay = replay;
+        this.sim = sim;
+        
+        // Expand the runs for random access by tick
+        this.inputs = new Uint8Array(replay.ticks);
+        let offset = 0;
+        for (const [mask, count] of replay.inputs) {
+            this.inputs.fill(mask, offset, offset + count);
+            offset += count;
+        }
+        
+        this.restart();
+    }
+    
+    get length() {
+        return this.inputs.length;
+    }
+    
+    get finished() {
+        return this.tick >= this.length || this.sim.status === 'gameOver';
+    }
+    
+    /**
+     * Seconds of game time covered by the replay
+     */
+    get duration() {
+        return this.length * TICK;
+    }
+    
+    restart() {
+        this.sim.setDifficulty(this.replay.difficulty);
+        this.sim.setAdaptive(this.replay.adaptive);
+        this.sim.setMode(this.replay.mode);
+        this.sim.setModifiers(this.replay.modifiers);
+        this.sim.reset(this.replay.seed);
+        this.tick = 0;
+    }
+    
+    /**
+     * Apply the recorded input for the current tick and advance.
+     * Returns the input mask that was applied.
+     */
+    stepTick() {
+        if (this.finished) return 0;
+        
+        const mask = this.inputs[this.tick];
+        applyInput(this.sim.input, mask);
+        this.sim.step(TICK);
+        this.tick++;
+        
+        // The live game waits on the level complete screen; playback moves straight on
+        if (this.sim.status === 'levelComplete') {
+            this.sim.startNextLevel();
+        }
+        
+        return mask;
+    }
+    
+    /**
+     * Jump to a tick. Events from the skipped ticks are discarded.
+     */
+    seek(target) {
+        target = Math.max(0, Math.min(target, this.length));
+        if (target < this.tick) {
+            this.restart();
+        }
+        while (this.tick < target && !this.finished) {
+            this.stepTick();
+        }
+        this.sim.drainEvents();
+    }
+    
+    /**
+     * True once playback reached the recorded outcome
+     */
+    verify() {
+        const final = this.replay.final;
+        return this.finished &&
+            this.sim.score === final.score &&
+            this.sim.level === final.level;
+    }
+}
+
+export {
+    INPUT_BITS,
+    InputRecorder,
+    ReplayPlayer,
+    encodeInput,
+    applyInput,
+    serializeReplay,
+    parseReplay
+};
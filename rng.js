@@ -0,0 +1,85 @@
+/**
+ * ===========================================
+ * Seeded Random Number Generator
+ * Reproducible randomness for gameplay
+ * ===========================================
+ *
+ * Every gameplay decision that involves chance (enemy fire,
+ * power-up drops and bonus rolls) draws from a SeededRandom owned
+ * by the simulation. Two runs started from the same seed with the
+ * same inputs play out identically, which makes bug reports,
+ * challenges and score verification reproducible.
+ *
+ * Cosmetic effects (stars, particles, engine flicker) keep using
+ * Math.random() so they never disturb the gameplay sequence.
+ */
+
+/**
+ * Small, fast 32-bit PRNG (mulberry32).
+ * Plenty for a game and identical on every JavaScript engine.
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of a non-empty array
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+/**
+ * Fresh seed for a new run
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Format a seed for display and sharing (8 hex digits)
+ */
+function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Parse a seed typed or shared by a player.
+ * Returns null when the text is not a valid seed.
+ */
+function parseSeed(text) {
+    if (typeof text !== 'string' || !/^[0-9a-f]{1,8}$/i.test(text.trim())) {
+        return null;
+    }
+    return parseInt(text.trim(), 16) >>> 0;
+}
+
+export { SeededRandom, randomSeed, formatSeed, parseSeed };
@@ -0,0 +1,82 @@
+/**
+ * ===========================================
+ * Game Clock Scheduler
+ * Timers that run on simulation time
+ * ===========================================
+ *
+ * Replaces setTimeout for gameplay timers such as shot cooldowns
+ * and the player's respawn delay. The scheduler only advances when the
+ * simulation steps, so timers freeze while the game is paused or
+ * waiting on the level complete screen, and they fire on the same
+ * tick every time a run is replayed.
+ */
+
+// Slack for floating point drift when summing fixed steps,
+// so a 0.5 s timer fires on tick 30 rather than tick 31
+const EPSILON = 1e-9;
+
+class Scheduler {
+    constructor() {
+        this.time = 0;
+        this.nextId = 1;
+        
+        // Pending timers, earliest first (ties in the order they were
+        // scheduled), so a tick with nothing due only checks the first
+        this.timers = [];
+    }
+    
+    /**
+     * Run `callback` once `delay` seconds of game time have passed.
+     * Returns an id that can be passed to cancel().
+     */
+    after(delay, callback) {
+        const id = this.nextId++;
+        const due = this.time + delay;
+        
+        // Timers are mostly scheduled later than the rest, so look for
+        // the slot from the back
+        let index = this.timers.length;
+        while (index > 0 && this.timers[index - 1].due > due) index--;
+        this.timers.splice(index, 0, { id, due, callback });
+        return id;
+    }
+    
+    /**
+     * Cancel a pending timer. Unknown or finished ids are ignored.
+     */
+    cancel(id) {
+        const index = this.timers.findIndex(timer => timer.id === id);
+        if (index !== -1) this.timers.splice(index, 1);
+    }
+    
+    /**
+     * Drop every pending timer and restart the clock
+     */
+    clear() {
+        this.time = 0;
+        this.timers = [];
+    }
+    
+    get pending() {
+        return this.timers.length;
+    }
+    
+    /**
+     * Advance game time and fire every timer that came due,
+     * earliest first (ties in the order they were scheduled)
+     */
+    update(dt) {
+        this.time += dt;
+        const now = this.time + EPSILON;
+        
+        let count = 0;
+        while (count < this.timers.length && this.timers[count].due <= now) count++;
+        if (count === 0) return;
+        
+        // Timers scheduled by these callbacks wait for the next update
+        const due = this.timers.splice(0, count);
+        due.forEach(timer => timer.callback());
+    }
+}
+
+export { Scheduler };
@@ -0,0 +1,105 @@
+/**
+ * ===========================================
+ * Screen Flow
+ * State machine for menus, play and overlays
+ * ===========================================
+ *
+ * The game is always on exactly one screen. Each screen lists the
+ * screens it may move to; any other transition is refused, so a key
+ * press can never start a run from the pause menu or pause the game
+ * over screen. Enter and exit hooks keep the setup and teardown for
+ * a screen in one place.
+ */
+
+// Allowed transitions for each screen
+const GAME_SCREENS = {
+    title: ['briefing', 'leaderboard', 'replay'],
+    briefing: ['playing'],
+    playing: ['paused', 'levelClear', 'gameOver'],
+    paused: ['playing', 'leaderboard'],
+    levelClear: ['briefing'],
+    gameOver: ['briefing', 'leaderboard', 'replay', 'title'],
+    leaderboard: ['title', 'paused', 'gameOver'],
+    replay: ['title']
+};
+
+class StateMachine {
+    /**
+     * @param {string} initial - Starting state
+     * @param {Object<string, string[]>} transitions - Allowed targets per state
+     */
+    constructor(initial, transitions) {
+        if (!(initial in transitions)) {
+            throw new Error(`Unknown state: ${initial}`);
+        }
+        this.current = initial;
+        this.transitions = transitions;
+        this.enterHooks = {};
+        this.exitHooks = {};
+        this.changeListeners = [];
+    }
+    
+    get state() {
+        return this.current;
+    }
+    
+    /**
+     * True when the machine is in any of the given states
+     */
+    is(...states) {
+        return states.includes(this.current);
+    }
+    
+    can(to) {
+        return this.transitions[this.current].includes(to);
+    }
+    
+    /**
+     * Run `hook({ from, to, data })` whenever `state` is entered
+     */
+    onEnter(state, hook) {
+        this.checkState(state);
+        (this.enterHooks[state] ||= []).push(hook);
+    }
+    
+    /**
+     * Run `hook({ from, to, data })` whenever `state` is left
+     */
+    onExit(state, hook) {
+        this.checkState(state);
+        (this.exitHooks[state] ||= []).push(hook);
+    }
+    
+    /**
+     * Run `listener({ from, to, data })` after every transition,
+     * before the enter hooks of the new state
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+    
+    /**
+     * Move to another state. Returns false, and changes nothing, when
+     * the current state does not allow it. Enter hooks may start a
+     * further transition.
+     */
+    transition(to, data = {}) {
+        this.checkState(to);
+        if (!this.can(to)) return false;
+        
+        const change = { from: this.current, to, data };
+        (this.exitHooks[change.from] || []).forEach(hook => hook(change));
+        this.current = to;
+        this.changeListeners.forEach(listener => listener(change));
+        (this.enterHooks[to] || []).forEach(hook => hook(change));
+        return true;
+    }
+    
+    checkState(state) {
+        if (!(state in this.transitions)) {
+            throw new Error(`Unknown state: ${state}`);
+        }
+    }
+}
+
+export { StateMachine, GAME_SCREENS };
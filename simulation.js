@@ -0,0 +1,2435 @@
+/**
+ * ===========================================
+ * Game Simulation Module
+ * Headless rules, entities and state
+ * ===========================================
+ *
+ * Everything that decides what happens in a run lives here:
+ * configuration, entities, movement, collisions, scoring and
+ * power-ups. Nothing in this module touches the DOM, canvas or
+ * audio, so the same rules run in the browser and under plain Node.
+ *
+ * The simulation reports what happened through an event queue
+ * (see GameSimulation.drainEvents). The browser adapter in game.js
+ * turns those events into sound, particles, HUD and console updates.
+ *
+ * All gameplay randomness comes from the run's seeded RNG (rng.js),
+ * so a run can be reproduced exactly from its seed.
+ */
+
+import { SeededRandom, randomSeed } from './rng.js';
+import { Scheduler } from './scheduler.js';
+import { Pool, compactActive, releaseAll } from './pool.js';
+import { SpatialHash } from './spatial.js';
+import { createBunkers } from './bunkers.js';
+import { DEFAULT_DIFFICULTY, presetConfig } from './difficulty.js';
+import { DifficultyDirector } from './director.js';
+import { DEFAULT_MODE, GAME_MODES } from './modes.js';
+import { modifiedConfig } from './challenge.js';
+
+// ============================================
+// Game Configuration
+// ============================================
+
+const CONFIG = {
+    canvas: {
+        width: 600,
+        height: 500
+    },
+    loop: {
+        tickRate: 60,       // Fixed simulation steps per second
+        maxFrameTime: 0.25  // Clamp long frames (tab switch, debugger) to avoid a spiral of death
+    },
+    // All speeds below are per second, so gameplay is identical at any refresh rate
+    player: {
+        width: 50,
+        height: 30,
+        speed: 420,         // px/s - slightly faster player
+        color: '#00ff41',
+        lives: 5,           // More lives to start
+        respawnDelay: 1.5,  // Seconds between losing a ship and the next one arriving
+        invincibility: 2    // Seconds a fresh ship can't be hit
+    },
+    enemy: {
+        width: 40,
+        height: 30,
+        rows: 3,            // Fewer rows (was 4)
+        cols: 7,            // Fewer columns (was 8)
+        padding: 15,        // More space between enemies
+        startY: 60,
+        speedX: 48,         // px/s - much slower (was 90)
+        dropDistance: 20,   // Smaller drops (was 25)
+        shootRate: 0.06,    // Shots/s per enemy - much lower (was 0.18)
+        animInterval: 0.5,  // Seconds between animation frames
+        hitFlash: 0.15,     // Seconds an enemy flashes after a non-fatal hit
+        swayAmplitude: 12,  // px each way that rows bob on 'sway' waves
+        swaySpeed: 2.5,     // rad/s
+        // Enemy type per row, top row first (see ENEMY_TYPES);
+        // rows past the end of the list reuse the last entry
+        rowTypes: ['officer', 'soldier', 'scout'],
+        // Cap on how much the march quickens as the wave thins out: its
+        // speed scales with wave size / invaders left, up to this many
+        // times (1 keeps a steady march)
+        lastInvaderSpeed: 1,
+        dive: {
+            rate: 0.12,         // Dives launched per second at level 1
+            aim: 0.4,           // Aim accuracy at level 1 (0-1, 1 is dead on)
+            maxDivers: 3,       // Invaders out of formation at once
+            duration: 2.2,      // Seconds from the slot down to the bottom of the dive
+            returnDuration: 1.6,    // Seconds to swoop back up to the slot
+            loop: 90,           // px the path swings out to the side
+            clearance: 15,      // px a dive pulls up above the player's ship
+            shotsAt: [0.45, 0.75],  // Aimed shots, as fractions of the way down
+            shotSpeed: 1.3,     // Times the normal enemy shot speed
+            maxAimError: 0.5,   // rad either side of dead on at 0 aim
+            maxShotAngle: 1     // rad from straight down a shot can be aimed
+        }
+    },
+    projectile: {
+        width: 4,
+        height: 15,
+        playerSpeed: 600,   // px/s - faster player shots (was 480)
+        enemySpeed: 150,    // px/s - slower enemy shots (was 240)
+        spreadDrift: 90,    // px/s sideways drift of the outer spread shots
+        missileTurnRate: 4,     // rad/s a missile can turn its heading
+        missileLockRange: 320,  // px within which a missile can lock on
+        missileLockCone: Math.PI / 3,   // rad either side of the heading
+        playerColor: '#00ff41',
+        enemyColor: '#ff0040'
+    },
+    mothership: {
+        width: 48,
+        height: 21,
+        y: 36,               // Top lane, just above the invader formation
+        speed: 96,           // px/s
+        minInterval: 18,     // Seconds of game time between passes
+        maxInterval: 32,
+        points: [50, 100, 150, 300]     // Mystery score, one picked at random
+    },
+    boss: {
+        every: 5,            // Every Nth level is a boss fight
+        width: 160,
+        height: 50,
+        y: 90,
+        speed: 60,           // px/s side to side, times the phase's speed
+        hpGrowth: 0.5,       // Extra segment HP per boss after the first
+        color: '#ff00ff',    // Boss shots
+        // Hull pieces, positioned relative to the boss; destroying the
+        // core defeats the boss. Points are multiplied by the boss number.
+        segments: [
+            { name: 'leftPod', kind: 'pod', x: 0, y: 8, width: 40, height: 35, hp: 12, points: 250 },
+            { name: 'core', kind: 'core', x: 40, y: 0, width: 80, height: 50, hp: 30, points: 1000 },
+            { name: 'rightPod', kind: 'pod', x: 120, y: 8, width: 40, height: 35, hp: 12, points: 250 }
+        ],
+        // A phase starts once total health falls to `health` (fraction of max);
+        // its attacks take turns every `interval` seconds
+        phases: [
+            { health: 1, attacks: ['spread'], interval: 1.8, speed: 1 },
+            { health: 0.66, attacks: ['sweep', 'spread'], interval: 1.6, speed: 1.3 },
+            { health: 0.33, attacks: ['minions', 'sweep', 'spread'], interval: 1.3, speed: 1.6 }
+        ],
+        spreadShots: 5,
+        spreadDrift: 60,     // px/s sideways between neighbouring spread shots
+        sweepDuration: 1.2,  // Seconds a sweeping beam lasts
+        sweepRate: 0.06,     // Seconds between beam shots
+        sweepDrift: 220,     // px/s sideways at the ends of the sweep
+        minions: 3,          // Scouts launched per summon
+        maxMinions: 6
+    },
+    powerUp: {
+        width: 25,
+        height: 25,
+        speed: 120,          // px/s
+        spin: 3,             // rad/s
+        spawnChance: 0.008,  // Frequent power-ups
+        types: ['spread', 'laser', 'rapid', 'missile', 'shield', 'extraLife', 'bomb', 'bonus']
+    },
+    weapons: {
+        maxTier: 3,          // Picking up a weapon you hold raises its tier up to this
+        spreadLaneGap: 12,   // px between neighbouring spread lanes
+        laserWidth: 6,       // px at tier 1, plus laserWidthPerTier for each tier above
+        laserWidthPerTier: 4,
+        rapidCooldownPerTier: 0.2,  // Fraction of the rapid fire cooldown cut per tier above 1
+        missileSpacing: 16   // px between missiles launched together
+    },
+    shield: {
+        hits: 3,             // Enemy shots the bubble absorbs before it breaks
+        duration: 12         // Seconds before an unbroken bubble fades
+    },
+    particle: {
+        speed: 180,          // px/s maximum in each axis
+        fadeRate: 1.2,       // Minimum life lost per second (life starts at 1)
+        shrink: 0.16         // Size multiplier per second
+    },
+    collision: {
+        cellSize: 64         // Spatial hash cell (px), about one enemy plus padding
+    },
+    bunker: {
+        y: 370,              // Top edge, between the player and the invaders
+        cellSize: 3,         // px per destructible cell
+        chipRadius: 2,       // Cells around an impact that may break off
+        chipChance: 0.5,     // Chance for each of those cells to go
+        // Layout per level ({ count, shape } - see BUNKER_SHAPES);
+        // levels past the end of the list reuse the last entry
+        layouts: [
+            { count: 4, shape: 'classic' },
+            { count: 4, shape: 'classic' },
+            { count: 3, shape: 'classic' },
+            { count: 4, shape: 'pillar' },
+            { count: 3, shape: 'wall' },
+            { count: 2, shape: 'pillar' }
+        ]
+    },
+    scoring: {
+        levelBonus: 500,        // Per level number, for clearing a wave
+        powerUpBonus: 100,
+        accuracyBonus: 10,      // Per percent of the wave's shots that hit
+        noDamageBonus: 1000,    // Clearing a wave without losing a ship
+        parTime: 60,            // Seconds; each one a wave is cleared under par earns timeBonus
+        timeBonus: 25,
+        combo: {
+            killsPerStep: 4,    // Chained kills to raise the multiplier a step
+            maxMultiplier: 5,
+            decay: 3            // Seconds without a kill before it drops a step
+        }
+    },
+    difficulty: {
+        speedIncrease: 0.12,        // Gentler scaling (was 0.15)
+        shootRateIncrease: 0.018,   // Shots/s per level - gentler scaling (was 0.03)
+        diveRateIncrease: 0.04,     // Dives/s per level
+        aimIncrease: 0.08           // Aim accuracy per level, up to 1
+    },
+    // Adaptive difficulty (see director.js) for runs that switch it on
+    director: {
+        interval: 15,           // Seconds of play between reviews, plus one per wave cleared
+        step: 0.1,              // Change to each multiplier per adjustment
+        min: 0.7,               // Limits on the fire rate, march speed and
+        max: 1.5,               // power-up chance multipliers
+        minShots: 5,            // Shots needed in a review to judge accuracy
+        highAccuracy: 60,       // Hit rate (%) that counts as playing well...
+        lowAccuracy: 25,        // ...and as struggling
+        nearMissDistance: 16,   // px beside the ship an enemy shot passes by to count as a near miss
+        nearMisses: 4,          // Near misses in a review that count as struggling
+        fastClear: 35,          // Seconds; clearing a wave quicker counts as playing well...
+        slowClear: 90           // ...and slower as struggling
+    },
+    // Endless and Time Attack runs (see modes.js)
+    modes: {
+        endless: {
+            rowInterval: 9,         // Seconds between new rows streaming in at the top...
+            rowIntervalStep: 0.5,   // ...less this for every ramp...
+            minRowInterval: 4,      // ...down to this
+            rampInterval: 30        // Seconds survived per step up in level (speed, fire, dives)
+        },
+        timeAttack: {
+            duration: 180           // Seconds of play to clear as many waves as possible
+        }
+    },
+    rules: {
+        bosses: true,               // Every CONFIG.boss.every levels is a boss fight
+        authoredLevels: true,       // Waves come from levels/ where there is a file
+        bunkers: true,              // Off for no bunkers, even where a level file has them
+        powerUps: true,             // Off for no power-up drops, likewise
+        loadout: null               // A weapon the ship is locked to, with endless ammo
+    },
+    llm: {
+        tauntInterval: 8000,      // Time between taunts (ms)
+        briefingDelay: 2000,       // Delay before showing briefing
+        commentInterval: 15000     // Time between performance comments
+    }
+};
+
+// Fixed simulation step in seconds
+const TICK = 1 / CONFIG.loop.tickRate;
+
+// Slack for floating point drift when summing fixed steps (as in
+// scheduler.js), so a 1.6 s dive ends on tick 96 rather than 97
+const STEP_EPSILON = 1e-9;
+
+// Explosion palettes, passed along with 'explosion' events
+const ENEMY_EXPLOSION = ['#ff0040', '#ff6b35', '#ffdd00'];
+const PLAYER_EXPLOSION = ['#00ff41', '#00aa30', '#006618'];
+const BUNKER_DEBRIS = ['#00ff41', '#00aa30'];
+const MOTHERSHIP_EXPLOSION = ['#ff00ff', '#ff0040', '#ffffff'];
+const BOSS_EXPLOSION = ['#ff00ff', '#ff6b35', '#ffdd00', '#ffffff'];
+const SHIELD_SPARKS = ['#00bfff', '#80dfff', '#ffffff'];
+const SPLASH_BLAST = ['#ff00ff', '#ff6b35', '#ffffff'];
+
+// Milliseconds between shots for each weapon
+const FIRE_RATES = {
+    basic: 250,
+    spread: 400,
+    laser: 350,
+    rapid: 100,
+    missile: 500
+};
+
+// Enemy classes: hit points, points per kill (times the level),
+// fire rate relative to CONFIG.enemy.shootRate and fire pattern
+const ENEMY_TYPES = {
+    scout: { hp: 1, points: 10, fireRate: 1, fire: 'single' },
+    soldier: { hp: 2, points: 20, fireRate: 1, fire: 'fast' },
+    officer: { hp: 4, points: 40, fireRate: 0.6, fire: 'spread' }
+};
+
+// Pickup weapons: shots per pickup (the laser's are energy units) and
+// what the HUD calls the meter. The basic cannon never runs out.
+const WEAPON_TYPES = {
+    spread: { ammo: 40, meter: 'ammo' },
+    laser: { ammo: 30, meter: 'energy' },
+    rapid: { ammo: 120, meter: 'ammo' },
+    missile: { ammo: 16, meter: 'ammo' }
+};
+
+// Projectile types: size, damage and the traits that change what
+// happens when they hit. Traits combine freely:
+//   pierce - passes through this many targets before stopping
+//   splash - bursts on impact, hitting everything within `radius` px
+//            for `damage`
+//   bounce - rebounds off the side walls this many times
+const PROJECTILE_TYPES = {
+    normal: { width: CONFIG.projectile.width, height: CONFIG.projectile.height, damage: 1, traits: {} },
+    spread: { width: CONFIG.projectile.width, height: CONFIG.projectile.height, damage: 1, traits: { bounce: 1 } },
+    laser: { width: 6, height: 25, damage: 2, traits: { pierce: 2 } },
+    missile: { width: 8, height: 16, damage: 3, traits: { splash: { radius: 40, damage: 1 } } }
+};
+
+// Weighted power-up drop table - weapons more common, bomb/extraLife rare
+const POWER_UP_WEIGHTS = {
+    spread: 20,
+    laser: 15,
+    rapid: 20,
+    missile: 15,
+    shield: 10,
+    extraLife: 5,
+    bomb: 5,
+    bonus: 10
+};
+
+// ============================================
+// Waves
+// ============================================
+
+/**
+ * The wave for a level built from the config defaults, scaled by
+ * its `difficulty` section. Used past the last authored level (see
+ * levels.js) and for any field an authored level leaves out.
+ * `config` is CONFIG with a difficulty preset applied (see
+ * difficulty.js).
+ *
+ * `formation` is a list of rows, each a list of enemy types
+ * (null for an empty slot).
+ */
+function proceduralWave(level, config = CONFIG) {
+    const { enemy, difficulty } = config;
+    const rowTypes = enemy.rowTypes;
+    const formation = [];
+    for (let row = 0; row < enemy.rows; row++) {
+        const type = rowTypes[Math.min(row, rowTypes.length - 1)];
+        formation.push(new Array(enemy.cols).fill(type));
+    }
+    
+    const layouts = config.bunker.layouts;
+    return withRules({
+        name: null,
+        boss: config.rules.bosses && level % config.boss.every === 0,
+        formation,
+        movement: {
+            pattern: 'march',
+            speed: 1 + (level - 1) * difficulty.speedIncrease,
+            drop: enemy.dropDistance
+        },
+        fireRate: enemy.shootRate + (level - 1) * difficulty.shootRateIncrease,
+        dive: {
+            rate: enemy.dive.rate + (level - 1) * difficulty.diveRateIncrease,
+            aim: Math.min(1, enemy.dive.aim + (level - 1) * difficulty.aimIncrease)
+        },
+        powerUps: {
+            chance: config.powerUp.spawnChance * 10,
+            weights: POWER_UP_WEIGHTS
+        },
+        bunkers: layouts[Math.min(level, layouts.length) - 1]
+    }, config);
+}
+
+/**
+ * The wave for a level: the authored definition for it, if any and
+ * if the rules allow authored levels, laid over the procedural wave
+ * for the same level
+ */
+function waveForLevel(level, authored = [], config = CONFIG) {
+    const wave = proceduralWave(level, config);
+    const authoredDef = config.rules.authoredLevels ? authored[level - 1] : null;
+    if (!authoredDef) return wave;
+    
+    const def = scaleLevel(authoredDef, config);
+    return withRules({
+        ...wave,
+        ...def,
+        movement: { ...wave.movement, ...def.movement },
+        dive: { ...wave.dive, ...def.dive },
+        powerUps: { ...wave.powerUps, ...def.powerUps }
+    }, config);
+}
+
+/**
+ * A wave with the run's rules on bunkers and power-ups enforced
+ */
+function withRules(wave, config) {
+    const { bunkers, powerUps } = config.rules;
+    return {
+        ...wave,
+        bunkers: bunkers ? wave.bunkers : { ...wave.bunkers, count: 0 },
+        powerUps: powerUps ? wave.powerUps : { ...wave.powerUps, chance: 0 }
+    };
+}
+
+/**
+ * An authored level with its rates scaled to the run's config.
+ * Levels are tuned against CONFIG as it stands (Normal), so a preset
+ * that moves a default moves the level's value by the same ratio.
+ * Movement speed is already a multiplier, so needs no scaling.
+ */
+function scaleLevel(def, config) {
+    const ratio = value => value(config) / value(CONFIG);
+    const level = { ...def };
+    
+    if (def.fireRate !== undefined) {
+        level.fireRate = def.fireRate * ratio(c => c.enemy.shootRate);
+    }
+    if (def.movement?.drop !== undefined) {
+        level.movement = { ...def.movement, drop: def.movement.drop * ratio(c => c.enemy.dropDistance) };
+    }
+    if (def.dive) {
+        level.dive = { ...def.dive };
+        if (def.dive.rate !== undefined) level.dive.rate = def.dive.rate * ratio(c => c.enemy.dive.rate);
+        if (def.dive.aim !== undefined) level.dive.aim = Math.min(1, def.dive.aim * ratio(c => c.enemy.dive.aim));
+    }
+    if (def.powerUps?.chance !== undefined) {
+        const chance = def.powerUps.chance * ratio(c => c.powerUp.spawnChance);
+        level.powerUps = { ...def.powerUps, chance: Math.min(1, chance) };
+    }
+    return level;
+}
+
+// ============================================
+// Player Class
+// ============================================
+
+class Player {
+    constructor() {
+        this.width = CONFIG.player.width;
+        this.height = CONFIG.player.height;
+        this.x = (CONFIG.canvas.width - this.width) / 2;
+        this.y = CONFIG.canvas.height - this.height - 20;
+        this.prevX = this.x;
+        this.speed = CONFIG.player.speed;
+        this.color = CONFIG.player.color;
+        this.alive = true;      // False from a hit until the next ship arrives
+        this.invincible = 0;    // Seconds of post-respawn invulnerability left
+        this.shield = 0;        // Hits the shield bubble can still absorb
+    }
+    
+    /**
+     * Enemy fire only hurts a ship that is on the field and not invulnerable
+     */
+    get vulnerable() {
+        return this.alive && this.invincible === 0;
+    }
+    
+    update(sim, dt) {
+        this.prevX = this.x;
+        if (!this.alive) return;
+        
+        this.invincible = Math.max(0, this.invincible - dt);
+        
+        if (sim.input.left) {
+            this.x -= this.speed * dt;
+        }
+        if (sim.input.right) {
+            this.x += this.speed * dt;
+        }
+        this.x = Math.max(0, Math.min(this.x, CONFIG.canvas.width - this.width));
+    }
+    
+    /**
+     * Fire the selected weapon at its tier, spending one shot of its ammo
+     */
+    shoot(sim) {
+        if (!sim.canShoot || !this.alive) return;
+        
+        const centerX = this.x + this.width / 2;
+        const { type: weapon, tier } = sim.weapon;
+        const cfg = CONFIG.weapons;
+        const speed = CONFIG.projectile.playerSpeed;
+        const projectiles = sim.playerProjectiles;
+        const first = projectiles.length;
+        let cooldown = FIRE_RATES[weapon] || FIRE_RATES.basic;
+        
+        switch (weapon) {
+            case 'spread': {
+                // Centre lane plus a pair of drifting lanes per tier
+                projectiles.push(sim.createProjectile(centerX - 2, this.y, -speed, '#ff6b35', 'player', 0, 'spread'));
+                for (let lane = 1; lane <= tier; lane++) {
+                    const offset = lane * cfg.spreadLaneGap;
+                    const drift = lane * CONFIG.projectile.spreadDrift;
+                    projectiles.push(sim.createProjectile(
+                        centerX - 2 - offset, this.y + 5 * lane, -speed, '#ff6b35', 'player', -drift, 'spread'
+                    ));
+                    projectiles.push(sim.createProjectile(
+                        centerX - 2 + offset, this.y + 5 * lane, -speed, '#ff6b35', 'player', drift, 'spread'
+                    ));
+                }
+                break;
+            }
+            
+            case 'laser': {
+                // Powerful laser beam, wider each tier
+                const width = cfg.laserWidth + (tier - 1) * cfg.laserWidthPerTier;
+                const beam = sim.createProjectile(
+                    centerX - width / 2, this.y, -speed * 1.5, '#ff0040', 'player', 0, 'laser'
+                );
+                beam.width = width;
+                projectiles.push(beam);
+                break;
+            }
+            
+            case 'rapid':
+                // Fast single shot, firing faster each tier
+                projectiles.push(sim.createProjectile(
+                    centerX - 2, this.y, -speed * 1.3, '#ffdd00', 'player'
+                ));
+                cooldown *= 1 - (tier - 1) * cfg.rapidCooldownPerTier;
+                break;
+                
+            case 'missile':
+                // Homing missiles, one more per tier
+                for (let i = 0; i < tier; i++) {
+                    const offset = (i - (tier - 1) / 2) * cfg.missileSpacing;
+                    projectiles.push(sim.createProjectile(
+                        centerX - 4 + offset, this.y, -speed * 0.8, '#ff00ff', 'player', 0, 'missile'
+                    ));
+                }
+                break;
+                
+            default:
+                // Basic shot
+                projectiles.push(sim.createProjectile(
+                    centerX - CONFIG.projectile.width / 2,
+                    this.y,
+                    -speed,
+                    CONFIG.projectile.playerColor,
+                    'player'
+                ));
+        }
+        
+        // Shots fired together hit or miss as one (see strike and shotMissed)
+        const volley = { size: projectiles.length - first, missed: 0, struck: false };
+        for (let i = first; i < projectiles.length; i++) projectiles[i].volley = volley;
+        
+        sim.shotsFired++;
+        sim.canShoot = false;
+        sim.emit('playerShot', { weapon, tier });
+        sim.spendAmmo();
+        
+        sim.shotCooldown = sim.timers.after(cooldown / 1000, () => {
+            sim.shotCooldown = null;
+            sim.canShoot = true;
+        });
+    }
+}
+
+// ============================================
+// Enemy Class
+// ============================================
+
+class Enemy {
+    constructor(x, y, row, type = 'scout') {
+        const stats = ENEMY_TYPES[type];
+        this.width = CONFIG.enemy.width;
+        this.height = CONFIG.enemy.height;
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.swayPhase = 0;
+        this.swayOffset = 0;    // Current vertical sway, already included in y
+        this.row = row;
+        this.type = type;
+        this.hp = stats.hp;
+        this.maxHp = stats.hp;
+        this.points = stats.points;
+        this.alive = true;
+        this.hitFlash = 0;      // Seconds of hit flash left
+        this.animFrame = 0;
+        this.animTimer = 0;
+        this.dive = null;       // Dive in progress, see startDive
+    }
+    
+    /**
+     * Where the invader belongs in the formation: its own position,
+     * or the slot it left behind while it is away on a dive
+     */
+    get slot() {
+        return this.dive ? this.dive.slot : this;
+    }
+    
+    update(sim, dt, direction, shouldDrop) {
+        if (!this.alive) return;
+        
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.hitFlash = Math.max(0, this.hitFlash - dt);
+        
+        // The formation moves the slot, which keeps marching while
+        // the invader is away on a dive
+        const movement = sim.wave.movement;
+        const slot = this.slot;
+        
+        // Horizontal movement
+        slot.x += sim.config.enemy.speedX * movement.speed * sim.marchSpeed *
+            sim.director.marchSpeed * direction * dt;
+        
+        // Drop down
+        if (shouldDrop) {
+            slot.y += movement.drop;
+        }
+        
+        // Rows bob up and down on 'sway' waves, each column a little behind the last
+        if (movement.pattern === 'sway') {
+            const offset = Math.sin(sim.timers.time * CONFIG.enemy.swaySpeed + this.swayPhase) *
+                CONFIG.enemy.swayAmplitude;
+            slot.y += offset - this.swayOffset;
+            this.swayOffset = offset;
+        }
+        
+        if (this.dive) {
+            this.updateDive(sim, dt);
+        }
+        
+        // Animation
+        this.animTimer += dt;
+        if (this.animTimer >= CONFIG.enemy.animInterval) {
+            this.animFrame = (this.animFrame + 1) % 2;
+            this.animTimer -= CONFIG.enemy.animInterval;
+        }
+        
+        // Random shooting from the formation - the per-second rate
+        // becomes a per-tick probability. Divers fire aimed shots instead.
+        const shootRate = sim.wave.fireRate * sim.director.fireRate * ENEMY_TYPES[this.type].fireRate;
+        if (!this.dive && sim.rng.chance(shootRate * dt)) {
+            this.shoot(sim);
+        }
+    }
+    
+    /**
+     * Break formation: loop up and out to the side, then swoop down on
+     * where the player is now
+     */
+    startDive(sim) {
+        const cfg = sim.config.enemy.dive;
+        const player = sim.player;
+        const side = this.x + this.width / 2 < CONFIG.canvas.width / 2 ? -1 : 1;
+        const endX = Math.max(0, Math.min(player.x + player.width / 2 - this.width / 2,
+            CONFIG.canvas.width - this.width));
+        const endY = player.y - this.height - cfg.clearance;
+        
+        this.dive = {
+            slot: { x: this.x, y: this.y },
+            side,
+            returning: false,
+            elapsed: 0,
+            shots: 0,
+            // Cubic Bezier control points, start to end
+            path: [
+                { x: this.x, y: this.y },
+                { x: this.x + side * cfg.loop, y: this.y - cfg.loop / 2 },
+                { x: endX - side * cfg.loop, y: endY - cfg.loop * 2 },
+                { x: endX, y: endY }
+            ]
+        };
+        sim.emit('enemyDive', { enemyType: this.type });
+    }
+    
+    updateDive(sim, dt) {
+        const cfg = sim.config.enemy.dive;
+        const dive = this.dive;
+        dive.elapsed += dt;
+        
+        if (!dive.returning) {
+            const t = Math.min((dive.elapsed + STEP_EPSILON) / cfg.duration, 1);
+            const [p0, p1, p2, p3] = dive.path;
+            this.x = bezier(p0.x, p1.x, p2.x, p3.x, t);
+            this.y = bezier(p0.y, p1.y, p2.y, p3.y, t);
+            
+            // Aimed shots at set points on the way down
+            if (dive.shots < cfg.shotsAt.length && t >= cfg.shotsAt[dive.shots]) {
+                dive.shots++;
+                this.shootAimed(sim);
+            }
+            
+            if (t === 1) {
+                // Swing back out the other way on the climb
+                dive.returning = true;
+                dive.elapsed = 0;
+                dive.path = [
+                    { x: this.x, y: this.y },
+                    { x: this.x + dive.side * cfg.loop, y: this.y + cfg.loop / 2 }
+                ];
+            }
+            return;
+        }
+        
+        // The climb ends on the slot wherever the formation has moved it
+        const t = Math.min((dive.elapsed + STEP_EPSILON) / cfg.returnDuration, 1);
+        const [p0, p1] = dive.path;
+        const slot = dive.slot;
+        this.x = bezier(p0.x, p1.x, slot.x, slot.x, t);
+        this.y = bezier(p0.y, p1.y, slot.y + cfg.loop * 2, slot.y, t);
+        
+        if (t === 1) {
+            this.dive = null;
+        }
+    }
+    
+    /**
+     * Single shot at the player's ship, off by up to
+     * the dive's maxAimError for a wave with no aim
+     */
+    shootAimed(sim) {
+        const cfg = sim.config.enemy.dive;
+        const player = sim.player;
+        const x = this.x + this.width / 2 - CONFIG.projectile.width / 2;
+        const y = this.y + this.height;
+        
+        const dx = (player.x + player.width / 2) - (this.x + this.width / 2);
+        const dy = Math.max(1, player.y - y);
+        const error = (1 - sim.wave.dive.aim) * cfg.maxAimError * (sim.rng.next() * 2 - 1);
+        const angle = Math.max(-cfg.maxShotAngle, Math.min(cfg.maxShotAngle, Math.atan2(dx, dy) + error));
+        
+        const speed = CONFIG.projectile.enemySpeed * cfg.shotSpeed;
+        sim.enemyProjectiles.push(sim.createProjectile(
+            x, y, Math.cos(angle) * speed, CONFIG.projectile.enemyColor, 'enemy', Math.sin(angle) * speed
+        ));
+        sim.emit('enemyShot', { aimed: true });
+    }
+    
+    shoot(sim) {
+        const x = this.x + this.width / 2 - CONFIG.projectile.width / 2;
+        const y = this.y + this.height;
+        const speed = CONFIG.projectile.enemySpeed;
+        const color = CONFIG.projectile.enemyColor;
+        const projectiles = sim.enemyProjectiles;
+        
+        switch (ENEMY_TYPES[this.type].fire) {
+            case 'spread': {
+                // Three shots fanning out
+                const drift = CONFIG.projectile.spreadDrift / 2;
+                projectiles.push(sim.createProjectile(x, y, speed, color, 'enemy'));
+                projectiles.push(sim.createProjectile(x, y, speed, color, 'enemy', -drift));
+                projectiles.push(sim.createProjectile(x, y, speed, color, 'enemy', drift));
+                break;
+            }
+            case 'fast':
+                projectiles.push(sim.createProjectile(x, y, speed * 1.5, color, 'enemy'));
+                break;
+            default:
+                projectiles.push(sim.createProjectile(x, y, speed, color, 'enemy'));
+        }
+        sim.emit('enemyShot');
+    }
+}
+
+// ============================================
+// Mothership Class
+// ============================================
+
+/**
+ * Bonus saucer that crosses the top lane once, entering from
+ * the left (direction 1) or the right (direction -1)
+ */
+class Mothership {
+    constructor(direction) {
+        this.width = CONFIG.mothership.width;
+        this.height = CONFIG.mothership.height;
+        this.direction = direction;
+        this.x = direction > 0 ? -this.width : CONFIG.canvas.width;
+        this.y = CONFIG.mothership.y;
+        this.prevX = this.x;
+        this.active = true;
+    }
+    
+    update(dt) {
+        this.prevX = this.x;
+        this.x += CONFIG.mothership.speed * this.direction * dt;
+        
+        // Gone once it has left the far side
+        if ((this.direction > 0 && this.x > CONFIG.canvas.width) ||
+            (this.direction < 0 && this.x < -this.width)) {
+            this.active = false;
+        }
+    }
+}
+
+// ============================================
+// Boss Class
+// ============================================
+
+/**
+ * Multi-segment boss. Segments share the boss's position and take
+ * damage separately; the health bar and phases follow their total.
+ * `number` counts bosses in the run (1 for the first) and scales
+ * hit points and points.
+ */
+class Boss {
+    constructor(number) {
+        const cfg = CONFIG.boss;
+        const scale = 1 + (number - 1) * cfg.hpGrowth;
+        
+        this.number = number;
+        this.width = cfg.width;
+        this.height = cfg.height;
+        this.x = (CONFIG.canvas.width - this.width) / 2;
+        this.y = cfg.y;
+        this.prevX = this.x;
+        this.direction = 1;
+        
+        this.segments = cfg.segments.map(seg => ({
+            name: seg.name,
+            kind: seg.kind,
+            offsetX: seg.x,
+            offsetY: seg.y,
+            x: 0,
+            y: 0,
+            width: seg.width,
+            height: seg.height,
+            hp: Math.round(seg.hp * scale),
+            maxHp: Math.round(seg.hp * scale),
+            points: seg.points * number,
+            alive: true,
+            hitFlash: 0
+        }));
+        this.maxHp = this.segments.reduce((total, seg) => total + seg.maxHp, 0);
+        this.placeSegments();
+        
+        this.phase = 0;
+        this.attackIndex = 0;
+        this.attackTimer = cfg.phases[0].interval;
+        this.sweep = null;      // Active sweeping beam: { elapsed, shotTimer, direction }
+    }
+    
+    get hp() {
+        return this.segments.reduce((total, seg) => total + Math.max(0, seg.hp), 0);
+    }
+    
+    get core() {
+        return this.segments.find(seg => seg.kind === 'core');
+    }
+    
+    placeSegments() {
+        for (const seg of this.segments) {
+            seg.x = this.x + seg.offsetX;
+            seg.y = this.y + seg.offsetY;
+        }
+    }
+    
+    update(sim, dt) {
+        const cfg = CONFIG.boss;
+        const phase = cfg.phases[this.phase];
+        this.prevX = this.x;
+        
+        // Patrol side to side, faster in later phases
+        this.x += cfg.speed * phase.speed * this.direction * dt;
+        if (this.x < 10 || this.x + this.width > CONFIG.canvas.width - 10) {
+            this.x = Math.max(10, Math.min(this.x, CONFIG.canvas.width - 10 - this.width));
+            this.direction *= -1;
+        }
+        this.placeSegments();
+        
+        for (const seg of this.segments) {
+            seg.hitFlash = Math.max(0, seg.hitFlash - dt);
+        }
+        
+        if (this.sweep) this.updateSweep(sim, dt);
+        
+        this.attackTimer -= dt;
+        if (this.attackTimer <= 0) {
+            this.attack(sim, phase.attacks[this.attackIndex % phase.attacks.length]);
+            this.attackIndex++;
+            this.attackTimer += phase.interval;
+        }
+    }
+    
+    attack(sim, attack) {
+        switch (attack) {
+            case 'spread':
+                this.fireSpread(sim);
+                break;
+            case 'sweep':
+                // Alternate the sweep direction each time
+                this.sweep = {
+                    elapsed: 0,
+                    shotTimer: 0,
+                    direction: this.attackIndex % 2 === 0 ? 1 : -1
+                };
+                break;
+            case 'minions':
+                sim.spawnMinions(this);
+                break;
+        }
+    }
+    
+    /**
+     * A fan of shots from each surviving pod, or the core once both are gone
+     */
+    fireSpread(sim) {
+        const cfg = CONFIG.boss;
+        const pods = this.segments.filter(seg => seg.alive && seg.kind === 'pod');
+        const guns = pods.length > 0 ? pods : [this.core];
+        const half = (cfg.spreadShots - 1) / 2;
+        
+        for (const gun of guns) {
+            const x = gun.x + gun.width / 2 - CONFIG.projectile.width / 2;
+            for (let i = 0; i < cfg.spreadShots; i++) {
+                sim.enemyProjectiles.push(sim.createProjectile(
+                    x, gun.y + gun.height, CONFIG.projectile.enemySpeed, cfg.color, 'enemy',
+                    (i - half) * cfg.spreadDrift
+                ));
+            }
+        }
+        sim.emit('enemyShot');
+    }
+    
+    /**
+     * Sweeping beam: a quick stream of shots from the core whose
+     * sideways drift swings from one side to the other
+     */
+    updateSweep(sim, dt) {
+        const cfg = CONFIG.boss;
+        const sweep = this.sweep;
+        sweep.elapsed += dt;
+        sweep.shotTimer -= dt;
+        
+        if (sweep.shotTimer <= 0) {
+            sweep.shotTimer += cfg.sweepRate;
+            const progress = Math.min(1, sweep.elapsed / cfg.sweepDuration);
+            const drift = (progress * 2 - 1) * cfg.sweepDrift * sweep.direction;
+            const core = this.core;
+            sim.enemyProjectiles.push(sim.createProjectile(
+                core.x + core.width / 2 - CONFIG.projectile.width / 2, core.y + core.height,
+                CONFIG.projectile.enemySpeed * 1.5, cfg.color, 'enemy', drift
+            ));
+        }
+        
+        if (sweep.elapsed >= cfg.sweepDuration) {
+            this.sweep = null;
+            sim.emit('enemyShot');
+        }
+    }
+}
+
+// ============================================
+// Projectile Class
+// ============================================
+
+class Projectile {
+    constructor(...args) {
+        this.init(...args);
+    }
+    
+    /**
+     * (Re)initialize, so pooled projectiles can be reused
+     */
+    init(x = 0, y = 0, speed = 0, color = '#fff', owner = 'player', vx = 0, type = 'normal') {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.speed = speed;
+        this.color = color;
+        this.owner = owner;
+        this.vx = vx;
+        this.type = type;
+        this.active = true;
+        
+        // Homing state: heading in radians from straight up (positive
+        // turns right) and the enemy or boss segment locked on to
+        this.heading = Math.atan2(vx, -speed);
+        this.target = null;
+        
+        // Enemy shots: already judged as a near miss or not (see checkNearMiss)
+        this.passed = false;
+        
+        // Player shots: the volley fired with it, set by Player.shoot
+        this.volley = null;
+        
+        const def = PROJECTILE_TYPES[type];
+        this.width = def.width;
+        this.height = def.height;
+        this.damage = def.damage;
+        this.traits = def.traits;
+        this.pierceLeft = def.traits.pierce ?? 0;
+        this.bouncesLeft = def.traits.bounce ?? 0;
+        
+        // Targets already hit, so a piercing shot damages each only once
+        if (this.struck) {
+            this.struck.length = 0;
+        } else {
+            this.struck = [];
+        }
+        return this;
+    }
+    
+    update(sim, dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        if (this.type === 'missile' && this.owner === 'player') {
+            this.steer(sim, dt);
+        }
+        
+        this.y += this.speed * dt;
+        this.x += this.vx * dt;
+        
+        // Bouncing shots rebound off the side walls
+        if (this.bouncesLeft > 0 && (this.x < 0 || this.x + this.width > CONFIG.canvas.width)) {
+            this.x = Math.max(0, Math.min(this.x, CONFIG.canvas.width - this.width));
+            this.vx = -this.vx;
+            this.bouncesLeft--;
+        }
+        
+        // Remove if off screen; a player shot that gets this far
+        // without hitting anything missed
+        if (this.y < -this.height || this.y > CONFIG.canvas.height ||
+            this.x < -20 || this.x > CONFIG.canvas.width + 20) {
+            this.active = false;
+            if (this.owner === 'player') sim.shotMissed(this);
+        }
+    }
+    
+    /**
+     * Homing: keep the lock while the target lives and stays in the
+     * forward cone, otherwise lock on to a new one, then turn towards
+     * it no faster than the missile's turn rate
+     */
+    steer(sim, dt) {
+        const cfg = CONFIG.projectile;
+        if (this.target && (!this.target.alive ||
+            Math.abs(bearing(this, this.target).angle) > cfg.missileLockCone)) {
+            this.target = null;
+        }
+        if (!this.target) {
+            this.target = sim.missileTarget(this);
+        }
+        if (!this.target) return;
+        
+        const maxTurn = cfg.missileTurnRate * dt;
+        const turn = bearing(this, this.target).angle;
+        this.heading += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        
+        const speed = Math.hypot(this.vx, this.speed);
+        this.vx = Math.sin(this.heading) * speed;
+        this.speed = -Math.cos(this.heading) * speed;
+    }
+}
+
+/**
+ * One coordinate of a cubic Bezier curve at t (0-1)
+ */
+function bezier(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+}
+
+/**
+ * Angle from a projectile's heading to a target's centre (radians,
+ * within ±π; positive is to the right) and the distance to it
+ */
+function bearing(proj, target) {
+    const dx = (target.x + target.width / 2) - (proj.x + proj.width / 2);
+    const dy = (target.y + target.height / 2) - (proj.y + proj.height / 2);
+    const angle = Math.atan2(dx, -dy) - proj.heading;
+    return {
+        angle: Math.atan2(Math.sin(angle), Math.cos(angle)),
+        distance: Math.hypot(dx, dy)
+    };
+}
+
+// ============================================
+// PowerUp Class
+// ============================================
+
+class PowerUp {
+    constructor(x, y, type) {
+        this.x = x;
+        this.y = y;
+        this.prevY = y;
+        this.width = CONFIG.powerUp.width;
+        this.height = CONFIG.powerUp.height;
+        this.speed = CONFIG.powerUp.speed;
+        this.type = type;
+        this.active = true;
+        this.rotation = 0;
+        this.prevRotation = 0;
+    }
+    
+    update(dt) {
+        this.prevY = this.y;
+        this.prevRotation = this.rotation;
+        
+        this.y += this.speed * dt;
+        this.rotation += CONFIG.powerUp.spin * dt;
+        
+        if (this.y > CONFIG.canvas.height) {
+            this.active = false;
+        }
+    }
+}
+
+// ============================================
+// Collision Detection
+// ============================================
+
+function rectCollision(a, b) {
+    return a.x < b.x + b.width &&
+           a.x + a.width > b.x &&
+           a.y < b.y + b.height &&
+           a.y + a.height > b.y;
+}
+
+// ============================================
+// Game Simulation
+// ============================================
+
+/**
+ * A single run of the game: the player, the current wave and
+ * everything in flight, plus score, lives and weapon state.
+ *
+ * The caller owns the clock and feeds fixed steps to step(dt).
+ * Input is written to `input` before each step: held movement keys
+ * plus fire and weapon-cycle requests, so every tick's input can be
+ * recorded.
+ * Pass a seed to replay a specific run; otherwise a random one is used.
+ * Shot cooldowns and other gameplay timers run on the game clock (`timers`).
+ */
+class GameSimulation {
+    constructor(seed = randomSeed()) {
+        this.events = [];
+        this.timers = new Scheduler();
+        
+        // Reused between ticks to keep allocations out of the hot path
+        this.projectilePool = new Pool(() => new Projectile());
+        this.enemyGrid = new SpatialHash(CONFIG.collision.cellSize);
+        this.playerProjectiles = [];
+        this.enemyProjectiles = [];
+        this.powerUps = [];
+        this.bunkers = [];
+        this.mothership = null;
+        this.boss = null;
+        
+        // Authored level definitions (see levels.js); empty means all procedural
+        this.levels = [];
+        
+        // Rules for the run: CONFIG with a difficulty preset and any
+        // challenge modifiers applied, and whether the difficulty
+        // director adapts it to the player
+        this.modifiers = [];
+        this.setDifficulty(DEFAULT_DIFFICULTY);
+        this.adaptive = false;
+        this.setMode(DEFAULT_MODE);
+        
+        this.shotCooldown = null;
+        this.mothershipTimer = null;
+        this.respawnTimer = null;
+        this.shieldTimer = null;
+        this.comboTimer = null;
+        this.directorTimer = null;
+        this.streamTimer = null;
+        this.rampTimer = null;
+        this.clockTimer = null;
+        this.reset(seed);
+    }
+    
+    /**
+     * Start a fresh run at level 1
+     */
+    reset(seed = randomSeed()) {
+        this.clearTimers();
+        
+        // Gameplay randomness for this run
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        
+        // 'playing', 'levelComplete' or 'gameOver'
+        this.status = 'playing';
+        
+        // Score and progress
+        this.score = 0;
+        this.lives = this.config.player.lives;
+        this.level = 1;
+        this.wavesCleared = 0;
+        this.playTime = 0;      // Seconds of play, for the Endless and Time Attack clocks
+        
+        // Weapon inventory in pickup order: the basic cannon (or the
+        // weapon the rules lock the ship to) is always first, pickups
+        // join with a tier and their ammo
+        const loadout = this.config.rules.loadout ?? 'basic';
+        this.inventory = [{ type: loadout, tier: 1, ammo: Infinity }];
+        this.currentWeapon = loadout;
+        this.canShoot = true;
+        
+        // Statistics for AI comments
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.enemiesDefeated = 0;
+        this.shipsLost = 0;
+        
+        // Kill chain: the multiplier rises a step every few chained kills
+        this.comboMultiplier = 1;
+        this.comboKills = 0;
+        
+        // Bonus breakdown for the last wave cleared (see waveBonus)
+        this.bonus = null;
+        
+        // Adjusts fire rate, march speed and power-up chance when adaptive
+        this.director = new DifficultyDirector(this.config.director, this.adaptive);
+        
+        // Input for the next tick: held movement keys, a pending shot
+        // and a pending switch to the next weapon in the inventory
+        this.input = { left: false, right: false, fire: false, cycle: false };
+        
+        this.player = new Player();
+        this.events = [];
+        this.setupLevel();
+        this.startMode();
+    }
+    
+    /**
+     * Advance to the next wave after a level has been cleared
+     */
+    startNextLevel() {
+        this.level++;
+        this.status = 'playing';
+        this.setupLevel();
+    }
+    
+    /**
+     * Use authored level definitions from the next level set up on
+     */
+    setLevels(levels) {
+        this.levels = levels;
+    }
+    
+    /**
+     * Play by a difficulty preset (see difficulty.js) from the next reset
+     */
+    setDifficulty(difficulty) {
+        this.config = modifiedConfig(presetConfig(CONFIG, difficulty), this.modifiers);
+        this.difficulty = difficulty;
+    }
+    
+    /**
+     * Play with daily challenge modifiers (see challenge.js) from the
+     * next reset; an empty list plays by the preset alone
+     */
+    setModifiers(modifiers) {
+        this.config = modifiedConfig(presetConfig(CONFIG, this.difficulty), modifiers);
+        this.modifiers = modifiers;
+    }
+    
+    /**
+     * Play a game mode (see modes.js) from the next reset
+     */
+    setMode(mode) {
+        if (!Object.hasOwn(GAME_MODES, mode)) {
+            throw new Error(`Unknown game mode "${mode}"`);
+        }
+        this.mode = mode;
+    }
+    
+    /**
+     * Switch the difficulty director on or off from the next reset
+     * (off for ranked play)
+     */
+    setAdaptive(adaptive) {
+        this.adaptive = adaptive;
+    }
+    
+    /**
+     * Build the current level's wave, bunkers and mothership countdown
+     */
+    setupLevel() {
+        // Endless runs are one procedural wave that never ends (see rampEndless)
+        this.wave = this.mode === 'endless' ?
+            proceduralWave(this.level, this.config) :
+            waveForLevel(this.level, this.levels, this.config);
+        this.resetCombo();
+        
+        // Where the run stood as the wave began, for the end-of-wave bonuses
+        this.waveStart = {
+            time: this.timers.time,
+            shotsFired: this.shotsFired,
+            shotsHit: this.shotsHit,
+            shipsLost: this.shipsLost
+        };
+        
+        this.clearField();
+        this.createEnemies();
+        this.createBunkers();
+        this.scheduleMothership();
+        this.scheduleReview();
+    }
+    
+    /**
+     * Remove everything in flight between waves
+     */
+    clearField() {
+        this.enemies = [];
+        releaseAll(this.playerProjectiles, this.projectilePool);
+        releaseAll(this.enemyProjectiles, this.projectilePool);
+        this.powerUps.length = 0;
+        this.mothership = null;
+        this.boss = null;
+        this.enemyDirection = 1;
+    }
+    
+    /**
+     * Cancel cooldown, mothership, respawn, shield, combo, director and
+     * game mode timers (game time, not wall time)
+     */
+    clearTimers() {
+        this.timers.clear();
+        this.shotCooldown = null;
+        this.mothershipTimer = null;
+        this.respawnTimer = null;
+        this.shieldTimer = null;
+        this.comboTimer = null;
+        this.directorTimer = null;
+        this.streamTimer = null;
+        this.rampTimer = null;
+        this.clockTimer = null;
+    }
+    
+    /**
+     * Projectile from the pool; arguments as for the Projectile constructor
+     */
+    createProjectile(x, y, speed, color, owner, vx = 0, type = 'normal') {
+        return this.projectilePool.acquire().init(x, y, speed, color, owner, vx, type);
+    }
+    
+    /**
+     * Nearest live enemy or boss segment in a missile's lock range and
+     * forward cone, or null when there is nothing to lock on to
+     */
+    missileTarget(missile) {
+        const cfg = CONFIG.projectile;
+        let nearest = null;
+        let nearestDistance = cfg.missileLockRange;
+        
+        const consider = target => {
+            if (!target.alive) return;
+            const { angle, distance } = bearing(missile, target);
+            if (Math.abs(angle) <= cfg.missileLockCone && distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        };
+        
+        // Boss minions are ordinary enemies, so both lists are searched
+        for (const enemy of this.enemies) consider(enemy);
+        if (this.boss) {
+            for (const segment of this.boss.segments) consider(segment);
+        }
+        return nearest;
+    }
+    
+    /**
+     * Queue an event for the presentation layer
+     */
+    emit(type, data = {}) {
+        this.events.push({ type, ...data });
+    }
+    
+    /**
+     * Return and clear all events raised since the last call
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+    
+    /**
+     * Request a shot on the next tick (respects the weapon's fire rate)
+     */
+    fire() {
+        this.input.fire = true;
+    }
+    
+    /**
+     * Request a switch to the next weapon in the inventory on the next tick
+     */
+    nextWeapon() {
+        this.input.cycle = true;
+    }
+    
+    /**
+     * Advance the simulation by one fixed step of dt seconds
+     */
+    step(dt) {
+        if (this.status !== 'playing') return;
+        
+        // Game-time timers only run while the simulation steps, so they
+        // freeze on pause and on the level complete screen
+        this.playTime += dt;
+        this.timers.update(dt);
+        if (this.status !== 'playing') return;
+        
+        // Weapon switches and fire requests are consumed by the tick
+        // they were recorded for
+        if (this.input.cycle) {
+            this.input.cycle = false;
+            this.cycleWeapon();
+        }
+        if (this.input.fire) {
+            this.input.fire = false;
+            this.player.shoot(this);
+        }
+        
+        // Update game objects; invaders and the boss freeze in place,
+        // holding their fire, while the player's next ship is on its way
+        this.player.update(this, dt);
+        if (this.player.alive) {
+            this.updateEnemies(dt);
+            if (this.status !== 'playing') return;
+            if (this.boss) this.boss.update(this, dt);
+        }
+        this.updateMothership(dt);
+        
+        // Update projectiles
+        for (const proj of this.playerProjectiles) proj.update(this, dt);
+        for (const proj of this.enemyProjectiles) proj.update(this, dt);
+        
+        // Update power-ups
+        for (const powerUp of this.powerUps) powerUp.update(dt);
+        
+        // Check collisions
+        this.checkCollisions();
+        
+        // Clean up inactive objects in place, recycling projectiles
+        compactActive(this.playerProjectiles, this.projectilePool);
+        compactActive(this.enemyProjectiles, this.projectilePool);
+        compactActive(this.powerUps);
+    }
+    
+    // ========================================
+    // Enemy Management
+    // ========================================
+    
+    /**
+     * True when the current level is a boss fight
+     */
+    get isBossLevel() {
+        return this.wave.boss;
+    }
+    
+    /**
+     * Lay out the wave's formation, centred, from CONFIG.enemy.startY down
+     */
+    createEnemies() {
+        this.enemies = [];
+        this.formationSize = 0;     // Invaders the wave started with
+        this.marchSpeed = 1;        // Times the wave's march speed, see updateEnemies
+        
+        // Boss levels start with the boss alone; it launches its own minions
+        if (this.isBossLevel) {
+            this.boss = new Boss(Math.max(1, Math.round(this.level / CONFIG.boss.every)));
+            return;
+        }
+        
+        const formation = this.wave.formation;
+        const cols = Math.max(...formation.map(row => row.length));
+        const spacingX = CONFIG.enemy.width + CONFIG.enemy.padding;
+        const spacingY = CONFIG.enemy.height + CONFIG.enemy.padding;
+        const startX = (CONFIG.canvas.width - cols * spacingX) / 2;
+        
+        formation.forEach((types, row) => {
+            types.forEach((type, col) => {
+                if (!type) return;
+                const enemy = new Enemy(startX + col * spacingX, CONFIG.enemy.startY + row * spacingY, row, type);
+                enemy.swayPhase = col * 0.6;
+                this.enemies.push(enemy);
+            });
+        });
+        this.formationSize = this.enemies.length;
+    }
+    
+    updateEnemies(dt) {
+        const aliveEnemies = this.enemies.filter(e => e.alive);
+        if (aliveEnemies.length === 0 && !this.boss) {
+            // Endless never runs dry: the next row comes in at once
+            if (this.mode === 'endless') {
+                this.streamRow();
+            } else {
+                this.levelComplete();
+            }
+            return;
+        }
+        
+        // The march quickens as the wave thins out, as far as the
+        // rules allow (boss minions keep a steady pace)
+        this.marchSpeed = Math.max(1, Math.min(this.config.enemy.lastInvaderSpeed,
+            this.formationSize / aliveEnemies.length));
+        
+        // Check if the formation hit a wall (divers by the slot they left)
+        let hitWall = false;
+        for (const enemy of aliveEnemies) {
+            const { x } = enemy.slot;
+            if ((this.enemyDirection > 0 && x + enemy.width > CONFIG.canvas.width - 10) ||
+                (this.enemyDirection < 0 && x < 10)) {
+                hitWall = true;
+                break;
+            }
+        }
+        
+        // Update all enemies
+        for (const enemy of this.enemies) {
+            enemy.update(this, dt, this.enemyDirection, hitWall);
+        }
+        
+        // Change direction if hit wall
+        if (hitWall) {
+            this.enemyDirection *= -1;
+        }
+        
+        this.launchDive(dt);
+        
+        // Check if the formation reached player level (game over);
+        // divers swooping low don't count
+        for (const enemy of aliveEnemies) {
+            if (enemy.slot.y + enemy.height > this.player.y - 20) {
+                this.gameOver();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Now and then send an invader still in formation on a dive, at
+     * the wave's dive rate and up to the config's dive.maxDivers at once
+     */
+    launchDive(dt) {
+        if (!this.rng.chance(this.wave.dive.rate * dt)) return;
+        
+        let diving = 0;
+        let inFormation = 0;
+        for (const enemy of this.enemies) {
+            if (!enemy.alive) continue;
+            if (enemy.dive) diving++;
+            else inFormation++;
+        }
+        if (diving >= this.config.enemy.dive.maxDivers || inFormation === 0) return;
+        
+        // Same draw as picking from a list of the formation, walked in place
+        let index = this.rng.int(inFormation);
+        for (const enemy of this.enemies) {
+            if (!enemy.alive || enemy.dive) continue;
+            if (index-- === 0) {
+                enemy.startDive(this);
+                return;
+            }
+        }
+    }
+    
+    // ========================================
+    // Boss
+    // ========================================
+    
+    /**
+     * Launch scouts from under the boss, up to CONFIG.boss.maxMinions alive
+     */
+    spawnMinions(boss) {
+        const cfg = CONFIG.boss;
+        let alive = 0;
+        for (const enemy of this.enemies) {
+            if (enemy.alive) alive++;
+        }
+        const count = Math.min(cfg.minions, cfg.maxMinions - alive);
+        if (count <= 0) return;
+        
+        // Minions join the formation and march with it
+        const y = boss.y + boss.height + 10;
+        const spacing = CONFIG.enemy.width + CONFIG.enemy.padding;
+        const startX = boss.x + boss.width / 2 - (count * spacing - CONFIG.enemy.padding) / 2;
+        for (let i = 0; i < count; i++) {
+            const x = Math.max(10, Math.min(startX + i * spacing, CONFIG.canvas.width - 10 - CONFIG.enemy.width));
+            this.enemies.push(new Enemy(x, y, CONFIG.enemy.rows, 'scout'));
+        }
+        this.emit('bossMinions', { count });
+    }
+    
+    /**
+     * Apply a shot's damage to one boss segment
+     */
+    damageBoss(segment, damage) {
+        const boss = this.boss;
+        segment.hp -= damage;
+        
+        if (segment.hp <= 0) {
+            this.destroyBossSegment(segment);
+            if (segment.kind === 'core') {
+                this.defeatBoss();
+                return;
+            }
+        } else {
+            segment.hitFlash = CONFIG.enemy.hitFlash;
+        }
+        this.emit('bossDamaged', { hp: boss.hp, maxHp: boss.maxHp });
+        
+        // Move on to every phase whose health threshold has been crossed
+        const phases = CONFIG.boss.phases;
+        while (boss.phase + 1 < phases.length && boss.hp <= phases[boss.phase + 1].health * boss.maxHp) {
+            boss.phase++;
+            boss.attackIndex = 0;
+            boss.attackTimer = Math.min(boss.attackTimer, 0.5);
+            this.emit('bossPhase', { phase: boss.phase + 1, attacks: phases[boss.phase].attacks });
+        }
+    }
+    
+    destroyBossSegment(segment) {
+        segment.alive = false;
+        segment.hp = 0;
+        this.score += segment.points;
+        this.emit('explosion', {
+            x: segment.x + segment.width / 2,
+            y: segment.y + segment.height / 2,
+            colors: BOSS_EXPLOSION
+        });
+        this.emit('bossSegmentDestroyed', { segment: segment.name, points: segment.points });
+    }
+    
+    /**
+     * The core is gone: the rest of the hull goes with it
+     */
+    defeatBoss() {
+        for (const seg of this.boss.segments) {
+            if (seg.alive) this.destroyBossSegment(seg);
+        }
+        this.enemiesDefeated++;
+        this.emit('bossDefeated', { level: this.level });
+        this.boss = null;
+    }
+    
+    // ========================================
+    // Mothership
+    // ========================================
+    
+    /**
+     * Queue the next mothership pass a random while from now
+     */
+    scheduleMothership() {
+        this.timers.cancel(this.mothershipTimer);
+        
+        const { minInterval, maxInterval } = CONFIG.mothership;
+        const delay = minInterval + this.rng.next() * (maxInterval - minInterval);
+        this.mothershipTimer = this.timers.after(delay, () => {
+            this.mothershipTimer = null;
+            this.spawnMothership();
+        });
+    }
+    
+    spawnMothership() {
+        const direction = this.rng.chance(0.5) ? 1 : -1;
+        this.mothership = new Mothership(direction);
+        this.emit('mothershipSpawned', { direction });
+        return this.mothership;
+    }
+    
+    updateMothership(dt) {
+        if (!this.mothership) return;
+        
+        this.mothership.update(dt);
+        if (!this.mothership.active) {
+            this.mothership = null;
+            this.emit('mothershipEscaped');
+            this.scheduleMothership();
+        }
+    }
+    
+    killMothership() {
+        const ship = this.mothership;
+        const points = this.rng.pick(CONFIG.mothership.points);
+        this.mothership = null;
+        this.score += points;
+        this.emit('explosion', {
+            x: ship.x + ship.width / 2,
+            y: ship.y + ship.height / 2,
+            colors: MOTHERSHIP_EXPLOSION
+        });
+        this.emit('mothershipDestroyed', { points });
+        this.scheduleMothership();
+    }
+    
+    // ========================================
+    // Bunkers
+    // ========================================
+    
+    /**
+     * Fresh bunkers in this level's layout
+     */
+    createBunkers() {
+        this.bunkers = createBunkers(this.wave.bunkers, CONFIG.canvas.width, CONFIG.bunker.y, CONFIG.bunker.cellSize);
+    }
+    
+    /**
+     * Stop a projectile on the first bunker cell in its path and chip
+     * a hole around the impact. Returns true if it hit a bunker.
+     */
+    hitBunker(proj) {
+        for (const bunker of this.bunkers) {
+            if (bunker.destroyed || !rectCollision(proj, bunker)) continue;
+            
+            const cell = bunker.impactCell(proj, proj.speed < 0);
+            if (!cell) continue;
+            
+            // Heavier shots blow bigger holes
+            const radius = CONFIG.bunker.chipRadius + proj.damage - 1;
+            bunker.chip(cell.col, cell.row, radius, CONFIG.bunker.chipChance, this.rng);
+            proj.active = false;
+            if (proj.owner === 'player') this.shotMissed(proj);
+            this.emit('bunkerHit', {
+                x: bunker.x + (cell.col + 0.5) * bunker.cellSize,
+                y: bunker.y + (cell.row + 0.5) * bunker.cellSize,
+                owner: proj.owner,
+                colors: BUNKER_DEBRIS
+            });
+            return true;
+        }
+        return false;
+    }
+    
+    // ========================================
+    // Collisions
+    // ========================================
+    
+    checkCollisions() {
+        // Broad phase: bucket live enemies by grid cell so each shot
+        // is only tested against the enemies around it
+        this.enemyGrid.clear();
+        for (const enemy of this.enemies) {
+            if (enemy.alive) this.enemyGrid.insert(enemy);
+        }
+        
+        // Projectiles from either side vs bunkers
+        for (const proj of this.playerProjectiles) {
+            if (proj.active) this.hitBunker(proj);
+        }
+        for (const proj of this.enemyProjectiles) {
+            if (proj.active) this.hitBunker(proj);
+        }
+        
+        // Invaders grind through any bunker they descend into; divers
+        // swoop over them
+        for (const enemy of this.enemies) {
+            if (!enemy.alive || enemy.dive) continue;
+            for (const bunker of this.bunkers) {
+                if (!bunker.destroyed && rectCollision(enemy, bunker)) {
+                    bunker.erode(enemy);
+                }
+            }
+        }
+        
+        // Player projectiles vs mothership
+        if (this.mothership) {
+            for (const proj of this.playerProjectiles) {
+                if (proj.active && rectCollision(proj, this.mothership)) {
+                    this.strike(proj, this.mothership);
+                    break;
+                }
+            }
+        }
+        
+        // Player projectiles vs boss segments
+        if (this.boss) {
+            for (const proj of this.playerProjectiles) {
+                if (!proj.active) continue;
+                
+                const segment = this.boss.segments.find(seg =>
+                    seg.alive && !proj.struck.includes(seg) && rectCollision(proj, seg));
+                if (segment) {
+                    this.strike(proj, segment);
+                    if (!this.boss) break;
+                }
+            }
+        }
+        
+        // Player projectiles vs enemies
+        for (const proj of this.playerProjectiles) {
+            if (!proj.active) continue;
+            
+            for (const enemy of this.enemyGrid.query(proj)) {
+                // May already have been destroyed or hit by this shot
+                if (!enemy.alive || proj.struck.includes(enemy)) continue;
+                
+                // A shot hits every enemy it overlaps on the tick it lands
+                if (rectCollision(proj, enemy)) {
+                    this.strike(proj, enemy);
+                }
+            }
+        }
+        
+        // Enemy projectiles vs player (they pass through an invulnerable ship)
+        for (const proj of this.enemyProjectiles) {
+            if (!proj.active || !this.player.vulnerable) continue;
+            
+            if (rectCollision(proj, this.player)) {
+                proj.active = false;
+                this.playerHit();
+            } else if (!proj.passed) {
+                this.checkNearMiss(proj);
+            }
+        }
+        
+        // Player vs power-ups; a downed ship can't pick anything up
+        if (!this.player.alive) return;
+        for (const powerUp of this.powerUps) {
+            if (!powerUp.active) continue;
+            
+            if (rectCollision(this.player, powerUp)) {
+                powerUp.active = false;
+                this.collectPowerUp(powerUp);
+            }
+        }
+    }
+    
+    // ========================================
+    // Projectile Traits
+    // ========================================
+    
+    /**
+     * A player shot left the screen or stopped on a bunker. The combo
+     * breaks once every shot of its volley has gone without a hit, so
+     * spread lanes flying wide of a kill don't count as misses.
+     */
+    shotMissed(proj) {
+        const volley = proj.volley;
+        if (volley) {
+            volley.missed++;
+            if (volley.struck || volley.missed < volley.size) return;
+        } else if (proj.struck.length > 0) {
+            return;
+        }
+        this.breakCombo('miss');
+    }
+    
+    /**
+     * A player shot hit an enemy, boss segment or the mothership.
+     * Splash shots burst, piercing shots carry on until their pierce
+     * runs out, and anything else stops. A volley counts towards
+     * accuracy once however many targets its shots hit.
+     */
+    strike(proj, target) {
+        const volley = proj.volley;
+        if (volley ? !volley.struck : proj.struck.length === 0) this.shotsHit++;
+        if (volley) volley.struck = true;
+        proj.struck.push(target);
+        
+        const x = target.x + target.width / 2;
+        const y = target.y + target.height / 2;
+        this.hitTarget(target, proj.damage);
+        
+        // Splash shots burst once, on the first thing they hit
+        const { splash } = proj.traits;
+        if (splash) {
+            if (proj.active) this.splashDamage(x, y, splash, target);
+            proj.active = false;
+        } else if (proj.pierceLeft > 0) {
+            proj.pierceLeft--;
+        } else {
+            proj.active = false;
+        }
+    }
+    
+    /**
+     * Damage whatever kind of target was hit
+     */
+    hitTarget(target, damage) {
+        if (target === this.mothership) {
+            this.killMothership();
+        } else if (this.boss && this.boss.segments.includes(target)) {
+            this.damageBoss(target, damage);
+        } else if (this.damageEnemy(target, damage) &&
+            this.rng.chance(this.wave.powerUps.chance * this.director.powerUpChance)) {
+            // Chance to spawn power-up from a kill
+            this.spawnPowerUp(target.x, target.y);
+        }
+    }
+    
+    /**
+     * Blast from a splash shot bursting at (x, y): every other live
+     * enemy and boss segment with its centre inside the radius is hit
+     */
+    splashDamage(x, y, splash, direct) {
+        this.emit('splash', { x, y, radius: splash.radius, colors: SPLASH_BLAST });
+        
+        const inBlast = target => target.alive && target !== direct &&
+            Math.hypot(target.x + target.width / 2 - x, target.y + target.height / 2 - y) <= splash.radius;
+        
+        for (const enemy of this.enemies) {
+            if (inBlast(enemy)) this.hitTarget(enemy, splash.damage);
+        }
+        const boss = this.boss;
+        if (boss) {
+            for (const segment of boss.segments) {
+                if (this.boss === boss && inBlast(segment)) this.hitTarget(segment, splash.damage);
+            }
+        }
+    }
+    
+    // ========================================
+    // Game Events
+    // ========================================
+    
+    /**
+     * Apply a shot's damage. Returns true if it killed the enemy.
+     */
+    damageEnemy(enemy, damage) {
+        enemy.hp -= damage;
+        if (enemy.hp <= 0) {
+            this.killEnemy(enemy);
+            return true;
+        }
+        
+        enemy.hitFlash = CONFIG.enemy.hitFlash;
+        this.emit('enemyDamaged', { enemyType: enemy.type, hp: enemy.hp, maxHp: enemy.maxHp });
+        return false;
+    }
+    
+    killEnemy(enemy) {
+        enemy.alive = false;
+        enemy.hp = 0;
+        const multiplier = this.comboMultiplier;
+        const points = enemy.points * this.level * multiplier;
+        this.score += points;
+        this.enemiesDefeated++;
+        this.chainKill();
+        this.emit('explosion', {
+            x: enemy.x + enemy.width / 2,
+            y: enemy.y + enemy.height / 2,
+            colors: ENEMY_EXPLOSION
+        });
+        this.emit('enemyKilled', { enemyType: enemy.type, points, multiplier });
+    }
+    
+    /**
+     * Lose a ship, unless the shield bubble takes the hit. Ignored while
+     * the player is down or invulnerable. Unless that was the last life,
+     * the enemy fire in the air is cleared and a new ship arrives after
+     * CONFIG.player.respawnDelay.
+     */
+    playerHit() {
+        const player = this.player;
+        if (!player.vulnerable) return;
+        
+        if (player.shield > 0) {
+            this.absorbHit();
+            return;
+        }
+        
+        this.lives--;
+        this.shipsLost++;
+        this.breakCombo('hit');
+        player.alive = false;
+        this.emit('explosion', {
+            x: player.x + player.width / 2,
+            y: player.y + player.height / 2,
+            colors: PLAYER_EXPLOSION
+        });
+        this.emit('playerHit', { lives: this.lives });
+        
+        if (this.lives <= 0) {
+            this.gameOver();
+            return;
+        }
+        
+        for (const proj of this.enemyProjectiles) proj.active = false;
+        this.respawnTimer = this.timers.after(CONFIG.player.respawnDelay, () => {
+            this.respawnTimer = null;
+            this.respawnPlayer();
+        });
+    }
+    
+    /**
+     * Bring the next ship in at the centre, blinking and invulnerable
+     */
+    respawnPlayer() {
+        const player = this.player;
+        player.alive = true;
+        player.x = player.prevX = (CONFIG.canvas.width - player.width) / 2;
+        player.invincible = CONFIG.player.invincibility;
+        this.emit('playerRespawned', { invincible: player.invincible });
+    }
+    
+    spawnPowerUp(x, y) {
+        const weights = this.wave.powerUps.weights;
+        const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+        let random = this.rng.next() * totalWeight;
+        let selectedType = 'bonus';
+        
+        for (const [type, weight] of Object.entries(weights)) {
+            random -= weight;
+            if (random <= 0) {
+                selectedType = type;
+                break;
+            }
+        }
+        
+        const powerUp = new PowerUp(x, y, selectedType);
+        this.powerUps.push(powerUp);
+        this.emit('powerUpSpawned', { powerUpType: selectedType });
+        return powerUp;
+    }
+    
+    collectPowerUp(powerUp) {
+        this.score += CONFIG.scoring.powerUpBonus;
+        const event = { powerUpType: powerUp.type };
+        
+        // Apply power-up effect
+        switch (powerUp.type) {
+            case 'spread':
+            case 'laser':
+            case 'rapid':
+            case 'missile':
+                this.collectWeapon(powerUp.type);
+                event.weapon = this.currentWeapon;
+                event.tier = this.weapon.tier;
+                break;
+            case 'shield':
+                this.raiseShield();
+                event.hits = CONFIG.shield.hits;
+                break;
+            case 'extraLife':
+                this.lives = Math.min(this.lives + 2, 9);
+                break;
+            case 'bomb': {
+                // Screen clear bomb
+                let destroyed = 0;
+                for (const e of this.enemies) {
+                    if (!e.alive) continue;
+                    e.alive = false;
+                    destroyed++;
+                    this.score += e.points;
+                    this.emit('explosion', {
+                        x: e.x + e.width / 2,
+                        y: e.y + e.height / 2,
+                        colors: ENEMY_EXPLOSION
+                    });
+                }
+                event.destroyed = destroyed;
+                break;
+            }
+            case 'bonus': {
+                const bonusPoints = 250 + this.rng.int(500);
+                this.score += bonusPoints;
+                event.points = bonusPoints;
+                break;
+            }
+        }
+        
+        this.emit('powerUpCollected', event);
+    }
+    
+    // ========================================
+    // Weapons
+    // ========================================
+    
+    /**
+     * Inventory slot of the selected weapon ({ type, tier, ammo })
+     */
+    get weapon() {
+        return this.inventory.find(slot => slot.type === this.currentWeapon);
+    }
+    
+    /**
+     * A weapon pickup: a weapon already held goes up a tier, a new one
+     * joins the inventory. Either way it is refilled and selected.
+     * A ship locked to one weapon upgrades that instead.
+     */
+    collectWeapon(type) {
+        type = this.config.rules.loadout ?? type;
+        let slot = this.inventory.find(s => s.type === type);
+        if (slot) {
+            slot.tier = Math.min(slot.tier + 1, CONFIG.weapons.maxTier);
+        } else {
+            slot = { type, tier: 1, ammo: 0 };
+            this.inventory.push(slot);
+        }
+        if (slot.ammo !== Infinity) slot.ammo = WEAPON_TYPES[type].ammo;
+        this.selectWeapon(type);
+    }
+    
+    selectWeapon(type) {
+        this.currentWeapon = type;
+        this.emit('weaponChanged', { weapon: type, tier: this.weapon.tier });
+    }
+    
+    /**
+     * Select the next weapon in the inventory, wrapping round to the basic cannon
+     */
+    cycleWeapon() {
+        if (this.inventory.length < 2) return;
+        
+        const index = this.inventory.indexOf(this.weapon);
+        this.selectWeapon(this.inventory[(index + 1) % this.inventory.length].type);
+    }
+    
+    /**
+     * Use one shot of the selected weapon's ammo. An empty weapon leaves
+     * the inventory and the one before it is selected.
+     */
+    spendAmmo() {
+        const slot = this.weapon;
+        if (slot.ammo === Infinity) return;
+        
+        slot.ammo--;
+        if (slot.ammo > 0) return;
+        
+        const index = this.inventory.indexOf(slot);
+        this.inventory.splice(index, 1);
+        this.currentWeapon = this.inventory[index - 1].type;
+        this.emit('weaponDepleted', { depleted: slot.type, weapon: this.currentWeapon });
+    }
+    
+    // ========================================
+    // Shield
+    // ========================================
+    
+    /**
+     * Put a bubble round the ship that absorbs CONFIG.shield.hits enemy
+     * shots or fades after CONFIG.shield.duration seconds. Picking up
+     * another shield restores it in full.
+     */
+    raiseShield() {
+        this.timers.cancel(this.shieldTimer);
+        this.player.shield = CONFIG.shield.hits;
+        this.shieldTimer = this.timers.after(CONFIG.shield.duration, () => {
+            this.shieldTimer = null;
+            this.dropShield('expired');
+        });
+    }
+    
+    /**
+     * The bubble soaks up one shot, breaking on the last one it can take
+     */
+    absorbHit() {
+        const player = this.player;
+        player.shield--;
+        this.emit('shieldHit', {
+            x: player.x + player.width / 2,
+            y: player.y,
+            hits: player.shield,
+            colors: SHIELD_SPARKS
+        });
+        if (player.shield === 0) this.dropShield('broken');
+    }
+    
+    /**
+     * `reason` is 'broken' or 'expired'
+     */
+    dropShield(reason) {
+        this.timers.cancel(this.shieldTimer);
+        this.shieldTimer = null;
+        this.player.shield = 0;
+        this.emit('shieldDown', { reason });
+    }
+    
+    // ========================================
+    // Combo
+    // ========================================
+    
+    /**
+     * Count a kill towards the chain and restart the decay countdown
+     */
+    chainKill() {
+        const combo = CONFIG.scoring.combo;
+        this.comboKills++;
+        if (this.comboKills >= combo.killsPerStep && this.comboMultiplier < combo.maxMultiplier) {
+            this.comboKills = 0;
+            this.comboMultiplier++;
+            this.emit('comboChanged', { multiplier: this.comboMultiplier });
+        }
+        
+        this.timers.cancel(this.comboTimer);
+        this.comboTimer = this.timers.after(combo.decay, () => this.decayCombo());
+    }
+    
+    /**
+     * No kill for a while: drop a step, and keep dropping while idle
+     */
+    decayCombo() {
+        this.comboTimer = null;
+        this.comboKills = 0;
+        if (this.comboMultiplier === 1) return;
+        
+        this.comboMultiplier--;
+        this.emit('comboChanged', { multiplier: this.comboMultiplier, reason: 'decay' });
+        if (this.comboMultiplier > 1) {
+            this.comboTimer = this.timers.after(CONFIG.scoring.combo.decay, () => this.decayCombo());
+        }
+    }
+    
+    /**
+     * A missed shot or a lost ship ends the chain. `reason` is 'miss' or 'hit'.
+     */
+    breakCombo(reason) {
+        const lost = this.comboMultiplier > 1;
+        this.resetCombo();
+        if (lost) this.emit('comboChanged', { multiplier: 1, reason });
+    }
+    
+    resetCombo() {
+        this.timers.cancel(this.comboTimer);
+        this.comboTimer = null;
+        this.comboMultiplier = 1;
+        this.comboKills = 0;
+    }
+    
+    // ========================================
+    // Level Flow
+    // ========================================
+    
+    /**
+     * Wave cleared: award the end-of-wave bonuses and wait for the next level
+     */
+    levelComplete() {
+        this.bonus = this.waveBonus();
+        this.score += this.bonus.total;
+        this.wavesCleared++;
+        this.status = 'levelComplete';
+        this.emit('levelComplete', { level: this.level, bonus: this.bonus });
+        this.reviewDifficulty(this.bonus.seconds);
+    }
+    
+    /**
+     * Bonus breakdown for the wave just cleared: a level bonus, an
+     * accuracy bonus for the wave's hit rate, a no-damage bonus and a
+     * bonus for every second under par
+     */
+    waveBonus() {
+        const scoring = CONFIG.scoring;
+        const start = this.waveStart;
+        
+        const fired = this.shotsFired - start.shotsFired;
+        const hit = this.shotsHit - start.shotsHit;
+        const accuracy = fired > 0 ? Math.min(100, Math.round((hit / fired) * 100)) : 0;
+        const seconds = this.timers.time - start.time;
+        const noDamage = this.shipsLost === start.shipsLost;
+        
+        const bonus = {
+            accuracy,
+            seconds,
+            noDamage,
+            levelPoints: scoring.levelBonus * this.level,
+            accuracyPoints: accuracy * scoring.accuracyBonus,
+            noDamagePoints: noDamage ? scoring.noDamageBonus : 0,
+            timePoints: Math.max(0, Math.floor(scoring.parTime - seconds)) * scoring.timeBonus
+        };
+        bonus.total = bonus.levelPoints + bonus.accuracyPoints + bonus.noDamagePoints + bonus.timePoints;
+        return bonus;
+    }
+    
+    // ========================================
+    // Game Modes
+    // ========================================
+    
+    /**
+     * Start the mode's clocks: the Endless row stream and ramp, or the
+     * Time Attack countdown. Waves has none.
+     */
+    startMode() {
+        if (this.mode === 'endless') {
+            this.scheduleStream();
+            this.rampTimer = this.timers.after(CONFIG.modes.endless.rampInterval, () => this.rampEndless());
+        } else if (this.mode === 'timeAttack') {
+            this.clockTimer = this.timers.after(CONFIG.modes.timeAttack.duration, () => {
+                this.clockTimer = null;
+                this.gameOver('timeUp');
+            });
+        }
+    }
+    
+    /**
+     * Seconds left on the Time Attack clock
+     */
+    get timeLeft() {
+        return Math.max(0, CONFIG.modes.timeAttack.duration - this.playTime);
+    }
+    
+    /**
+     * Next Endless row, sooner the higher the level
+     */
+    scheduleStream() {
+        const endless = CONFIG.modes.endless;
+        const interval = Math.max(endless.minRowInterval,
+            endless.rowInterval - (this.level - 1) * endless.rowIntervalStep);
+        
+        this.timers.cancel(this.streamTimer);
+        this.streamTimer = this.timers.after(interval, () => this.streamRow());
+    }
+    
+    /**
+     * Push the formation down a row and bring a new row of invaders in
+     * at the top, in step with the formation's columns. Waits for the
+     * next ship while the player is down.
+     */
+    streamRow() {
+        if (!this.player.alive) {
+            this.timers.cancel(this.streamTimer);
+            this.streamTimer = this.timers.after(CONFIG.player.respawnDelay, () => this.streamRow());
+            return;
+        }
+        
+        const cols = this.config.enemy.cols;
+        const spacingX = CONFIG.enemy.width + CONFIG.enemy.padding;
+        const spacingY = CONFIG.enemy.height + CONFIG.enemy.padding;
+        const rowWidth = cols * spacingX - CONFIG.enemy.padding;
+        
+        // Drop the fallen in place while stepping the rest down a row
+        let kept = 0;
+        let left = Infinity;
+        let right = -Infinity;
+        for (let i = 0; i < this.enemies.length; i++) {
+            const enemy = this.enemies[i];
+            if (!enemy.alive) continue;
+            const slot = enemy.slot;
+            slot.y += spacingY;
+            if (slot === enemy) enemy.prevY = enemy.y;
+            enemy.row++;
+            left = Math.min(left, slot.x);
+            right = Math.max(right, slot.x + enemy.width);
+            this.enemies[kept++] = enemy;
+        }
+        this.enemies.length = kept;
+        
+        // Centred on the formation, on its column grid, inside the walls
+        const minX = 10;
+        const maxX = CONFIG.canvas.width - 10 - rowWidth;
+        let startX = (CONFIG.canvas.width - rowWidth) / 2;
+        if (kept > 0) {
+            startX = left + Math.round(((left + right - rowWidth) / 2 - left) / spacingX) * spacingX;
+            if (startX < minX) startX += Math.ceil((minX - startX) / spacingX) * spacingX;
+            if (startX > maxX) startX -= Math.ceil((startX - maxX) / spacingX) * spacingX;
+        }
+        
+        const type = this.rng.pick(this.config.enemy.rowTypes);
+        for (let col = 0; col < cols; col++) {
+            const enemy = new Enemy(startX + col * spacingX, CONFIG.enemy.startY, 0, type);
+            enemy.swayPhase = col * 0.6;
+            this.enemies.push(enemy);
+        }
+        this.formationSize = kept + cols;
+        
+        this.emit('rowStreamed', { enemyType: type });
+        this.scheduleStream();
+    }
+    
+    /**
+     * Endless ramps up a level: faster march, more fire and more dives,
+     * and rows coming in more often
+     */
+    rampEndless() {
+        this.level++;
+        const next = proceduralWave(this.level, this.config);
+        this.wave = { ...this.wave, movement: next.movement, fireRate: next.fireRate, dive: next.dive };
+        this.emit('endlessRamp', { level: this.level });
+        
+        this.scheduleStream();
+        this.rampTimer = this.timers.after(CONFIG.modes.endless.rampInterval, () => this.rampEndless());
+    }
+    
+    // ========================================
+    // Difficulty Director
+    // ========================================
+    
+    /**
+     * Next periodic review, CONFIG.director.interval seconds of play
+     * from now (reviews restart with each wave). Nothing to schedule
+     * while the director is off.
+     */
+    scheduleReview() {
+        this.timers.cancel(this.directorTimer);
+        if (!this.director.enabled) return;
+        
+        this.directorTimer = this.timers.after(this.config.director.interval, () => {
+            this.reviewDifficulty();
+            this.scheduleReview();
+        });
+    }
+    
+    /**
+     * Let the director judge the play since its last review, with the
+     * wave's clear time when one was just cleared
+     */
+    reviewDifficulty(clearTime = null) {
+        const change = this.director.review({
+            shotsFired: this.shotsFired,
+            shotsHit: this.shotsHit,
+            shipsLost: this.shipsLost,
+            clearTime
+        });
+        if (change) this.emit('difficultyAdjusted', change);
+    }
+    
+    /**
+     * Once an enemy shot is past the ship, count it as a near miss if
+     * it went by within CONFIG.director.nearMissDistance
+     */
+    checkNearMiss(proj) {
+        const player = this.player;
+        if (proj.y <= player.y + player.height) return;
+        
+        proj.passed = true;
+        const gap = Math.max(player.x - (proj.x + proj.width), proj.x - (player.x + player.width));
+        if (gap >= 0 && gap < this.config.director.nearMissDistance) {
+            this.director.nearMiss();
+        }
+    }
+    
+    /**
+     * The run is over: `reason` is 'defeat' (out of ships or overrun)
+     * or 'timeUp' (the Time Attack clock ran out)
+     */
+    gameOver(reason = 'defeat') {
+        this.status = 'gameOver';
+        this.clearTimers();
+        this.emit('gameOver', { score: this.score, level: this.level, reason });
+    }
+    
+    /**
+     * Hit percentage for the run so far (0 when nothing fired)
+     */
+    get accuracy() {
+        return this.shotsFired > 0 ?
+            Math.round((this.shotsHit / this.shotsFired) * 100) : 0;
+    }
+}
+
+export {
+    CONFIG,
+    TICK,
+    FIRE_RATES,
+    ENEMY_TYPES,
+    WEAPON_TYPES,
+    PROJECTILE_TYPES,
+    POWER_UP_WEIGHTS,
+    GameSimulation,
+    Player,
+    Enemy,
+    Mothership,
+    Boss,
+    Projectile,
+    PowerUp,
+    rectCollision,
+    proceduralWave,
+    waveForLevel
+};
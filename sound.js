@@ -15,6 +15,7 @@ class SoundManager {
         this.enabled = true;
         this.volume = 0.3;
         this.initialized = false;
+        this.mothershipVoice = null;    // Looping warble while a mothership crosses
     }
     
     /**
@@ -38,6 +39,7 @@ class SoundManager {
      */
     toggle() {
         this.enabled = !this.enabled;
+        if (!this.enabled) this.stopMothership();
         return this.enabled;
     }
     
@@ -227,6 +229,76 @@ class SoundManager {
         osc.stop(now + 0.15);
     }
     
+    /**
+     * Missile blast - low thump under a noise burst
+     */
+    splash() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const bufferSize = this.audioContext.sampleRate * 0.3;
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = (Math.random() * 2 - 1) * (1 - i / bufferSize);
+        }
+        
+        const noise = this.audioContext.createBufferSource();
+        const gain = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        noise.buffer = buffer;
+        filter.type = 'lowpass';
+        filter.frequency.value = 600;
+        
+        gain.gain.setValueAtTime(this.volume * 0.5, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+        
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.audioContext.destination);
+        
+        noise.start(now);
+        this.playTone('sine', 80, 0.25, 0.5);
+    }
+    
+    /**
+     * Armoured enemy hit but not destroyed
+     */
+    armorHit() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        this.playTone('square', 900, 0.04, 0.3);
+        this.playTone('triangle', 1400, 0.06, 0.2);
+    }
+    
+    /**
+     * Boss enters a new attack phase - two-tone alarm
+     */
+    bossPhase() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        [220, 165, 220, 165].forEach((freq, i) => {
+            const osc = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            
+            osc.type = 'sawtooth';
+            osc.frequency.value = freq;
+            
+            const startTime = now + i * 0.15;
+            gain.gain.setValueAtTime(this.volume * 0.25, startTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.14);
+            
+            osc.connect(gain);
+            gain.connect(this.audioContext.destination);
+            
+            osc.start(startTime);
+            osc.stop(startTime + 0.14);
+        });
+    }
+    
     /**
      * Player hit / lose life
      */
@@ -274,6 +346,66 @@ class SoundManager {
         noise.start(now);
     }
     
+    /**
+     * New ship arrives after losing a life - rising sweep
+     */
+    respawn() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(220, now);
+        osc.frequency.exponentialRampToValueAtTime(880, now + 0.3);
+        
+        gain.gain.setValueAtTime(this.volume * 0.3, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+        
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+        
+        osc.start(now);
+        osc.stop(now + 0.35);
+    }
+    
+    /**
+     * Shield bubble absorbs a shot - bright ping
+     */
+    shieldHit() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        this.playTone('sine', 1200, 0.12, 0.35);
+        this.playTone('triangle', 600, 0.08, 0.2);
+    }
+    
+    /**
+     * Shield bubble breaks or fades - falling shimmer
+     */
+    shieldBreak() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        [1400, 1100, 800, 500].forEach((freq, i) => {
+            const osc = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            
+            osc.type = 'triangle';
+            osc.frequency.value = freq;
+            
+            const startTime = now + i * 0.06;
+            gain.gain.setValueAtTime(this.volume * 0.25, startTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.1);
+            
+            osc.connect(gain);
+            gain.connect(this.audioContext.destination);
+            
+            osc.start(startTime);
+            osc.stop(startTime + 0.1);
+        });
+    }
+    
     /**
      * Collect power-up
      */
@@ -508,6 +640,105 @@ class SoundManager {
         osc.stop(now + 0.1);
     }
     
+    /**
+     * Invader breaks formation - falling whistle
+     */
+    enemyDive() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(1200, now);
+        osc.frequency.exponentialRampToValueAtTime(300, now + 0.6);
+        
+        gain.gain.setValueAtTime(this.volume * 0.12, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.6);
+        
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+        
+        osc.start(now);
+        osc.stop(now + 0.6);
+    }
+    
+    /**
+     * Mothership warble - loops until stopMothership()
+     */
+    startMothership() {
+        if (!this.enabled || !this.audioContext || this.mothershipVoice) return;
+        
+        const now = this.audioContext.currentTime;
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        // A slow LFO swings the pitch for the classic saucer wail
+        const lfo = this.audioContext.createOscillator();
+        const lfoDepth = this.audioContext.createGain();
+        lfo.type = 'sine';
+        lfo.frequency.value = 7;
+        lfoDepth.gain.value = 150;
+        
+        osc.type = 'square';
+        osc.frequency.value = 500;
+        
+        gain.gain.setValueAtTime(0.001, now);
+        gain.gain.exponentialRampToValueAtTime(this.volume * 0.1, now + 0.1);
+        
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(osc.frequency);
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+        
+        osc.start(now);
+        lfo.start(now);
+        this.mothershipVoice = { osc, lfo, gain };
+    }
+    
+    /**
+     * Fade out the mothership warble (safe to call when silent)
+     */
+    stopMothership() {
+        const voice = this.mothershipVoice;
+        if (!voice) return;
+        this.mothershipVoice = null;
+        
+        const now = this.audioContext.currentTime;
+        voice.gain.gain.cancelScheduledValues(now);
+        voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+        voice.gain.gain.exponentialRampToValueAtTime(0.001, now + 0.1);
+        voice.osc.stop(now + 0.1);
+        voice.lfo.stop(now + 0.1);
+    }
+    
+    /**
+     * Mothership destroyed - falling sweep over the explosion
+     */
+    mothershipHit() {
+        if (!this.enabled || !this.audioContext) return;
+        
+        this.enemyHit();
+        
+        const now = this.audioContext.currentTime;
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(1200, now);
+        osc.frequency.exponentialRampToValueAtTime(100, now + 0.5);
+        
+        gain.gain.setValueAtTime(this.volume * 0.25, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.5);
+        
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+        
+        osc.start(now);
+        osc.stop(now + 0.5);
+    }
+    
     /**
      * Menu / UI click
      */
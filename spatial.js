@@ -0,0 +1,92 @@
+/**
+ * ===========================================
+ * Spatial Hash
+ * Broad phase for collision checks
+ * ===========================================
+ *
+ * Splits the playfield into a uniform grid of square cells and
+ * buckets each object by the cells its rectangle overlaps. A query
+ * then only returns objects near the rectangle asked about, so a
+ * shot is tested against a handful of enemies instead of the whole
+ * wave. Cell buckets are reused between frames to avoid garbage.
+ */
+
+// Offset that keeps negative cell coordinates apart in the numeric key
+const KEY_OFFSET = 32768;
+
+class SpatialHash {
+    /**
+     * @param {number} cellSize - Cell edge in pixels, roughly one object wide
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.seen = new Set();
+        this.results = [];
+    }
+    
+    /**
+     * Empty every cell, keeping the buckets for reuse
+     */
+    clear() {
+        for (const cell of this.cells.values()) cell.length = 0;
+    }
+    
+    /**
+     * Add an object with x, y, width and height
+     */
+    insert(item) {
+        const x0 = Math.floor(item.x / this.cellSize);
+        const x1 = Math.floor((item.x + item.width) / this.cellSize);
+        const y0 = Math.floor(item.y / this.cellSize);
+        const y1 = Math.floor((item.y + item.height) / this.cellSize);
+        
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cellKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+    
+    /**
+     * Objects sharing a cell with `rect`, each listed once.
+     * The returned array is reused by the next query.
+     */
+    query(rect) {
+        const results = this.results;
+        results.length = 0;
+        this.seen.clear();
+        
+        const x0 = Math.floor(rect.x / this.cellSize);
+        const x1 = Math.floor((rect.x + rect.width) / this.cellSize);
+        const y0 = Math.floor(rect.y / this.cellSize);
+        const y1 = Math.floor((rect.y + rect.height) / this.cellSize);
+        
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(cellKey(cx, cy));
+                if (!cell) continue;
+                
+                for (const item of cell) {
+                    if (!this.seen.has(item)) {
+                        this.seen.add(item);
+                        results.push(item);
+                    }
+                }
+            }
+        }
+        return results;
+    }
+}
+
+function cellKey(cx, cy) {
+    return (cx + KEY_OFFSET) * 65536 + (cy + KEY_OFFSET);
+}
+
+export { SpatialHash };
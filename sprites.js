@@ -0,0 +1,95 @@
+/**
+ * ===========================================
+ * Sprite Cache
+ * Pre-rendered sprites on offscreen canvases
+ * ===========================================
+ *
+ * Drawing an invader pixel by pixel, or a glowing shot with
+ * shadowBlur, is expensive when repeated for every entity on every
+ * frame. The cache renders each distinct sprite (shape, animation
+ * frame and colour) once to its own offscreen canvas, and the
+ * renderer then blits it with a single drawImage call.
+ *
+ * Sprites are rendered at the display's pixel density (see
+ * setScale) so they stay crisp on HiDPI screens.
+ */
+
+/**
+ * Offscreen canvas where supported, otherwise a detached <canvas>
+ */
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+class SpriteCache {
+    constructor() {
+        this.sprites = new Map();
+        this.scale = 1;     // Device pixels per logical unit
+    }
+    
+    /**
+     * Change the pixel density; cached sprites are redrawn on next use
+     */
+    setScale(scale) {
+        if (scale === this.scale) return;
+        this.scale = scale;
+        this.clear();
+    }
+    
+    /**
+     * The sprite stored under `key`, rendered by `draw(ctx)` on first use.
+     *
+     * `bounds` ({ x, y, width, height }) is the area the sprite covers
+     * relative to the entity's position, including any glow margin.
+     * `draw` works in those entity coordinates. Blit the result with
+     * ctx.drawImage(sprite.canvas, entityX + sprite.x, entityY + sprite.y,
+     * sprite.width, sprite.height).
+     */
+    get(key, bounds, draw) {
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            sprite = this.render(bounds, draw);
+            this.sprites.set(key, sprite);
+        }
+        return sprite;
+    }
+    
+    /**
+     * Render a sprite at the current scale without caching it, for
+     * callers that track their own invalidation (e.g. bunkers)
+     */
+    render(bounds, draw) {
+        const canvas = createCanvas(
+            Math.ceil(bounds.width * this.scale),
+            Math.ceil(bounds.height * this.scale)
+        );
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.scale, this.scale);
+        ctx.translate(-bounds.x, -bounds.y);
+        draw(ctx);
+        
+        return {
+            canvas,
+            x: bounds.x,
+            y: bounds.y,
+            width: canvas.width / this.scale,
+            height: canvas.height / this.scale
+        };
+    }
+    
+    clear() {
+        this.sprites.clear();
+    }
+    
+    get size() {
+        return this.sprites.size;
+    }
+}
+
+export { SpriteCache };
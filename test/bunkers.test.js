@@ -0,0 +1,193 @@
+/**
+ * ===========================================
+ * Bunker Tests
+ * ===========================================
+ * 
+ * Tests for the destructible bunkers.
+ * These tests verify the cell grid, chip damage from shots
+ * on either side, erosion by invaders and the per-level
+ * layouts used by the simulation.
+ * 
+ * Run with: node test/bunkers.test.js
+ */
+
+import assert from 'assert';
+import { Bunker, BUNKER_SHAPES, createBunkers } from '../bunkers.js';
+import { CONFIG, TICK, GameSimulation, Projectile } from '../simulation.js';
+import { SeededRandom } from '../rng.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+// A solid 4x4 block of 5px cells at (100, 100)
+function block() {
+    return new Bunker(100, 100, ['####', '####', '####', '####'], 5);
+}
+
+// ============================================
+// Cell Grid Tests
+// ============================================
+
+console.log('\n🧪 Running Bunker Tests\n');
+console.log('================================\n');
+console.log('Cell Grid Tests:\n');
+
+test('Shape is stamped into solid cells', () => {
+    const bunker = new Bunker(0, 0, ['#.#', '###'], 4);
+    assert.strictEqual(bunker.width, 12);
+    assert.strictEqual(bunker.height, 8);
+    assert.strictEqual(bunker.remaining, 5);
+    assert.strictEqual(bunker.isSolid(1, 0), false);
+    assert.strictEqual(bunker.isSolid(1, 1), true);
+    assert.strictEqual(bunker.isSolid(5, 5), false);
+});
+
+test('Shots hit the first cell on their side', () => {
+    const bunker = block();
+    const shot = { x: 107, y: 95, width: 2, height: 30 };
+    assert.deepStrictEqual(bunker.impactCell(shot, false), { col: 1, row: 0 });
+    assert.deepStrictEqual(bunker.impactCell(shot, true), { col: 1, row: 3 });
+});
+
+test('Shots pass through holes', () => {
+    const bunker = block();
+    for (let row = 0; row < 4; row++) bunker.clearCell(1, row);
+    assert.strictEqual(bunker.impactCell({ x: 106, y: 90, width: 3, height: 40 }, false), null);
+});
+
+test('Chip always removes the impact cell', () => {
+    const bunker = block();
+    const removed = bunker.chip(2, 2, 1, 0, new SeededRandom(1));
+    assert.strictEqual(removed, 1);
+    assert.strictEqual(bunker.isSolid(2, 2), false);
+    assert.strictEqual(bunker.remaining, 15);
+    assert.strictEqual(bunker.revision, 1);
+});
+
+test('Chip damage is reproducible from the seed', () => {
+    const a = block();
+    const b = block();
+    a.chip(1, 1, 2, 0.5, new SeededRandom(42));
+    b.chip(1, 1, 2, 0.5, new SeededRandom(42));
+    assert.deepStrictEqual(a.cells, b.cells);
+});
+
+test('Erode removes every overlapped cell', () => {
+    const bunker = block();
+    const removed = bunker.erode({ x: 90, y: 90, width: 20, height: 20 });
+    assert.strictEqual(removed, 4);
+    assert.strictEqual(bunker.erode({ x: 0, y: 0, width: 10, height: 10 }), 0);
+    assert.strictEqual(bunker.erode({ x: 0, y: 0, width: 200, height: 200 }), 12);
+    assert.strictEqual(bunker.destroyed, true);
+});
+
+test('Layouts spread bunkers evenly across the width', () => {
+    const bunkers = createBunkers({ count: 4, shape: 'classic' }, 600, 370, 3);
+    const width = BUNKER_SHAPES.classic[0].length * 3;
+    assert.strictEqual(bunkers.length, 4);
+    assert.deepStrictEqual(bunkers.map(b => b.x + width / 2), [75, 225, 375, 525]);
+    assert.ok(bunkers.every(b => b.y === 370));
+});
+
+// ============================================
+// Simulation Tests
+// ============================================
+
+console.log('\nSimulation Tests:\n');
+
+// Fire a projectile into a bunker from one side, clear of the arch
+function shootBunker(sim, bunker, owner) {
+    const speed = owner === 'player' ? -CONFIG.projectile.playerSpeed : CONFIG.projectile.enemySpeed;
+    const y = owner === 'player' ? bunker.y + bunker.height - 5 : bunker.y - 10;
+    const proj = new Projectile(bunker.x + 6, y, speed, '#fff', owner);
+    (owner === 'player' ? sim.playerProjectiles : sim.enemyProjectiles).push(proj);
+    return proj;
+}
+
+test('Each level gets its configured layout', () => {
+    const sim = new GameSimulation(1);
+    const layouts = CONFIG.bunker.layouts;
+    assert.strictEqual(sim.bunkers.length, layouts[0].count);
+    
+    sim.level = layouts.length + 3;
+    sim.startNextLevel();
+    assert.strictEqual(sim.bunkers.length, layouts[layouts.length - 1].count);
+});
+
+test('Bunkers stop enemy shots and take damage', () => {
+    const sim = new GameSimulation(1);
+    const bunker = sim.bunkers[0];
+    const before = bunker.remaining;
+    const proj = shootBunker(sim, bunker, 'enemy');
+    sim.checkCollisions();
+    assert.strictEqual(proj.active, false);
+    assert.ok(bunker.remaining < before);
+    assert.ok(sim.drainEvents().some(e => e.type === 'bunkerHit' && e.owner === 'enemy'));
+});
+
+test('Bunkers stop player shots too', () => {
+    const sim = new GameSimulation(1);
+    const bunker = sim.bunkers[1];
+    const proj = shootBunker(sim, bunker, 'player');
+    sim.checkCollisions();
+    assert.strictEqual(proj.active, false);
+    assert.ok(bunker.remaining < bunker.rows * bunker.cols);
+});
+
+test('Repeated fire bores a hole through', () => {
+    const sim = new GameSimulation(1);
+    const bunker = sim.bunkers[0];
+    let blocked = 0;
+    for (let i = 0; i < 40; i++) {
+        const proj = shootBunker(sim, bunker, 'enemy');
+        proj.y = bunker.y;
+        proj.height = bunker.height;
+        sim.checkCollisions();
+        if (proj.active) break;
+        blocked++;
+    }
+    assert.ok(blocked > 1 && blocked < 40, `blocked ${blocked} shots`);
+});
+
+test('Descending invaders erode bunkers', () => {
+    const sim = new GameSimulation(1);
+    const bunker = sim.bunkers[0];
+    const enemy = sim.enemies[0];
+    const before = bunker.remaining;
+    enemy.x = bunker.x;
+    enemy.y = bunker.y - enemy.height / 2;
+    sim.step(TICK);
+    assert.ok(bunker.remaining < before);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,179 @@
+/**
+ * ===========================================
+ * Challenge Module Tests
+ * ===========================================
+ *
+ * Tests for the daily challenge.
+ * These tests verify how a date picks its seed
+ * and modifiers, and how the modifiers change
+ * the simulation's rules.
+ *
+ * Run with: node test/challenge.test.js
+ */
+
+import assert from 'assert';
+import { CHALLENGE_MODIFIERS, challengeForDate, modifiedConfig, dateKey } from '../challenge.js';
+import { GameSimulation, CONFIG, TICK } from '../simulation.js';
+import { presetConfig } from '../difficulty.js';
+import { buildSimulation } from './helpers.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+// ============================================
+// Challenge Tests
+// ============================================
+
+console.log('\n🧪 Running Challenge Module Tests\n');
+console.log('================================\n');
+console.log('Challenge Tests:\n');
+
+test('A day has the same challenge all day', () => {
+    const morning = challengeForDate(new Date(2026, 9, 19, 0, 5));
+    const night = challengeForDate(new Date(2026, 9, 19, 23, 55));
+    assert.deepStrictEqual(morning, night);
+    assert.strictEqual(morning.date, '2026-10-19');
+});
+
+test('Each day has its own seed', () => {
+    const seeds = new Set();
+    for (let day = 1; day <= 60; day++) {
+        seeds.add(challengeForDate(new Date(2026, 0, day)).seed);
+    }
+    assert.strictEqual(seeds.size, 60);
+});
+
+test('Days pick two or three different modifiers', () => {
+    const counts = new Set();
+    for (let day = 1; day <= 60; day++) {
+        const { modifiers } = challengeForDate(new Date(2026, 0, day));
+        counts.add(modifiers.length);
+        assert.strictEqual(new Set(modifiers).size, modifiers.length);
+        assert.ok(modifiers.every(id => Object.hasOwn(CHALLENGE_MODIFIERS, id)));
+    }
+    assert.deepStrictEqual([...counts].sort(), [2, 3]);
+});
+
+test('Dates are keyed in local time', () => {
+    assert.strictEqual(dateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+    assert.strictEqual(dateKey(new Date(2026, 11, 31)), '2026-12-31');
+});
+
+test('Every modifier has a name and description', () => {
+    for (const modifier of Object.values(CHALLENGE_MODIFIERS)) {
+        assert.ok(modifier.name.length > 0);
+        assert.ok(modifier.description.length > 0);
+    }
+});
+
+test('Unknown modifiers are rejected', () => {
+    assert.throws(() => modifiedConfig(CONFIG, ['godMode']), /Unknown challenge modifier "godMode"/);
+    assert.throws(() => new GameSimulation().setModifiers(['godMode']), /Unknown challenge modifier/);
+});
+
+test('Modifiers scale the config they are laid over', () => {
+    const veteran = presetConfig(CONFIG, 'veteran');
+    const config = modifiedConfig(veteran, ['doubleSpeed']);
+    assert.strictEqual(config.enemy.speedX, veteran.enemy.speedX * 2);
+    assert.strictEqual(CONFIG.enemy.speedX, 48);
+    assert.strictEqual(veteran.enemy.speedX, 60);
+});
+
+// ============================================
+// Simulation Tests
+// ============================================
+
+console.log('\nSimulation Tests:\n');
+
+test('Modifiers apply from the next reset', () => {
+    const sim = new GameSimulation(1);
+    sim.setModifiers(['oneLife']);
+    assert.strictEqual(sim.lives, CONFIG.player.lives);
+    sim.reset(1);
+    assert.strictEqual(sim.lives, 1);
+});
+
+test('Modifiers stay through a difficulty change', () => {
+    const sim = new GameSimulation(1);
+    sim.setModifiers(['oneLife']);
+    sim.setDifficulty('cadet');
+    sim.reset(1);
+    assert.strictEqual(sim.lives, 1);
+    assert.strictEqual(sim.config.enemy.speedX, 38);
+});
+
+test('Missiles only locks the ship to missiles that never run out', () => {
+    const sim = buildSimulation({ modifiers: ['missilesOnly'] });
+    assert.deepStrictEqual(sim.inventory, [{ type: 'missile', tier: 1, ammo: Infinity }]);
+    
+    sim.fire();
+    sim.step(TICK);
+    assert.strictEqual(sim.playerProjectiles[0].type, 'missile');
+    assert.strictEqual(sim.weapon.ammo, Infinity);
+});
+
+test('Weapon drops upgrade the locked weapon', () => {
+    const sim = buildSimulation({ modifiers: ['missilesOnly'] });
+    sim.collectPowerUp({ type: 'spread' });
+    const [event] = sim.drainEvents().filter(e => e.type === 'powerUpCollected');
+    assert.strictEqual(sim.inventory.length, 1);
+    assert.strictEqual(sim.weapon.tier, 2);
+    assert.strictEqual(sim.weapon.ammo, Infinity);
+    assert.strictEqual(event.weapon, 'missile');
+});
+
+test('No cover removes bunkers even from authored levels', () => {
+    const sim = new GameSimulation();
+    sim.setLevels([{ name: 'Chevron', bunkers: { count: 4, shape: 'classic' } }]);
+    sim.setModifiers(['noCover']);
+    sim.reset(1);
+    assert.strictEqual(sim.wave.name, 'Chevron');
+    assert.strictEqual(sim.bunkers.length, 0);
+});
+
+test('No drops stops power-ups even on authored levels', () => {
+    const sim = new GameSimulation();
+    sim.setLevels([{ name: 'Chevron', powerUps: { chance: 0.5 } }]);
+    sim.setModifiers(['noDrops']);
+    sim.reset(1);
+    assert.strictEqual(sim.wave.powerUps.chance, 0);
+});
+
+test('Faster and heavier fire modifiers change the wave', () => {
+    const plain = buildSimulation().wave;
+    const modified = buildSimulation({ modifiers: ['doubleSpeed', 'heavyFire'] });
+    assert.strictEqual(modified.config.enemy.speedX, CONFIG.enemy.speedX * 2);
+    assert.strictEqual(modified.wave.fireRate, plain.fireRate * 2);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,195 @@
+/**
+ * ===========================================
+ * Difficulty Module Tests
+ * ===========================================
+ *
+ * Tests for the difficulty presets.
+ * These tests verify how presets override CONFIG
+ * and the Classic Arcade ruleset.
+ *
+ * Run with: node test/difficulty.test.js
+ */
+
+import assert from 'assert';
+import { GameSimulation, CONFIG, TICK, waveForLevel } from '../simulation.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, presetConfig } from '../difficulty.js';
+import { buildSimulation } from './helpers.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+// ============================================
+// Preset Tests
+// ============================================
+
+console.log('\n🧪 Running Difficulty Module Tests\n');
+console.log('================================\n');
+console.log('Preset Tests:\n');
+
+test('Normal is the default and changes nothing', () => {
+    assert.strictEqual(DEFAULT_DIFFICULTY, 'normal');
+    assert.deepStrictEqual(presetConfig(CONFIG, 'normal'), CONFIG);
+    assert.strictEqual(new GameSimulation().difficulty, 'normal');
+});
+
+test('Presets override only the values they name', () => {
+    const config = presetConfig(CONFIG, 'veteran');
+    assert.strictEqual(config.enemy.speedX, 60);
+    assert.strictEqual(config.enemy.dive.maxDivers, 4);
+    assert.strictEqual(config.enemy.dive.duration, CONFIG.enemy.dive.duration);
+    assert.strictEqual(config.enemy.rows, CONFIG.enemy.rows);
+    assert.strictEqual(config.canvas, CONFIG.canvas);
+});
+
+test('Applying a preset leaves CONFIG untouched', () => {
+    const speed = CONFIG.enemy.speedX;
+    const lives = CONFIG.player.lives;
+    presetConfig(CONFIG, 'cadet');
+    assert.strictEqual(CONFIG.enemy.speedX, speed);
+    assert.strictEqual(CONFIG.player.lives, lives);
+});
+
+test('Unknown presets are rejected', () => {
+    assert.throws(() => presetConfig(CONFIG, 'insane'), /Unknown difficulty "insane"/);
+    assert.throws(() => new GameSimulation().setDifficulty('insane'), /Unknown difficulty/);
+});
+
+test('Every preset has a name and description', () => {
+    for (const preset of Object.values(DIFFICULTY_PRESETS)) {
+        assert.ok(preset.name.length > 0);
+        assert.ok(preset.description.length > 0);
+    }
+});
+
+test('Runs start with the preset lives', () => {
+    assert.strictEqual(buildSimulation({ difficulty: 'cadet' }).lives, 7);
+    assert.strictEqual(buildSimulation({ difficulty: 'normal' }).lives, CONFIG.player.lives);
+    assert.strictEqual(buildSimulation({ difficulty: 'veteran' }).lives, 3);
+    assert.strictEqual(buildSimulation({ difficulty: 'classic' }).lives, 3);
+});
+
+test('Harder presets ramp up faster', () => {
+    const cadet = buildSimulation({ difficulty: 'cadet' }).wave;
+    const veteran = buildSimulation({ difficulty: 'veteran' }).wave;
+    assert.ok(veteran.fireRate > cadet.fireRate);
+    assert.ok(veteran.dive.rate > cadet.dive.rate);
+    assert.ok(veteran.powerUps.chance < cadet.powerUps.chance);
+});
+
+test('Presets scale authored levels too', () => {
+    // As levels/02-scout-swarm.json
+    const authored = [{}, {
+        name: 'Scout Swarm',
+        movement: { pattern: 'march', speed: 1.2, drop: 16 },
+        fireRate: 0.05,
+        dive: { rate: 0.3, aim: 0.4 },
+        powerUps: { chance: 0.06 }
+    }];
+    const normal = waveForLevel(2, authored);
+    const cadet = waveForLevel(2, authored, presetConfig(CONFIG, 'cadet'));
+    const veteran = waveForLevel(2, authored, presetConfig(CONFIG, 'veteran'));
+    
+    assert.strictEqual(normal.fireRate, 0.05);
+    assert.strictEqual(normal.dive.rate, 0.3);
+    assert.strictEqual(normal.movement.drop, 16);
+    assert.strictEqual(normal.powerUps.chance, 0.06);
+    
+    assert.ok(cadet.fireRate < normal.fireRate && normal.fireRate < veteran.fireRate);
+    assert.ok(cadet.dive.rate < veteran.dive.rate);
+    assert.ok(cadet.dive.aim < veteran.dive.aim);
+    assert.ok(cadet.movement.drop < veteran.movement.drop);
+    assert.ok(cadet.powerUps.chance > veteran.powerUps.chance);
+    assert.strictEqual(veteran.movement.speed, 1.2);
+    
+    // Veteran's level 2 is no gentler than Cadet's level 3
+    const cadetNext = waveForLevel(3, authored, presetConfig(CONFIG, 'cadet'));
+    assert.ok(veteran.fireRate > cadetNext.fireRate);
+});
+
+test('Difficulty applies from the next reset', () => {
+    const sim = buildSimulation({ difficulty: 'normal' });
+    sim.setDifficulty('cadet');
+    assert.strictEqual(sim.lives, CONFIG.player.lives);
+    sim.reset(0x1234);
+    assert.strictEqual(sim.lives, 7);
+});
+
+// ============================================
+// Classic Arcade Tests
+// ============================================
+
+console.log('\nClassic Arcade Tests:\n');
+
+test('Classic has no power-ups or dives', () => {
+    const sim = buildSimulation({ difficulty: 'classic' });
+    for (let level = 1; level <= 6; level++) {
+        sim.level = level;
+        sim.setupLevel();
+        assert.strictEqual(sim.wave.powerUps.chance, 0);
+        assert.strictEqual(sim.wave.dive.rate, 0);
+    }
+});
+
+test('Classic has no boss waves', () => {
+    const config = presetConfig(CONFIG, 'classic');
+    assert.strictEqual(waveForLevel(CONFIG.boss.every, [], config).boss, false);
+    assert.strictEqual(waveForLevel(CONFIG.boss.every).boss, true);
+});
+
+test('Classic ignores authored levels', () => {
+    const authored = [{ name: 'Chevron', formation: ['S'] }];
+    const config = presetConfig(CONFIG, 'classic');
+    assert.strictEqual(waveForLevel(1, authored, config).name, null);
+    assert.strictEqual(waveForLevel(1, authored).name, 'Chevron');
+});
+
+test('Classic march speeds up as the wave thins', () => {
+    const sim = buildSimulation({ difficulty: 'classic' });
+    const enemies = sim.enemies;
+    enemies.slice(4).forEach(e => { e.alive = false; });
+    sim.step(TICK);
+    assert.strictEqual(sim.marchSpeed, enemies.length / 4);
+    
+    enemies.slice(1).forEach(e => { e.alive = false; });
+    sim.step(TICK);
+    assert.strictEqual(sim.marchSpeed, 8);
+});
+
+test('Other presets keep a steady march', () => {
+    const sim = buildSimulation({ difficulty: 'normal' });
+    sim.enemies.slice(1).forEach(e => { e.alive = false; });
+    sim.step(TICK);
+    assert.strictEqual(sim.marchSpeed, 1);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,216 @@
+/**
+ * ===========================================
+ * Director Module Tests
+ * ===========================================
+ *
+ * Tests for the adaptive difficulty director.
+ * These tests verify how reviews judge the player,
+ * the limits on each adjustment and how the
+ * simulation feeds and applies the director.
+ *
+ * Run with: node test/director.test.js
+ */
+
+import assert from 'assert';
+import { DifficultyDirector } from '../director.js';
+import { GameSimulation, CONFIG, TICK } from '../simulation.js';
+import { buildSimulation } from './helpers.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+const cfg = CONFIG.director;
+
+// Running totals for a review
+function totals(shotsFired, shotsHit, shipsLost = 0, clearTime = null) {
+    return { shotsFired, shotsHit, shipsLost, clearTime };
+}
+
+// ============================================
+// Review Tests
+// ============================================
+
+console.log('\n🧪 Running Director Module Tests\n');
+console.log('================================\n');
+console.log('Review Tests:\n');
+
+test('Starts with every multiplier at 1', () => {
+    const director = new DifficultyDirector(cfg, true);
+    assert.strictEqual(director.fireRate, 1);
+    assert.strictEqual(director.marchSpeed, 1);
+    assert.strictEqual(director.powerUpChance, 1);
+});
+
+test('Sharp shooting makes it harder', () => {
+    const director = new DifficultyDirector(cfg, true);
+    const change = director.review(totals(10, 8));
+    assert.strictEqual(change.direction, 'harder');
+    assert.deepStrictEqual(change.reasons, ['80% accuracy']);
+    assert.strictEqual(director.fireRate, 1 + cfg.step);
+    assert.strictEqual(director.marchSpeed, 1 + cfg.step);
+    assert.strictEqual(director.powerUpChance, 1 - cfg.step);
+});
+
+test('Losing ships makes it easier', () => {
+    const director = new DifficultyDirector(cfg, true);
+    const change = director.review(totals(0, 0, 1));
+    assert.strictEqual(change.direction, 'easier');
+    assert.deepStrictEqual(change.reasons, ['1 ship lost']);
+    assert.strictEqual(director.fireRate, 1 - cfg.step);
+    assert.strictEqual(director.powerUpChance, 1 + cfg.step);
+});
+
+test('Near misses count as struggling', () => {
+    const director = new DifficultyDirector(cfg, true);
+    for (let i = 0; i < cfg.nearMisses; i++) director.nearMiss();
+    const change = director.review(totals(0, 0));
+    assert.strictEqual(change.direction, 'easier');
+    assert.deepStrictEqual(change.reasons, [`${cfg.nearMisses} near misses`]);
+    assert.strictEqual(director.nearMisses, 0);
+});
+
+test('Clear time counts when a wave was cleared', () => {
+    const fast = new DifficultyDirector(cfg, true);
+    assert.strictEqual(fast.review(totals(0, 0, 0, cfg.fastClear - 5)).direction, 'harder');
+    
+    const slow = new DifficultyDirector(cfg, true);
+    assert.strictEqual(slow.review(totals(0, 0, 0, cfg.slowClear + 5)).direction, 'easier');
+});
+
+test('Mixed signals cancel out', () => {
+    const director = new DifficultyDirector(cfg, true);
+    assert.strictEqual(director.review(totals(10, 8, 1)), null);
+    assert.strictEqual(director.fireRate, 1);
+});
+
+test('Accuracy needs enough shots to judge', () => {
+    const director = new DifficultyDirector(cfg, true);
+    assert.strictEqual(director.review(totals(cfg.minShots - 1, cfg.minShots - 1)), null);
+});
+
+test('Each review only judges play since the last one', () => {
+    const director = new DifficultyDirector(cfg, true);
+    director.review(totals(10, 8, 1));
+    const change = director.review(totals(20, 9, 1));
+    assert.strictEqual(change.direction, 'easier');
+    assert.deepStrictEqual(change.reasons, ['10% accuracy']);
+});
+
+test('Multipliers stay within the limits', () => {
+    const director = new DifficultyDirector(cfg, true);
+    let shots = 0;
+    for (let i = 0; i < 20; i++) {
+        shots += 10;
+        director.review(totals(shots, shots));
+    }
+    assert.strictEqual(director.fireRate, cfg.max);
+    assert.strictEqual(director.powerUpChance, cfg.min);
+    
+    // Nothing left to change
+    shots += 10;
+    assert.strictEqual(director.review(totals(shots, shots)), null);
+});
+
+test('Switched off it never adjusts', () => {
+    const director = new DifficultyDirector(cfg);
+    assert.strictEqual(director.review(totals(10, 10, 0, 10)), null);
+    assert.strictEqual(director.fireRate, 1);
+});
+
+// ============================================
+// Simulation Tests
+// ============================================
+
+console.log('\nSimulation Tests:\n');
+
+test('Runs are not adaptive unless switched on', () => {
+    const sim = new GameSimulation(1);
+    assert.strictEqual(sim.director.enabled, false);
+    assert.strictEqual(sim.directorTimer, null);
+    assert.strictEqual(buildSimulation({ adaptive: true }).director.enabled, true);
+});
+
+test('Adaptive runs are reviewed every interval', () => {
+    const sim = buildSimulation({ adaptive: true });
+    sim.player.invincible = Infinity;
+    sim.shotsFired = 10;
+    sim.shotsHit = 9;
+    
+    const events = [];
+    const ticks = Math.round(cfg.interval / TICK);
+    for (let i = 0; i < ticks; i++) {
+        sim.step(TICK);
+        events.push(...sim.drainEvents().filter(e => e.type === 'difficultyAdjusted'));
+    }
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].direction, 'harder');
+    assert.notStrictEqual(sim.directorTimer, null);
+});
+
+test('Clearing a wave triggers a review', () => {
+    const sim = buildSimulation({ adaptive: true });
+    for (const enemy of sim.enemies) enemy.alive = false;
+    sim.step(TICK);
+    
+    const change = sim.drainEvents().find(e => e.type === 'difficultyAdjusted');
+    assert.strictEqual(sim.status, 'levelComplete');
+    assert.strictEqual(change.direction, 'harder');
+    assert.ok(change.reasons[0].startsWith('wave cleared'));
+});
+
+test('Enemy shots just past the ship are near misses', () => {
+    const sim = buildSimulation({ adaptive: true });
+    const player = sim.player;
+    const close = sim.createProjectile(player.x + player.width + 4, player.y + player.height - 2,
+        CONFIG.projectile.enemySpeed, '#f00', 'enemy');
+    const wide = sim.createProjectile(player.x + player.width + 60, player.y + player.height - 2,
+        CONFIG.projectile.enemySpeed, '#f00', 'enemy');
+    sim.enemyProjectiles.push(close, wide);
+    
+    for (let i = 0; i < 10; i++) sim.step(TICK);
+    assert.strictEqual(sim.director.nearMisses, 1);
+});
+
+test('The march speeds up with the director', () => {
+    const steady = new GameSimulation(1);
+    const pushed = new GameSimulation(1);
+    pushed.director.marchSpeed = 1.5;
+    const start = steady.enemies[0].x;
+    steady.step(TICK);
+    pushed.step(TICK);
+    
+    const moved = steady.enemies[0].x - start;
+    assert.ok(Math.abs((pushed.enemies[0].x - start) - moved * 1.5) < 1e-9);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -4,30 +4,30 @@
  * ===========================================
  * 
  * Tests for the Space Invaders game logic.
- * These tests verify game configuration, state management,
- * and scoring calculations.
+ * These tests run the real headless simulation (simulation.js)
+ * and verify configuration, state management, scoring,
+ * collisions, movement, power-ups and game-clock timers.
  * 
  * Run with: node test/game.test.js
  */
 
 import assert from 'assert';
-
-// ============================================
-// Game Configuration Tests
-// ============================================
-
-const GAME_CONFIG = {
-    canvasWidth: 800,
-    canvasHeight: 600,
-    playerSpeed: 5,
-    bulletSpeed: 7,
-    enemySpeed: 2,
-    enemyDropDistance: 20,
-    maxLives: 3,
-    pointsPerEnemy: 10,
-    pointsPerPowerUp: 50,
-    levelBonusMultiplier: 100
-};
+import {
+    CONFIG,
+    TICK,
+    FIRE_RATES,
+    ENEMY_TYPES,
+    WEAPON_TYPES,
+    PROJECTILE_TYPES,
+    GameSimulation,
+    Enemy,
+    Mothership,
+    Boss,
+    Projectile,
+    PowerUp,
+    rectCollision,
+    proceduralWave
+} from '../simulation.js';
 
 // Test results tracking
 let passed = 0;
@@ -48,29 +48,59 @@ function test(name, fn) {
     }
 }
 
+// Put a player shot right on top of an enemy
+function shootAt(sim, enemy) {
+    const proj = new Projectile(enemy.x + 5, enemy.y + 5, -CONFIG.projectile.playerSpeed, '#fff', 'player');
+    sim.playerProjectiles.push(proj);
+    return proj;
+}
+
+// First enemy of a type in the current wave
+function firstOfType(sim, type) {
+    return sim.enemies.find(e => e.type === type);
+}
+
+// Step the simulation for a number of seconds
+function run(sim, seconds, dt = TICK) {
+    const steps = Math.round(seconds / dt);
+    for (let i = 0; i < steps; i++) sim.step(dt);
+}
+
+// ============================================
+// Game Configuration Tests
+// ============================================
+
 console.log('\n🧪 Running Game Module Tests\n');
 console.log('================================\n');
 console.log('Configuration Tests:\n');
 
 test('Canvas dimensions are positive', () => {
-    assert.ok(GAME_CONFIG.canvasWidth > 0);
-    assert.ok(GAME_CONFIG.canvasHeight > 0);
+    assert.ok(CONFIG.canvas.width > 0);
+    assert.ok(CONFIG.canvas.height > 0);
 });
 
 test('Player speed is positive', () => {
-    assert.ok(GAME_CONFIG.playerSpeed > 0);
+    assert.ok(CONFIG.player.speed > 0);
 });
 
-test('Bullet speed exceeds enemy speed', () => {
-    assert.ok(GAME_CONFIG.bulletSpeed > GAME_CONFIG.enemySpeed);
+test('Player shots outrun enemy shots', () => {
+    assert.ok(CONFIG.projectile.playerSpeed > CONFIG.projectile.enemySpeed);
 });
 
-test('Max lives is reasonable', () => {
-    assert.ok(GAME_CONFIG.maxLives >= 1 && GAME_CONFIG.maxLives <= 10);
+test('Starting lives is reasonable', () => {
+    assert.ok(CONFIG.player.lives >= 1 && CONFIG.player.lives <= 10);
 });
 
-test('Points per enemy is positive', () => {
-    assert.ok(GAME_CONFIG.pointsPerEnemy > 0);
+test('Every enemy type has hit points and a score', () => {
+    for (const stats of Object.values(ENEMY_TYPES)) {
+        assert.ok(stats.hp >= 1);
+        assert.ok(stats.points > 0);
+    }
+    assert.ok(CONFIG.enemy.rowTypes.every(type => type in ENEMY_TYPES));
+});
+
+test('Fixed tick matches the configured tick rate', () => {
+    assert.strictEqual(TICK, 1 / CONFIG.loop.tickRate);
 });
 
 // ============================================
@@ -79,42 +109,37 @@ test('Points per enemy is positive', () => {
 
 console.log('\nGame State Tests:\n');
 
-function createInitialGameState() {
-    return {
-        score: 0,
-        lives: GAME_CONFIG.maxLives,
-        level: 1,
-        isGameOver: false,
-        isPaused: false,
-        enemiesDestroyed: 0,
-        shotsFired: 0,
-        shotsHit: 0
-    };
-}
-
 test('Initial state has correct score', () => {
-    const state = createInitialGameState();
-    assert.strictEqual(state.score, 0);
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.score, 0);
 });
 
 test('Initial state has correct lives', () => {
-    const state = createInitialGameState();
-    assert.strictEqual(state.lives, GAME_CONFIG.maxLives);
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.lives, CONFIG.player.lives);
 });
 
 test('Initial state starts at level 1', () => {
-    const state = createInitialGameState();
-    assert.strictEqual(state.level, 1);
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.level, 1);
+});
+
+test('Initial state is playing with a full wave', () => {
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.status, 'playing');
+    assert.strictEqual(sim.enemies.length, CONFIG.enemy.rows * CONFIG.enemy.cols);
 });
 
-test('Initial state is not game over', () => {
-    const state = createInitialGameState();
-    assert.strictEqual(state.isGameOver, false);
+test('Initial weapon is the basic cannon', () => {
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.currentWeapon, 'basic');
 });
 
-test('Initial state is not paused', () => {
-    const state = createInitialGameState();
-    assert.strictEqual(state.isPaused, false);
+test('Draining events empties the queue', () => {
+    const sim = new GameSimulation();
+    sim.emit('test');
+    assert.strictEqual(sim.drainEvents().length, 1);
+    assert.strictEqual(sim.drainEvents().length, 0);
 });
 
 // ============================================
@@ -123,48 +148,50 @@ test('Initial state is not paused', () => {
 
 console.log('\nScore Calculation Tests:\n');
 
-function calculateScore(enemiesDestroyed, level, powerUpsCollected = 0) {
-    const enemyPoints = enemiesDestroyed * GAME_CONFIG.pointsPerEnemy;
-    const levelBonus = level * GAME_CONFIG.levelBonusMultiplier;
-    const powerUpPoints = powerUpsCollected * GAME_CONFIG.pointsPerPowerUp;
-    return enemyPoints + levelBonus + powerUpPoints;
-}
-
-function calculateAccuracy(shotsFired, shotsHit) {
-    if (shotsFired === 0) return 0;
-    return Math.round((shotsHit / shotsFired) * 100);
-}
-
-test('Score calculation includes enemy points', () => {
-    const score = calculateScore(10, 1);
-    assert.ok(score >= 10 * GAME_CONFIG.pointsPerEnemy);
+test('Destroying an enemy awards kill points', () => {
+    const sim = new GameSimulation();
+    const enemy = firstOfType(sim, 'scout');
+    const proj = shootAt(sim, enemy);
+    sim.checkCollisions();
+    assert.strictEqual(enemy.alive, false);
+    assert.strictEqual(proj.active, false);
+    assert.strictEqual(sim.score, ENEMY_TYPES.scout.points);
+    assert.strictEqual(sim.shotsHit, 1);
 });
 
-test('Score calculation includes level bonus', () => {
-    const score1 = calculateScore(0, 1);
-    const score2 = calculateScore(0, 2);
-    assert.ok(score2 > score1);
+test('Kill points scale with level', () => {
+    const sim = new GameSimulation();
+    sim.startNextLevel();
+    shootAt(sim, firstOfType(sim, 'scout'));
+    sim.checkCollisions();
+    assert.strictEqual(sim.score, ENEMY_TYPES.scout.points * 2);
 });
 
-test('Score calculation includes power-up points', () => {
-    const score1 = calculateScore(5, 1, 0);
-    const score2 = calculateScore(5, 1, 2);
-    assert.strictEqual(score2 - score1, 2 * GAME_CONFIG.pointsPerPowerUp);
+test('Kills are reported as events', () => {
+    const sim = new GameSimulation();
+    shootAt(sim, firstOfType(sim, 'scout'));
+    sim.checkCollisions();
+    const types = sim.drainEvents().map(e => e.type);
+    assert.ok(types.includes('enemyKilled'));
+    assert.ok(types.includes('explosion'));
 });
 
-test('Accuracy calculation with no shots is 0', () => {
-    const accuracy = calculateAccuracy(0, 0);
-    assert.strictEqual(accuracy, 0);
+test('Collecting a power-up awards bonus points', () => {
+    const sim = new GameSimulation();
+    sim.collectPowerUp(new PowerUp(0, 0, 'shield'));
+    assert.strictEqual(sim.score, CONFIG.scoring.powerUpBonus);
 });
 
-test('Accuracy calculation is correct percentage', () => {
-    const accuracy = calculateAccuracy(100, 75);
-    assert.strictEqual(accuracy, 75);
+test('Accuracy with no shots is 0', () => {
+    const sim = new GameSimulation();
+    assert.strictEqual(sim.accuracy, 0);
 });
 
-test('Perfect accuracy is 100%', () => {
-    const accuracy = calculateAccuracy(50, 50);
-    assert.strictEqual(accuracy, 100);
+test('Accuracy is a rounded percentage', () => {
+    const sim = new GameSimulation();
+    sim.shotsFired = 100;
+    sim.shotsHit = 75;
+    assert.strictEqual(sim.accuracy, 75);
 });
 
 // ============================================
@@ -173,35 +200,77 @@ test('Perfect accuracy is 100%', () => {
 
 console.log('\nCollision Detection Tests:\n');
 
-function checkCollision(rect1, rect2) {
-    return rect1.x < rect2.x + rect2.width &&
-           rect1.x + rect1.width > rect2.x &&
-           rect1.y < rect2.y + rect2.height &&
-           rect1.y + rect1.height > rect2.y;
-}
-
 test('Collision detected for overlapping rectangles', () => {
     const rect1 = { x: 0, y: 0, width: 50, height: 50 };
     const rect2 = { x: 25, y: 25, width: 50, height: 50 };
-    assert.ok(checkCollision(rect1, rect2));
+    assert.ok(rectCollision(rect1, rect2));
 });
 
 test('No collision for separate rectangles', () => {
     const rect1 = { x: 0, y: 0, width: 50, height: 50 };
     const rect2 = { x: 100, y: 100, width: 50, height: 50 };
-    assert.ok(!checkCollision(rect1, rect2));
+    assert.ok(!rectCollision(rect1, rect2));
 });
 
 test('Collision detected for touching rectangles', () => {
     const rect1 = { x: 0, y: 0, width: 50, height: 50 };
     const rect2 = { x: 49, y: 0, width: 50, height: 50 };
-    assert.ok(checkCollision(rect1, rect2));
+    assert.ok(rectCollision(rect1, rect2));
 });
 
 test('No collision for adjacent rectangles', () => {
     const rect1 = { x: 0, y: 0, width: 50, height: 50 };
     const rect2 = { x: 50, y: 0, width: 50, height: 50 };
-    assert.ok(!checkCollision(rect1, rect2));
+    assert.ok(!rectCollision(rect1, rect2));
+});
+
+test('Enemy shot costs the player a life', () => {
+    const sim = new GameSimulation();
+    const player = sim.player;
+    sim.enemyProjectiles.push(new Projectile(player.x + 10, player.y + 5, 0, '#f00', 'enemy'));
+    sim.checkCollisions();
+    assert.strictEqual(sim.lives, CONFIG.player.lives - 1);
+});
+
+test('Losing the last life ends the game', () => {
+    const sim = new GameSimulation();
+    sim.lives = 1;
+    sim.playerHit();
+    assert.strictEqual(sim.status, 'gameOver');
+    assert.ok(sim.drainEvents().some(e => e.type === 'gameOver'));
+});
+
+test('Shot hits an enemy straddling grid cells', () => {
+    const sim = new GameSimulation();
+    const enemy = firstOfType(sim, 'scout');
+    const cell = CONFIG.collision.cellSize;
+    enemy.x = cell - enemy.width / 2;
+    enemy.y = cell - enemy.height / 2;
+    sim.playerProjectiles.push(new Projectile(cell + 5, cell + 5, 0, '#fff', 'player'));
+    sim.checkCollisions();
+    assert.strictEqual(enemy.alive, false);
+});
+
+test('One shot destroys every enemy it overlaps', () => {
+    const sim = new GameSimulation();
+    const [a, b] = sim.enemies.filter(e => e.type === 'scout');
+    b.x = a.x + 2;
+    shootAt(sim, a);
+    sim.checkCollisions();
+    assert.strictEqual(a.alive, false);
+    assert.strictEqual(b.alive, false);
+});
+
+test('Spent projectiles are recycled', () => {
+    const sim = new GameSimulation();
+    sim.fire();
+    sim.step(TICK);
+    const shot = sim.playerProjectiles[0];
+    shot.active = false;
+    sim.step(TICK);
+    assert.strictEqual(sim.playerProjectiles.includes(shot), false);
+    assert.strictEqual(sim.createProjectile(0, 0, 0, '#fff', 'player'), shot);
+    assert.strictEqual(shot.active, true);
 });
 
 // ============================================
@@ -210,23 +279,35 @@ test('No collision for adjacent rectangles', () => {
 
 console.log('\nMovement Bounds Tests:\n');
 
-function clampPosition(x, width, canvasWidth) {
-    return Math.max(0, Math.min(x, canvasWidth - width));
-}
-
 test('Position clamped to left boundary', () => {
-    const result = clampPosition(-10, 50, 800);
-    assert.strictEqual(result, 0);
+    const sim = new GameSimulation();
+    sim.input.left = true;
+    sim.player.update(sim, 5);
+    assert.strictEqual(sim.player.x, 0);
 });
 
 test('Position clamped to right boundary', () => {
-    const result = clampPosition(800, 50, 800);
-    assert.strictEqual(result, 750);
+    const sim = new GameSimulation();
+    sim.input.right = true;
+    sim.player.update(sim, 5);
+    assert.strictEqual(sim.player.x, CONFIG.canvas.width - sim.player.width);
 });
 
-test('Position unchanged when within bounds', () => {
-    const result = clampPosition(400, 50, 800);
-    assert.strictEqual(result, 400);
+test('Player moves at its per-second speed', () => {
+    const sim = new GameSimulation();
+    const startX = sim.player.x;
+    sim.input.left = true;
+    sim.player.update(sim, 0.1);
+    assert.ok(Math.abs((startX - sim.player.x) - CONFIG.player.speed * 0.1) < 1e-9);
+});
+
+test('Movement is independent of step size', () => {
+    const a = new GameSimulation();
+    const b = new GameSimulation();
+    a.input.right = b.input.right = true;
+    for (let i = 0; i < 30; i++) a.player.update(a, TICK);
+    for (let i = 0; i < 60; i++) b.player.update(b, TICK / 2);
+    assert.ok(Math.abs(a.player.x - b.player.x) < 1e-9);
 });
 
 // ============================================
@@ -235,29 +316,1074 @@ test('Position unchanged when within bounds', () => {
 
 console.log('\nLevel Progression Tests:\n');
 
-function calculateEnemySpeed(baseSpeed, level) {
-    return baseSpeed + (level - 1) * 0.5;
+test('Wave reverses and drops at the wall', () => {
+    const sim = new GameSimulation();
+    const enemy = sim.enemies[sim.enemies.length - 1];
+    const startY = enemy.y;
+    sim.enemies.forEach(e => { e.x += CONFIG.canvas.width; });
+    sim.updateEnemies(TICK);
+    assert.strictEqual(sim.enemyDirection, -1);
+    assert.strictEqual(enemy.y, startY + CONFIG.enemy.dropDistance);
+});
+
+test('Enemy speed increases with level', () => {
+    const sim1 = new GameSimulation();
+    const sim4 = new GameSimulation();
+    sim4.level = 3;
+    sim4.startNextLevel();
+    const e1 = sim1.enemies[0];
+    const e4 = sim4.enemies[0];
+    const x1 = e1.x;
+    const x4 = e4.x;
+    e1.update(sim1, 1, 1, false);
+    e4.update(sim4, 1, 1, false);
+    assert.ok(e4.x - x4 > e1.x - x1);
+});
+
+test('Invaders reaching the player end the game', () => {
+    const sim = new GameSimulation();
+    sim.enemies[0].y = sim.player.y;
+    sim.updateEnemies(TICK);
+    assert.strictEqual(sim.status, 'gameOver');
+});
+
+test('Clearing the wave completes the level', () => {
+    const sim = new GameSimulation();
+    sim.enemies.forEach(e => { e.alive = false; });
+    sim.step(TICK);
+    assert.strictEqual(sim.status, 'levelComplete');
+    sim.startNextLevel();
+    assert.strictEqual(sim.level, 2);
+    assert.strictEqual(sim.status, 'playing');
+    assert.ok(sim.enemies.every(e => e.alive));
+});
+
+test('Simulation is frozen outside of play', () => {
+    const sim = new GameSimulation();
+    sim.gameOver();
+    const x = sim.enemies[0].x;
+    run(sim, 1);
+    assert.strictEqual(sim.enemies[0].x, x);
+});
+
+// ============================================
+// Power-Up Tests
+// ============================================
+
+console.log('\nPower-Up Tests:\n');
+
+test('Spawned power-ups use a known type', () => {
+    const sim = new GameSimulation();
+    for (let i = 0; i < 50; i++) {
+        const powerUp = sim.spawnPowerUp(100, 100);
+        assert.ok(CONFIG.powerUp.types.includes(powerUp.type));
+    }
+    assert.strictEqual(sim.powerUps.length, 50);
+});
+
+test('Weapon power-up arms the weapon', () => {
+    const sim = new GameSimulation();
+    sim.collectPowerUp(new PowerUp(0, 0, 'laser'));
+    assert.strictEqual(sim.currentWeapon, 'laser');
+    assert.ok(sim.drainEvents().some(e => e.type === 'weaponChanged'));
+});
+
+test('Extra life adds lives up to the cap', () => {
+    const sim = new GameSimulation();
+    sim.collectPowerUp(new PowerUp(0, 0, 'extraLife'));
+    assert.strictEqual(sim.lives, CONFIG.player.lives + 2);
+    sim.collectPowerUp(new PowerUp(0, 0, 'extraLife'));
+    sim.collectPowerUp(new PowerUp(0, 0, 'extraLife'));
+    assert.strictEqual(sim.lives, 9);
+});
+
+test('Bomb destroys every enemy', () => {
+    const sim = new GameSimulation();
+    const points = sim.enemies.reduce((total, e) => total + e.points, 0);
+    sim.collectPowerUp(new PowerUp(0, 0, 'bomb'));
+    assert.ok(sim.enemies.every(e => !e.alive));
+    assert.strictEqual(sim.score, CONFIG.scoring.powerUpBonus + points);
+});
+
+test('Bonus cache awards 250-749 points', () => {
+    const sim = new GameSimulation();
+    sim.collectPowerUp(new PowerUp(0, 0, 'bonus'));
+    const bonus = sim.score - CONFIG.scoring.powerUpBonus;
+    assert.ok(bonus >= 250 && bonus < 750);
+});
+
+test('Touching a power-up collects it', () => {
+    const sim = new GameSimulation();
+    const powerUp = new PowerUp(sim.player.x, sim.player.y, 'extraLife');
+    sim.powerUps.push(powerUp);
+    sim.checkCollisions();
+    assert.strictEqual(powerUp.active, false);
+    assert.strictEqual(sim.lives, CONFIG.player.lives + 2);
+});
+
+// ============================================
+// Game Clock Tests
+// ============================================
+
+console.log('\nGame Clock Tests:\n');
+
+function runFor(sim, seconds) {
+    const ticks = Math.round(seconds / TICK);
+    for (let i = 0; i < ticks; i++) sim.step(TICK);
 }
 
-function calculateEnemyCount(baseCount, level) {
-    return Math.min(baseCount + (level - 1) * 5, 100);
+test('Weapons are kept however long the player holds fire', () => {
+    const sim = new GameSimulation(1);
+    sim.wave.fireRate = 0;
+    sim.collectPowerUp(new PowerUp(0, 0, 'laser'));
+    runFor(sim, 20);
+    assert.strictEqual(sim.currentWeapon, 'laser');
+    assert.strictEqual(sim.weapon.ammo, WEAPON_TYPES.laser.ammo);
+});
+
+test('Shot cooldown freezes on the level complete screen', () => {
+    const sim = new GameSimulation(1);
+    sim.fire();
+    sim.step(TICK);
+    sim.status = 'levelComplete';
+    runFor(sim, 1);
+    assert.strictEqual(sim.canShoot, false);
+    assert.strictEqual(sim.timers.time, TICK);
+});
+
+test('Shot cooldown counts game ticks', () => {
+    const sim = new GameSimulation(1);
+    sim.fire();
+    sim.step(TICK);
+    assert.strictEqual(sim.canShoot, false);
+    runFor(sim, FIRE_RATES.basic / 1000 - TICK * 2);
+    assert.strictEqual(sim.canShoot, false);
+    runFor(sim, TICK * 2);
+    assert.strictEqual(sim.canShoot, true);
+});
+
+test('Reset clears pending timers', () => {
+    const sim = new GameSimulation(1);
+    sim.collectPowerUp(new PowerUp(0, 0, 'missile'));
+    sim.fire();
+    sim.step(TICK);
+    sim.reset(2);
+    assert.strictEqual(sim.timers.pending, 1);     // Only the next mothership
+    assert.strictEqual(sim.currentWeapon, 'basic');
+    assert.strictEqual(sim.inventory.length, 1);
+    assert.strictEqual(sim.canShoot, true);
+});
+
+// ============================================
+// Weapon Inventory Tests
+// ============================================
+
+console.log('\nWeapon Inventory Tests:\n');
+
+function collect(sim, type, times = 1) {
+    for (let i = 0; i < times; i++) {
+        sim.collectPowerUp(new PowerUp(0, 0, type));
+    }
 }
 
-test('Enemy speed increases with level', () => {
-    const speed1 = calculateEnemySpeed(2, 1);
-    const speed5 = calculateEnemySpeed(2, 5);
-    assert.ok(speed5 > speed1);
+// Fire the selected weapon once and return the shots it made
+function fireOnce(sim) {
+    sim.playerProjectiles = [];
+    sim.canShoot = true;
+    sim.player.shoot(sim);
+    return sim.playerProjectiles;
+}
+
+test('Collecting a held weapon raises its tier up to the cap', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'spread', 2);
+    assert.strictEqual(sim.weapon.tier, 2);
+    assert.ok(sim.drainEvents().some(e => e.type === 'powerUpCollected' && e.tier === 2));
+    collect(sim, 'spread', 5);
+    assert.strictEqual(sim.weapon.tier, CONFIG.weapons.maxTier);
+});
+
+test('Pickups refill ammo', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'rapid');
+    fireOnce(sim);
+    fireOnce(sim);
+    assert.strictEqual(sim.weapon.ammo, WEAPON_TYPES.rapid.ammo - 2);
+    collect(sim, 'rapid');
+    assert.strictEqual(sim.weapon.ammo, WEAPON_TYPES.rapid.ammo);
+});
+
+test('Spread fires two more lanes per tier', () => {
+    const sim = new GameSimulation(1);
+    for (let tier = 1; tier <= CONFIG.weapons.maxTier; tier++) {
+        collect(sim, 'spread');
+        assert.strictEqual(fireOnce(sim).length, 1 + tier * 2);
+    }
+});
+
+test('Laser widens and missiles multiply with tier', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'laser');
+    const narrow = fireOnce(sim)[0].width;
+    collect(sim, 'laser');
+    assert.strictEqual(fireOnce(sim)[0].width, narrow + CONFIG.weapons.laserWidthPerTier);
+    
+    collect(sim, 'missile', 3);
+    assert.strictEqual(fireOnce(sim).length, 3);
+});
+
+test('Rapid fire cools down faster at higher tiers', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'rapid', 3);
+    sim.fire();
+    sim.step(TICK);
+    runFor(sim, FIRE_RATES.rapid / 1000 * (1 - 2 * CONFIG.weapons.rapidCooldownPerTier));
+    assert.strictEqual(sim.canShoot, true);
+});
+
+test('A new weapon joins the inventory alongside the old ones', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'laser');
+    collect(sim, 'rapid');
+    assert.deepStrictEqual(sim.inventory.map(slot => slot.type), ['basic', 'laser', 'rapid']);
+    assert.strictEqual(sim.currentWeapon, 'rapid');
+});
+
+test('Cycling walks the inventory and wraps to the basic cannon', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'laser');
+    collect(sim, 'rapid');
+    sim.nextWeapon();
+    sim.step(TICK);
+    assert.strictEqual(sim.currentWeapon, 'basic');
+    assert.strictEqual(sim.input.cycle, false);
+    sim.cycleWeapon();
+    assert.strictEqual(sim.currentWeapon, 'laser');
+});
+
+test('An empty weapon drops back to the previous one', () => {
+    const sim = new GameSimulation(1);
+    collect(sim, 'laser');
+    collect(sim, 'missile');
+    sim.weapon.ammo = 1;
+    sim.drainEvents();
+    fireOnce(sim);
+    assert.strictEqual(sim.currentWeapon, 'laser');
+    assert.deepStrictEqual(sim.inventory.map(slot => slot.type), ['basic', 'laser']);
+    assert.ok(sim.drainEvents().some(e =>
+        e.type === 'weaponDepleted' && e.depleted === 'missile' && e.weapon === 'laser'));
+});
+
+test('The basic cannon never runs out', () => {
+    const sim = new GameSimulation(1);
+    for (let i = 0; i < 100; i++) fireOnce(sim);
+    assert.strictEqual(sim.currentWeapon, 'basic');
+    assert.strictEqual(sim.weapon.ammo, Infinity);
+});
+
+// ============================================
+// Missile Guidance Tests
+// ============================================
+
+console.log('\nMissile Guidance Tests:\n');
+
+function launchMissile(sim, x, y) {
+    const missile = new Projectile(x, y, -480, '#ff00ff', 'player', 0, 'missile');
+    sim.playerProjectiles.push(missile);
+    return missile;
+}
+
+test('Missiles lock on to the nearest enemy ahead, not the first in the wave', () => {
+    const sim = new GameSimulation(1);
+    const far = new Enemy(20, 60, 0);
+    const near = new Enemy(300, 200, 0);
+    sim.enemies = [far, near];
+    const missile = launchMissile(sim, 300, 300);
+    missile.update(sim, TICK);
+    assert.strictEqual(missile.target, near);
+});
+
+test('Enemies behind, beside or out of range are not locked', () => {
+    const sim = new GameSimulation(1);
+    sim.enemies = [
+        new Enemy(300, 380, 0),     // Behind
+        new Enemy(20, 290, 0),      // Off to the side
+        new Enemy(300, 300 - CONFIG.projectile.missileLockRange - 40, 0)
+    ];
+    const missile = launchMissile(sim, 300, 300);
+    assert.strictEqual(sim.missileTarget(missile), null);
+    missile.update(sim, TICK);
+    assert.strictEqual(missile.heading, 0);
+});
+
+test('Missiles turn no faster than the turn rate', () => {
+    const sim = new GameSimulation(1);
+    sim.enemies = [new Enemy(420, 200, 0)];
+    const missile = launchMissile(sim, 300, 300);
+    missile.update(sim, TICK);
+    assert.ok(Math.abs(missile.heading - CONFIG.projectile.missileTurnRate * TICK) < 1e-9);
+    // Speed is kept while turning
+    assert.ok(Math.abs(Math.hypot(missile.vx, missile.speed) - 480) < 1e-9);
+});
+
+test('Missiles re-target when their target dies', () => {
+    const sim = new GameSimulation(1);
+    const first = new Enemy(300, 200, 0);
+    const second = new Enemy(330, 150, 0);
+    sim.enemies = [first, second];
+    const missile = launchMissile(sim, 300, 300);
+    missile.update(sim, TICK);
+    assert.strictEqual(missile.target, first);
+    first.alive = false;
+    missile.update(sim, TICK);
+    assert.strictEqual(missile.target, second);
+});
+
+test('Missiles lock on to boss segments', () => {
+    const sim = new GameSimulation(1);
+    sim.enemies = [];
+    sim.boss = new Boss(1);
+    const core = sim.boss.core;
+    const missile = launchMissile(sim, core.x + core.width / 2 - 4, core.y + 200);
+    missile.update(sim, TICK);
+    assert.strictEqual(missile.target, core);
+});
+
+test('A missile launched off to one side curves into its target', () => {
+    const sim = new GameSimulation(1);
+    sim.wave.fireRate = 0;
+    const enemy = new Enemy(360, 150, 2, 'scout');
+    sim.enemies = [enemy];
+    launchMissile(sim, 280, 400);
+    for (let i = 0; i < 60 && enemy.alive; i++) sim.step(TICK);
+    assert.strictEqual(enemy.alive, false);
+});
+
+// ============================================
+// Projectile Trait Tests
+// ============================================
+
+console.log('\nProjectile Trait Tests:\n');
+
+// A column of scouts, one above the other, clear of the wave
+function scoutColumn(sim, count) {
+    sim.enemies = [];
+    for (let i = 0; i < count; i++) {
+        sim.enemies.push(new Enemy(300, 100 + i * 40, 2, 'scout'));
+    }
+    return sim.enemies;
+}
+
+test('Projectile types declare their traits', () => {
+    assert.ok(PROJECTILE_TYPES.laser.traits.pierce > 0);
+    assert.ok(PROJECTILE_TYPES.missile.traits.splash.radius > 0);
+    assert.ok(PROJECTILE_TYPES.spread.traits.bounce > 0);
+    assert.deepStrictEqual(PROJECTILE_TYPES.normal.traits, {});
+});
+
+test('Lasers pierce their quota of enemies, then stop', () => {
+    const sim = new GameSimulation(1);
+    const pierce = PROJECTILE_TYPES.laser.traits.pierce;
+    const column = scoutColumn(sim, pierce + 2);
+    const laser = new Projectile(305, 0, -900, '#ff0040', 'player', 0, 'laser');
+    sim.playerProjectiles.push(laser);
+    
+    // Walk the beam up the column from the bottom
+    for (const enemy of [...column].reverse()) {
+        if (!laser.active) break;
+        laser.y = enemy.y + 5;
+        sim.checkCollisions();
+    }
+    assert.strictEqual(laser.active, false);
+    assert.strictEqual(column.filter(e => !e.alive).length, pierce + 1);
+    assert.strictEqual(column[0].alive, true);
+    assert.strictEqual(sim.shotsHit, 1);
+});
+
+test('A piercing shot damages each enemy only once', () => {
+    const sim = new GameSimulation(1);
+    const officer = firstOfType(sim, 'officer');
+    const laser = new Projectile(officer.x + 5, officer.y + 5, -900, '#ff0040', 'player', 0, 'laser');
+    sim.playerProjectiles.push(laser);
+    sim.checkCollisions();
+    sim.checkCollisions();
+    assert.strictEqual(officer.hp, ENEMY_TYPES.officer.hp - PROJECTILE_TYPES.laser.damage);
+    assert.strictEqual(laser.active, true);
+});
+
+test('Missiles burst and splash nearby enemies', () => {
+    const sim = new GameSimulation(1);
+    const { radius, damage } = PROJECTILE_TYPES.missile.traits.splash;
+    const hit = new Enemy(300, 100, 0, 'officer');
+    const near = new Enemy(300 + radius - 10, 100, 0, 'officer');
+    const far = new Enemy(300 + radius + 20, 100, 0, 'officer');
+    sim.enemies = [hit, near, far];
+    sim.playerProjectiles.push(new Projectile(305, 105, -480, '#ff00ff', 'player', 0, 'missile'));
+    sim.checkCollisions();
+    
+    assert.strictEqual(hit.hp, ENEMY_TYPES.officer.hp - PROJECTILE_TYPES.missile.damage);
+    assert.strictEqual(near.hp, ENEMY_TYPES.officer.hp - damage);
+    assert.strictEqual(far.hp, ENEMY_TYPES.officer.hp);
+    assert.strictEqual(sim.drainEvents().filter(e => e.type === 'splash').length, 1);
+});
+
+test('Spread shots bounce off a side wall once', () => {
+    const sim = new GameSimulation(1);
+    const shot = new Projectile(2, 300, -600, '#ff6b35', 'player', -180, 'spread');
+    shot.update(sim, TICK);
+    assert.ok(shot.vx > 0 && shot.x >= 0);
+    
+    shot.x = CONFIG.canvas.width - 1;
+    shot.update(sim, TICK);
+    assert.strictEqual(shot.bouncesLeft, 0);
+    assert.ok(shot.vx > 0);
+});
+
+test('A shot that hit something is not a miss when it leaves the screen', () => {
+    const sim = new GameSimulation(1);
+    scoutColumn(sim, 1);
+    const laser = new Projectile(305, 105, -900, '#ff0040', 'player', 0, 'laser');
+    sim.playerProjectiles.push(laser);
+    sim.checkCollisions();
+    sim.comboMultiplier = 3;
+    laser.y = -30;
+    laser.update(sim, TICK);
+    assert.strictEqual(laser.active, false);
+    assert.strictEqual(sim.comboMultiplier, 3);
+});
+
+// ============================================
+// Enemy Type Tests
+// ============================================
+
+console.log('\nEnemy Type Tests:\n');
+
+test('Each row gets its configured type', () => {
+    const sim = new GameSimulation(1);
+    for (const enemy of sim.enemies) {
+        assert.strictEqual(enemy.type, CONFIG.enemy.rowTypes[enemy.row]);
+        assert.strictEqual(enemy.hp, ENEMY_TYPES[enemy.type].hp);
+    }
+});
+
+test('Hits subtract HP and flash until the enemy dies', () => {
+    const sim = new GameSimulation(1);
+    const officer = firstOfType(sim, 'officer');
+    shootAt(sim, officer);
+    sim.checkCollisions();
+    assert.strictEqual(officer.alive, true);
+    assert.strictEqual(officer.hp, ENEMY_TYPES.officer.hp - 1);
+    assert.ok(officer.hitFlash > 0);
+    assert.ok(sim.drainEvents().some(e => e.type === 'enemyDamaged' && e.hp === officer.hp));
+    
+    for (let hp = officer.hp; hp > 0; hp--) {
+        shootAt(sim, officer);
+        sim.checkCollisions();
+    }
+    assert.strictEqual(officer.alive, false);
+    assert.strictEqual(sim.score, ENEMY_TYPES.officer.points);
+    assert.strictEqual(sim.shotsHit, ENEMY_TYPES.officer.hp);
+});
+
+test('Projectile damage is applied', () => {
+    const sim = new GameSimulation(1);
+    const soldier = firstOfType(sim, 'soldier');
+    const laser = new Projectile(soldier.x + 5, soldier.y + 5, -600, '#f00', 'player', 0, 'laser');
+    sim.playerProjectiles.push(laser);
+    sim.checkCollisions();
+    assert.strictEqual(soldier.alive, false);
+});
+
+test('Hit flash wears off', () => {
+    const sim = new GameSimulation(1);
+    const officer = firstOfType(sim, 'officer');
+    sim.damageEnemy(officer, 1);
+    runFor(sim, CONFIG.enemy.hitFlash + TICK);
+    assert.strictEqual(officer.hitFlash, 0);
+});
+
+test('Officers fire a three-way spread', () => {
+    const sim = new GameSimulation(1);
+    firstOfType(sim, 'officer').shoot(sim);
+    const drifts = sim.enemyProjectiles.map(p => Math.sign(p.vx));
+    assert.deepStrictEqual(drifts.sort(), [-1, 0, 1]);
+});
+
+test('Soldiers fire faster shots than scouts', () => {
+    const sim = new GameSimulation(1);
+    firstOfType(sim, 'scout').shoot(sim);
+    firstOfType(sim, 'soldier').shoot(sim);
+    const [scoutShot, soldierShot] = sim.enemyProjectiles;
+    assert.ok(soldierShot.speed > scoutShot.speed);
+});
+
+// ============================================
+// Dive Tests
+// ============================================
+
+console.log('\nDive Tests:\n');
+
+// A wave that neither fires from formation nor dives by itself,
+// with no bunkers in the way and a ship that shots pass through
+function quietWave() {
+    const sim = new GameSimulation(1);
+    sim.wave.fireRate = 0;
+    sim.wave.dive.rate = 0;
+    sim.bunkers = [];
+    sim.player.invincible = Infinity;
+    return sim;
+}
+
+test('Dives get more frequent and better aimed each level', () => {
+    const first = proceduralWave(1).dive;
+    const fifth = proceduralWave(5).dive;
+    assert.ok(fifth.rate > first.rate);
+    assert.ok(fifth.aim > first.aim);
+    assert.strictEqual(proceduralWave(50).dive.aim, 1);
+});
+
+test('A diver swoops low and returns to its slot in the marching formation', () => {
+    const sim = quietWave();
+    const [diver, neighbour] = sim.enemies;
+    const gap = neighbour.x - diver.x;
+    diver.startDive(sim);
+    
+    runFor(sim, CONFIG.enemy.dive.duration);
+    assert.ok(diver.y + diver.height > sim.player.y - 20 - CONFIG.enemy.dive.clearance);
+    assert.strictEqual(sim.status, 'playing');
+    
+    runFor(sim, CONFIG.enemy.dive.returnDuration + TICK);
+    assert.strictEqual(diver.dive, null);
+    assert.ok(Math.abs(neighbour.x - diver.x - gap) < 1e-9);
+    assert.strictEqual(diver.y, neighbour.y);
+});
+
+test('Divers fire aimed shots at the player', () => {
+    const sim = quietWave();
+    sim.wave.dive.aim = 1;
+    const diver = sim.enemies[sim.enemies.length - 1];
+    sim.player.x = 0;
+    diver.startDive(sim);
+    runFor(sim, CONFIG.enemy.dive.duration);
+    
+    const shots = sim.enemyProjectiles;
+    assert.strictEqual(shots.length, CONFIG.enemy.dive.shotsAt.length);
+    for (const shot of shots) {
+        assert.ok(shot.vx < 0 && shot.speed > 0);
+    }
+});
+
+test('Dives are launched up to the limit', () => {
+    const sim = quietWave();
+    sim.wave.dive.rate = 1000;
+    runFor(sim, 0.5);
+    assert.strictEqual(sim.enemies.filter(e => e.dive).length, CONFIG.enemy.dive.maxDivers);
+    assert.ok(sim.drainEvents().some(e => e.type === 'enemyDive'));
+});
+
+// ============================================
+// Boss Tests
+// ============================================
+
+console.log('\nBoss Tests:\n');
+
+// Simulation on the first boss level
+function bossLevel() {
+    const sim = new GameSimulation(1);
+    sim.level = CONFIG.boss.every - 1;
+    sim.startNextLevel();
+    sim.drainEvents();
+    return sim;
+}
+
+test('Every Nth level is a boss fight', () => {
+    const sim = bossLevel();
+    assert.ok(sim.isBossLevel);
+    assert.ok(sim.boss instanceof Boss);
+    assert.strictEqual(sim.enemies.length, 0);
+    sim.startNextLevel();
+    assert.strictEqual(sim.boss, null);
+    assert.ok(sim.enemies.length > 0);
+});
+
+test('Boss level lasts until the boss is destroyed', () => {
+    const sim = bossLevel();
+    sim.step(TICK);
+    assert.strictEqual(sim.status, 'playing');
+    sim.damageBoss(sim.boss.core, 1000);
+    assert.strictEqual(sim.boss, null);
+    sim.step(TICK);
+    assert.strictEqual(sim.status, 'levelComplete');
+});
+
+test('Shots damage the segment they hit', () => {
+    const sim = bossLevel();
+    const pod = sim.boss.segments[0];
+    sim.playerProjectiles.push(new Projectile(pod.x + 5, pod.y + 5, -600, '#fff', 'player'));
+    sim.checkCollisions();
+    assert.strictEqual(pod.hp, pod.maxHp - 1);
+    assert.strictEqual(sim.boss.hp, sim.boss.maxHp - 1);
+    assert.ok(pod.hitFlash > 0);
+});
+
+test('Destroying the core defeats the whole boss', () => {
+    const sim = bossLevel();
+    const points = sim.boss.segments.reduce((total, seg) => total + seg.points, 0);
+    sim.damageBoss(sim.boss.core, 1000);
+    const types = sim.drainEvents().map(e => e.type);
+    assert.ok(types.includes('bossDefeated'));
+    assert.strictEqual(types.filter(t => t === 'bossSegmentDestroyed').length, 3);
+    assert.strictEqual(sim.score, points);
+});
+
+test('Phases change at health thresholds', () => {
+    const sim = bossLevel();
+    const boss = sim.boss;
+    const phases = CONFIG.boss.phases;
+    sim.damageBoss(boss.core, Math.ceil(boss.maxHp * (1 - phases[1].health)) - 1);
+    assert.strictEqual(boss.phase, 0);
+    sim.damageBoss(boss.core, 1);
+    assert.strictEqual(boss.phase, 1);
+    assert.ok(sim.drainEvents().some(e => e.type === 'bossPhase' && e.phase === 2));
+});
+
+test('Spread fires a fan from each pod', () => {
+    const sim = bossLevel();
+    sim.boss.fireSpread(sim);
+    assert.strictEqual(sim.enemyProjectiles.length, CONFIG.boss.spreadShots * 2);
+    sim.boss.segments[0].alive = false;
+    sim.boss.segments[2].alive = false;
+    sim.boss.fireSpread(sim);
+    assert.strictEqual(sim.enemyProjectiles.length, CONFIG.boss.spreadShots * 3);
+});
+
+test('Sweeping beam swings from one side to the other', () => {
+    const sim = bossLevel();
+    sim.boss.attackTimer = 100;
+    sim.boss.attack(sim, 'sweep');
+    runFor(sim, CONFIG.boss.sweepDuration + TICK);
+    const drifts = sim.enemyProjectiles.map(p => p.vx);
+    assert.ok(drifts.length > 5);
+    assert.ok(Math.sign(drifts[0]) === -Math.sign(drifts[drifts.length - 1]));
+    assert.strictEqual(sim.boss.sweep, null);
+});
+
+test('Minions are launched up to the cap', () => {
+    const sim = bossLevel();
+    for (let i = 0; i < 5; i++) sim.spawnMinions(sim.boss);
+    assert.strictEqual(sim.enemies.length, CONFIG.boss.maxMinions);
+    assert.ok(sim.enemies.every(e => e.type === 'scout'));
+});
+
+test('Later bosses are tougher', () => {
+    assert.ok(new Boss(2).maxHp > new Boss(1).maxHp);
+});
+
+// ============================================
+// Mothership Tests
+// ============================================
+
+console.log('\nMothership Tests:\n');
+
+// Seconds for a mothership to cross from one edge to the other
+const CROSSING_TIME = (CONFIG.canvas.width + CONFIG.mothership.width) / CONFIG.mothership.speed;
+
+test('Mothership appears within the configured interval', () => {
+    const sim = new GameSimulation(7);
+    runFor(sim, CONFIG.mothership.minInterval - 0.5);
+    assert.strictEqual(sim.mothership, null);
+    runFor(sim, CONFIG.mothership.maxInterval - CONFIG.mothership.minInterval + 0.5);
+    assert.ok(sim.drainEvents().some(e => e.type === 'mothershipSpawned'));
+});
+
+test('Mothership crosses the top lane and escapes', () => {
+    const sim = new GameSimulation(7);
+    const ship = sim.spawnMothership();
+    assert.strictEqual(ship.y, CONFIG.mothership.y);
+    assert.ok(ship.x + ship.width <= 0 || ship.x >= CONFIG.canvas.width);
+    runFor(sim, CROSSING_TIME + 0.1);
+    assert.strictEqual(sim.mothership, null);
+    assert.ok(sim.drainEvents().some(e => e.type === 'mothershipEscaped'));
+    assert.notStrictEqual(sim.mothershipTimer, null);
+});
+
+test('Shooting the mothership awards mystery points', () => {
+    const sim = new GameSimulation(7);
+    const ship = sim.spawnMothership();
+    ship.x = 100;
+    sim.drainEvents();
+    sim.playerProjectiles.push(new Projectile(110, ship.y + 5, -CONFIG.projectile.playerSpeed, '#fff', 'player'));
+    sim.checkCollisions();
+    
+    const event = sim.drainEvents().find(e => e.type === 'mothershipDestroyed');
+    assert.ok(CONFIG.mothership.points.includes(event.points));
+    assert.strictEqual(sim.score, event.points);
+    assert.strictEqual(sim.mothership, null);
+});
+
+test('A new level starts a fresh mothership countdown', () => {
+    const sim = new GameSimulation(7);
+    sim.spawnMothership();
+    sim.status = 'levelComplete';
+    sim.startNextLevel();
+    assert.strictEqual(sim.mothership, null);
+    assert.notStrictEqual(sim.mothershipTimer, null);
+});
+
+test('Mothership flies right or left from its entry side', () => {
+    const right = new Mothership(1);
+    const left = new Mothership(-1);
+    right.update(1);
+    left.update(1);
+    assert.ok(right.x > right.prevX);
+    assert.ok(left.x < left.prevX);
+});
+
+// ============================================
+// Respawn Tests
+// ============================================
+
+console.log('\nRespawn Tests:\n');
+
+// Lose a ship, then wait out the respawn delay
+function loseShip(sim) {
+    sim.playerHit();
+    runFor(sim, CONFIG.player.respawnDelay + TICK);
+}
+
+test('Losing a ship clears enemy fire and holds the wave', () => {
+    const sim = new GameSimulation(3);
+    const player = sim.player;
+    sim.enemyProjectiles.push(new Projectile(player.x + 10, player.y + 5, 0, '#f00', 'enemy'));
+    sim.enemyProjectiles.push(new Projectile(100, 200, CONFIG.projectile.enemySpeed, '#f00', 'enemy'));
+    sim.checkCollisions();
+    assert.strictEqual(player.alive, false);
+    assert.ok(sim.enemyProjectiles.every(p => !p.active));
+    
+    const enemy = sim.enemies[0];
+    const x = enemy.x;
+    runFor(sim, CONFIG.player.respawnDelay / 2);
+    assert.strictEqual(enemy.x, x);
+    assert.strictEqual(sim.enemyProjectiles.length, 0);
+});
+
+test('A downed ship cannot be hit again or fire', () => {
+    const sim = new GameSimulation(3);
+    sim.playerHit();
+    sim.playerHit();
+    assert.strictEqual(sim.lives, CONFIG.player.lives - 1);
+    
+    sim.fire();
+    sim.step(TICK);
+    assert.strictEqual(sim.playerProjectiles.length, 0);
+});
+
+test('A downed ship cannot collect power-ups', () => {
+    const sim = new GameSimulation(3);
+    sim.playerHit();
+    const player = sim.player;
+    const extraLife = new PowerUp(player.x, player.y, 'extraLife');
+    const shield = new PowerUp(player.x, player.y, 'shield');
+    sim.powerUps.push(extraLife, shield);
+    sim.checkCollisions();
+    
+    assert.strictEqual(extraLife.active, true);
+    assert.strictEqual(shield.active, true);
+    assert.strictEqual(sim.lives, CONFIG.player.lives - 1);
+    assert.strictEqual(player.shield, 0);
+});
+
+test('Next ship arrives at the centre after the delay', () => {
+    const sim = new GameSimulation(3);
+    sim.player.x = 0;
+    sim.playerHit();
+    runFor(sim, CONFIG.player.respawnDelay - 0.1);
+    assert.strictEqual(sim.player.alive, false);
+    runFor(sim, 0.2);
+    assert.strictEqual(sim.player.alive, true);
+    assert.strictEqual(sim.player.x, (CONFIG.canvas.width - sim.player.width) / 2);
+    assert.ok(sim.drainEvents().some(e => e.type === 'playerRespawned'));
+});
+
+test('Enemy fire passes through an invulnerable ship', () => {
+    const sim = new GameSimulation(3);
+    loseShip(sim);
+    const player = sim.player;
+    assert.ok(player.invincible > 0);
+    
+    const proj = new Projectile(player.x + 10, player.y + 5, 0, '#f00', 'enemy');
+    sim.enemyProjectiles.push(proj);
+    sim.checkCollisions();
+    assert.strictEqual(sim.lives, CONFIG.player.lives - 1);
+    assert.strictEqual(proj.active, true);
+});
+
+test('Invulnerability wears off', () => {
+    const sim = new GameSimulation(3);
+    loseShip(sim);
+    runFor(sim, CONFIG.player.invincibility + 0.05);
+    assert.strictEqual(sim.player.vulnerable, true);
+});
+
+test('Last ship ends the game without a respawn', () => {
+    const sim = new GameSimulation(3);
+    sim.lives = 1;
+    sim.playerHit();
+    assert.strictEqual(sim.status, 'gameOver');
+    assert.strictEqual(sim.respawnTimer, null);
+    assert.strictEqual(sim.player.alive, false);
+});
+
+// ============================================
+// Shield Tests
+// ============================================
+
+console.log('\nShield Tests:\n');
+
+// An enemy shot right on the player's ship
+function shootPlayer(sim) {
+    const player = sim.player;
+    sim.enemyProjectiles.push(new Projectile(player.x + 10, player.y + 5, 0, '#f00', 'enemy'));
+    sim.checkCollisions();
+}
+
+test('Shield pickup raises the bubble instead of adding a life', () => {
+    const sim = new GameSimulation(5);
+    sim.collectPowerUp(new PowerUp(0, 0, 'shield'));
+    assert.strictEqual(sim.player.shield, CONFIG.shield.hits);
+    assert.strictEqual(sim.lives, CONFIG.player.lives);
+});
+
+test('Bubble absorbs hits and breaks on the last one', () => {
+    const sim = new GameSimulation(5);
+    sim.raiseShield();
+    for (let i = 0; i < CONFIG.shield.hits; i++) shootPlayer(sim);
+    assert.strictEqual(sim.lives, CONFIG.player.lives);
+    assert.strictEqual(sim.player.shield, 0);
+    assert.strictEqual(sim.shieldTimer, null);
+    
+    const events = sim.drainEvents();
+    assert.strictEqual(events.filter(e => e.type === 'shieldHit').length, CONFIG.shield.hits);
+    assert.strictEqual(events.find(e => e.type === 'shieldDown').reason, 'broken');
+    
+    shootPlayer(sim);
+    assert.strictEqual(sim.lives, CONFIG.player.lives - 1);
+});
+
+test('Bubble fades after its duration of game time', () => {
+    const sim = new GameSimulation(5);
+    sim.raiseShield();
+    sim.wave.fireRate = 0;     // Nothing may hit the bubble while it runs down
+    runFor(sim, CONFIG.shield.duration - 0.5);
+    assert.strictEqual(sim.player.shield, CONFIG.shield.hits);
+    runFor(sim, 1);
+    assert.strictEqual(sim.player.shield, 0);
+    assert.strictEqual(sim.drainEvents().find(e => e.type === 'shieldDown').reason, 'expired');
+});
+
+test('Another pickup restores the bubble in full', () => {
+    const sim = new GameSimulation(5);
+    sim.raiseShield();
+    shootPlayer(sim);
+    const first = sim.shieldTimer;
+    sim.raiseShield();
+    assert.strictEqual(sim.player.shield, CONFIG.shield.hits);
+    assert.notStrictEqual(sim.shieldTimer, first);
+    assert.strictEqual(sim.timers.pending, 2);     // The new shield and the next mothership
+});
+
+// ============================================
+// Combo and Bonus Tests
+// ============================================
+
+console.log('\nCombo and Bonus Tests:\n');
+
+// Kill the first `count` live enemies of the wave
+function killEnemies(sim, count) {
+    for (const enemy of sim.enemies.filter(e => e.alive).slice(0, count)) {
+        sim.killEnemy(enemy);
+    }
+}
+
+// Clear the wave and finish the level on the next tick
+function clearWave(sim) {
+    killEnemies(sim, sim.enemies.length);
+    sim.step(TICK);
+}
+
+test('Chained kills raise the multiplier', () => {
+    const combo = CONFIG.scoring.combo;
+    const sim = new GameSimulation(9);
+    killEnemies(sim, combo.killsPerStep);
+    assert.strictEqual(sim.comboMultiplier, 2);
+    
+    const enemy = sim.enemies.find(e => e.alive);
+    const score = sim.score;
+    sim.killEnemy(enemy);
+    assert.strictEqual(sim.score - score, enemy.points * sim.level * 2);
+});
+
+test('Multiplier stops at its maximum', () => {
+    const combo = CONFIG.scoring.combo;
+    const sim = new GameSimulation(9);
+    for (let i = 0; i < combo.killsPerStep * combo.maxMultiplier; i++) {
+        sim.enemies.push(new Enemy(0, 0, 0));
+    }
+    killEnemies(sim, combo.killsPerStep * combo.maxMultiplier + 2);
+    assert.strictEqual(sim.comboMultiplier, combo.maxMultiplier);
+});
+
+test('A missed shot breaks the combo', () => {
+    const sim = new GameSimulation(9);
+    killEnemies(sim, CONFIG.scoring.combo.killsPerStep);
+    sim.drainEvents();
+    sim.playerProjectiles.push(new Projectile(300, -10, -CONFIG.projectile.playerSpeed, '#fff', 'player'));
+    sim.step(TICK);
+    assert.strictEqual(sim.comboMultiplier, 1);
+    assert.strictEqual(sim.drainEvents().find(e => e.type === 'comboChanged').reason, 'miss');
+});
+
+test('Spread lanes flying wide of a hit keep the combo', () => {
+    const sim = new GameSimulation(9);
+    sim.bunkers = [];
+    sim.wave.fireRate = 0;
+    sim.wave.dive.rate = 0;
+    killEnemies(sim, CONFIG.scoring.combo.killsPerStep * 2);
+    assert.strictEqual(sim.comboMultiplier, 3);
+    
+    // Right under the lowest invader, so the centre lane hits
+    const target = sim.enemies.filter(e => e.alive).reduce((a, b) => (b.y > a.y ? b : a));
+    sim.player.x = target.x + target.width / 2 - sim.player.width / 2;
+    sim.collectWeapon('spread');
+    sim.drainEvents();
+    sim.fire();
+    for (let i = 0; i < 120 && sim.playerProjectiles.length + sim.input.fire > 0; i++) sim.step(TICK);
+    
+    assert.strictEqual(sim.playerProjectiles.length, 0);
+    assert.strictEqual(sim.shotsFired, 1);
+    assert.strictEqual(sim.shotsHit, 1);
+    assert.ok(sim.comboMultiplier >= 3);
+    assert.ok(!sim.drainEvents().some(e => e.type === 'comboChanged' && e.reason === 'miss'));
+});
+
+test('A volley that misses entirely breaks the combo once', () => {
+    const sim = new GameSimulation(9);
+    killEnemies(sim, CONFIG.scoring.combo.killsPerStep);
+    sim.drainEvents();
+    
+    const volley = { size: 3, missed: 0, struck: false };
+    const shots = [0, 1, 2].map(() => new Projectile(300, 100, -CONFIG.projectile.playerSpeed, '#fff', 'player'));
+    shots.forEach(shot => { shot.volley = volley; });
+    sim.shotMissed(shots[0]);
+    sim.shotMissed(shots[1]);
+    assert.strictEqual(sim.comboMultiplier, 2);
+    sim.shotMissed(shots[2]);
+    assert.strictEqual(sim.comboMultiplier, 1);
+    assert.strictEqual(sim.drainEvents().filter(e => e.reason === 'miss').length, 1);
+});
+
+test('Losing a ship breaks the combo', () => {
+    const sim = new GameSimulation(9);
+    killEnemies(sim, CONFIG.scoring.combo.killsPerStep);
+    sim.playerHit();
+    assert.strictEqual(sim.comboMultiplier, 1);
+});
+
+test('Combo decays a step at a time without kills', () => {
+    const combo = CONFIG.scoring.combo;
+    const sim = new GameSimulation(9);
+    killEnemies(sim, combo.killsPerStep * 2);
+    assert.strictEqual(sim.comboMultiplier, 3);
+    sim.wave.fireRate = 0;
+    runFor(sim, combo.decay + 0.1);
+    assert.strictEqual(sim.comboMultiplier, 2);
+    runFor(sim, combo.decay);
+    assert.strictEqual(sim.comboMultiplier, 1);
+});
+
+test('Clearing a wave awards the bonus breakdown', () => {
+    const scoring = CONFIG.scoring;
+    const sim = new GameSimulation(9);
+    sim.shotsFired = 10;
+    sim.shotsHit = 8;
+    clearWave(sim);
+    
+    const bonus = sim.bonus;
+    assert.strictEqual(sim.status, 'levelComplete');
+    assert.strictEqual(bonus.levelPoints, scoring.levelBonus);
+    assert.strictEqual(bonus.accuracy, 80);
+    assert.strictEqual(bonus.accuracyPoints, 80 * scoring.accuracyBonus);
+    assert.strictEqual(bonus.noDamagePoints, scoring.noDamageBonus);
+    assert.strictEqual(bonus.timePoints, Math.floor(scoring.parTime - bonus.seconds) * scoring.timeBonus);
+    assert.strictEqual(bonus.total, bonus.levelPoints + bonus.accuracyPoints + bonus.noDamagePoints + bonus.timePoints);
+    assert.strictEqual(sim.drainEvents().find(e => e.type === 'levelComplete').bonus, bonus);
+});
+
+test('Bonus is added to the score', () => {
+    const sim = new GameSimulation(9);
+    killEnemies(sim, sim.enemies.length);
+    const score = sim.score;
+    sim.step(TICK);
+    assert.strictEqual(sim.score, score + sim.bonus.total);
+});
+
+test('Losing a ship or a slow clear forfeits those bonuses', () => {
+    const sim = new GameSimulation(9);
+    sim.playerHit();
+    sim.waveStart.time -= CONFIG.scoring.parTime;
+    runFor(sim, CONFIG.player.respawnDelay + TICK);
+    clearWave(sim);
+    assert.strictEqual(sim.bonus.noDamagePoints, 0);
+    assert.strictEqual(sim.bonus.timePoints, 0);
+});
+
+test('Accuracy is per wave', () => {
+    const sim = new GameSimulation(9);
+    sim.shotsFired = 10;
+    clearWave(sim);
+    sim.startNextLevel();
+    sim.shotsFired += 4;
+    sim.shotsHit += 4;
+    clearWave(sim);
+    assert.strictEqual(sim.bonus.accuracy, 100);
+});
+
+// ============================================
+// Determinism Tests
+// ============================================
+
+console.log('\nDeterminism Tests:\n');
+
+// Play a scripted run and capture everything chance decides
+function scriptedRun(seed) {
+    const sim = new GameSimulation(seed);
+    const drops = [];
+    for (let i = 0; i < 600; i++) {
+        sim.input.left = i % 120 < 60;
+        sim.input.right = !sim.input.left;
+        sim.step(TICK);
+    }
+    for (let i = 0; i < 20; i++) drops.push(sim.spawnPowerUp(0, 0).type);
+    return {
+        enemyShots: sim.enemyProjectiles.map(p => [p.x, p.y]),
+        lives: sim.lives,
+        drops
+    };
+}
+
+test('Same seed reproduces the same run', () => {
+    assert.deepStrictEqual(scriptedRun(0xC0FFEE), scriptedRun(0xC0FFEE));
 });
 
-test('Enemy count increases with level', () => {
-    const count1 = calculateEnemyCount(20, 1);
-    const count5 = calculateEnemyCount(20, 5);
-    assert.ok(count5 > count1);
+test('Different seeds play out differently', () => {
+    assert.notDeepStrictEqual(scriptedRun(1).drops, scriptedRun(2).drops);
 });
 
-test('Enemy count capped at maximum', () => {
-    const count = calculateEnemyCount(20, 100);
-    assert.ok(count <= 100);
+test('Reset adopts the new seed', () => {
+    const sim = new GameSimulation(1);
+    sim.reset(0xABCDEF);
+    assert.strictEqual(sim.seed, 0xABCDEF);
+    assert.strictEqual(sim.rng.seed, 0xABCDEF);
 });
 
 // ============================================
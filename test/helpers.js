@@ -0,0 +1,33 @@
+/**
+ * ===========================================
+ * Test Helpers
+ * ===========================================
+ *
+ * Fixtures shared by the simulation test files.
+ */
+
+import { GameSimulation } from '../simulation.js';
+import { DEFAULT_DIFFICULTY } from '../difficulty.js';
+import { DEFAULT_MODE } from '../modes.js';
+
+/**
+ * A fresh run with the given rules; anything left out plays as
+ * usual (Waves on Normal, no director, no challenge modifiers)
+ */
+function buildSimulation({
+    difficulty = DEFAULT_DIFFICULTY,
+    adaptive = false,
+    mode = DEFAULT_MODE,
+    modifiers = [],
+    seed = 0x1234
+} = {}) {
+    const sim = new GameSimulation();
+    sim.setDifficulty(difficulty);
+    sim.setModifiers(modifiers);
+    sim.setAdaptive(adaptive);
+    sim.setMode(mode);
+    sim.reset(seed);
+    return sim;
+}
+
+export { buildSimulation };
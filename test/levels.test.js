@@ -0,0 +1,196 @@
+/**
+ * ===========================================
+ * Level Tests
+ * ===========================================
+ * 
+ * Tests for the data-driven level definitions.
+ * These tests verify level file validation, how authored levels
+ * are laid over the procedural waves, and that every file in
+ * levels/ loads.
+ * 
+ * Run with: node test/levels.test.js
+ */
+
+import assert from 'assert';
+import { readFile } from 'fs/promises';
+import { parseLevel, loadLevels } from '../levels.js';
+import { CONFIG, GameSimulation, proceduralWave, waveForLevel } from '../simulation.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+// fetch() stand-in that reads from the repo, or from `files` when given
+function fakeFetch(files = null) {
+    return async path => {
+        let text;
+        try {
+            text = files ? files[path] : await readFile(new URL(`../${path}`, import.meta.url), 'utf8');
+        } catch (e) {
+            text = undefined;
+        }
+        return {
+            ok: text !== undefined,
+            status: text !== undefined ? 200 : 404,
+            json: async () => JSON.parse(text)
+        };
+    };
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+console.log('\n🧪 Running Level Tests\n');
+console.log('================================\n');
+console.log('Validation Tests:\n');
+
+await test('Formation strings become rows of enemy types', () => {
+    const level = parseLevel({ formation: ['OXS', 'S.S'] });
+    assert.deepStrictEqual(level.formation, [
+        ['officer', 'soldier', 'scout'],
+        ['scout', null, 'scout']
+    ]);
+});
+
+await test('Only fields present in the file are returned', () => {
+    const level = parseLevel({ movement: { pattern: 'sway' } });
+    assert.deepStrictEqual(level, { movement: { pattern: 'sway' } });
+});
+
+await test('Bunker shape defaults to classic', () => {
+    const level = parseLevel({ bunkers: { count: 2 } });
+    assert.deepStrictEqual(level.bunkers, { count: 2, shape: 'classic' });
+});
+
+await test('Errors name the file and the problem', () => {
+    assert.throws(() => parseLevel({ formation: ['OQO'] }, '07-bad.json'),
+        /^Error: 07-bad\.json: unknown formation character "Q"$/);
+});
+
+await test('Invalid definitions are rejected', () => {
+    const bad = [
+        [],
+        { name: 3 },
+        { boss: 'yes' },
+        { formation: [] },
+        { formation: ['...'] },
+        { formation: ['S'.repeat(11)] },
+        { movement: { pattern: 'zigzag' } },
+        { movement: { speed: 0 } },
+        { movement: { drop: -1 } },
+        { fireRate: -0.1 },
+        { dive: { rate: -1 } },
+        { dive: { aim: 1.5 } },
+        { powerUps: { chance: 1.5 } },
+        { powerUps: { weights: { nuke: 10 } } },
+        { powerUps: { weights: { bomb: 0 } } },
+        { bunkers: { count: 1.5 } },
+        { bunkers: { count: 7 } },
+        { bunkers: { count: 2, shape: 'dome' } }
+    ];
+    for (const data of bad) {
+        assert.throws(() => parseLevel(data), Error, JSON.stringify(data));
+    }
+});
+
+// ============================================
+// Wave Tests
+// ============================================
+
+console.log('\nWave Tests:\n');
+
+await test('Levels past the authored list are procedural', () => {
+    const authored = [parseLevel({ name: 'Only', formation: ['S'] })];
+    assert.deepStrictEqual(waveForLevel(2, authored), proceduralWave(2));
+    assert.deepStrictEqual(waveForLevel(1, []), proceduralWave(1));
+});
+
+await test('Authored fields replace procedural ones', () => {
+    const authored = [parseLevel({ name: 'Sway', formation: ['SS'], movement: { pattern: 'sway' } })];
+    const wave = waveForLevel(1, authored);
+    assert.strictEqual(wave.name, 'Sway');
+    assert.deepStrictEqual(wave.formation, [['scout', 'scout']]);
+    assert.strictEqual(wave.movement.pattern, 'sway');
+    // Movement fields the level leaves out keep their procedural values
+    assert.strictEqual(wave.movement.drop, CONFIG.enemy.dropDistance);
+    assert.strictEqual(wave.fireRate, proceduralWave(1).fireRate);
+});
+
+await test('Authored dive settings keep the procedural ones they leave out', () => {
+    const authored = [parseLevel({ dive: { rate: 0 } })];
+    const wave = waveForLevel(1, authored);
+    assert.strictEqual(wave.dive.rate, 0);
+    assert.strictEqual(wave.dive.aim, proceduralWave(1).dive.aim);
+});
+
+await test('Simulation builds the authored formation', () => {
+    const sim = new GameSimulation(1);
+    sim.setLevels([parseLevel({ formation: ['O.O', '.S.'], bunkers: { count: 0 } })]);
+    sim.reset();
+    assert.deepStrictEqual(sim.enemies.map(e => e.type), ['officer', 'officer', 'scout']);
+    assert.strictEqual(sim.bunkers.length, 0);
+});
+
+// ============================================
+// Loading Tests
+// ============================================
+
+console.log('\nLoading Tests:\n');
+
+await test('Every authored level file loads', async () => {
+    const index = JSON.parse(await readFile(new URL('../levels/index.json', import.meta.url), 'utf8'));
+    const levels = await loadLevels(fakeFetch());
+    assert.strictEqual(levels.length, index.levels.length);
+    assert.ok(levels.length > 0);
+});
+
+await test('Authored boss level matches the boss cadence', async () => {
+    const levels = await loadLevels(fakeFetch());
+    levels.forEach((level, i) => {
+        if (level.boss !== undefined) {
+            assert.strictEqual(level.boss, (i + 1) % CONFIG.boss.every === 0, `level ${i + 1}`);
+        }
+    });
+});
+
+await test('Missing level file rejects with its name', async () => {
+    const fetchFile = fakeFetch({ 'levels/index.json': '{"levels": ["gone.json"]}' });
+    await assert.rejects(loadLevels(fetchFile), /gone\.json: HTTP 404/);
+});
+
+await test('Malformed index rejects', async () => {
+    const fetchFile = fakeFetch({ 'levels/index.json': '{"levels": "01.json"}' });
+    await assert.rejects(loadLevels(fetchFile), /index\.json/);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
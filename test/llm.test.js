@@ -11,6 +11,7 @@
  */
 
 import assert from 'assert';
+import { LLMManager, FALLBACK_RESPONSES as GAME_FALLBACKS } from '../llm.js';
 
 // ============================================
 // Prompt Cache Tests (Unit Tests)
@@ -255,6 +256,123 @@ test('Configuration has retry settings', () => {
     assert.ok(LLM_CONFIG.maxRetries >= 0 && LLM_CONFIG.maxRetries <= 5);
 });
 
+// ============================================
+// Generator Tests
+// ============================================
+
+console.log('\nGenerator Tests:\n');
+
+async function testAsync(name, fn) {
+    try {
+        await fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+/**
+ * A manager that answers every prompt with `reply` (null as if
+ * offline) and keeps the prompts it was sent
+ */
+function scriptedManager(reply) {
+    const manager = new LLMManager();
+    manager.prompts = [];
+    manager.sendPrompt = async (systemPrompt, userPrompt, options) => {
+        manager.prompts.push({ systemPrompt, userPrompt, options });
+        return reply;
+    };
+    return manager;
+}
+
+const MODIFIERS = [
+    { name: 'MISSILES ONLY', description: 'Your ship fires nothing but homing missiles' },
+    { name: 'ONE LIFE', description: 'A single ship and no spares to start with' },
+    { name: 'NO COVER', description: 'No bunkers to hide behind' }
+];
+
+await testAsync('Offline manager falls back without sending anything', async () => {
+    const manager = new LLMManager();
+    assert.strictEqual(await manager.sendPrompt('system', 'user'), null);
+    assert.ok(GAME_FALLBACKS.mothershipCallouts.includes(await manager.generateMothershipCallout(1)));
+});
+
+await testAsync('Mothership callout falls back to a callout', async () => {
+    const manager = scriptedManager(null);
+    const callout = await manager.generateMothershipCallout(3);
+    assert.ok(GAME_FALLBACKS.mothershipCallouts.includes(callout));
+    assert.ok(manager.prompts[0].systemPrompt.includes('mothership'));
+    assert.ok(manager.prompts[0].userPrompt.includes('level 3'));
+});
+
+await testAsync('Boss intro prompts with the level and falls back to an intro', async () => {
+    const manager = scriptedManager(null);
+    const intro = await manager.generateBossIntro(10);
+    assert.ok(GAME_FALLBACKS.bossIntros.includes(intro));
+    assert.ok(manager.prompts[0].systemPrompt.includes('boss'));
+    assert.ok(manager.prompts[0].userPrompt.includes('level 10'));
+});
+
+await testAsync('Shield hints describe the bubble', async () => {
+    const manager = scriptedManager(null);
+    const hint = await manager.generatePowerUpHint('shield');
+    assert.ok(GAME_FALLBACKS.shieldHints.includes(hint));
+    assert.ok(manager.prompts[0].userPrompt.includes('bubble'));
+    
+    assert.ok(GAME_FALLBACKS.powerUpHints.includes(await manager.generatePowerUpHint('laser')));
+});
+
+await testAsync('Mode briefings fall back per mode', async () => {
+    const manager = scriptedManager(null);
+    const endless = await manager.generateModeBriefing('endless');
+    const timeAttack = await manager.generateModeBriefing('timeAttack');
+    assert.ok(GAME_FALLBACKS.modeBriefings.endless.includes(endless));
+    assert.ok(GAME_FALLBACKS.modeBriefings.timeAttack.includes(timeAttack));
+    assert.ok(manager.prompts[0].userPrompt.startsWith('Endless mode'));
+    assert.ok(manager.prompts[1].userPrompt.startsWith('Time Attack mode'));
+});
+
+await testAsync('Challenge briefing prompt lists every modifier', async () => {
+    const manager = scriptedManager('Good luck out there.');
+    const briefing = await manager.generateChallengeBriefing('2026-10-19', MODIFIERS);
+    assert.strictEqual(briefing, 'Good luck out there.');
+    
+    const { userPrompt } = manager.prompts[0];
+    assert.ok(userPrompt.includes('2026-10-19'));
+    for (const modifier of MODIFIERS) {
+        assert.ok(userPrompt.includes(`${modifier.name} (${modifier.description})`));
+    }
+});
+
+await testAsync('Challenge briefing fallback names the modifiers', async () => {
+    const manager = scriptedManager(null);
+    const three = await manager.generateChallengeBriefing('2026-10-19', MODIFIERS);
+    assert.ok(three.includes('missiles only, one life and no cover'));
+    assert.ok(!three.includes('{modifiers}'));
+    
+    const two = await manager.generateChallengeBriefing('2026-10-20', MODIFIERS.slice(0, 2));
+    assert.ok(two.includes('missiles only and one life'));
+});
+
+await testAsync('Generated lines are cached per context', async () => {
+    const manager = scriptedManager('Hold the line!');
+    await manager.generateMothershipCallout(2);
+    await manager.generateMothershipCallout(2);
+    await manager.generateBossIntro(5);
+    await manager.generateBossIntro(5);
+    await manager.generateModeBriefing('endless');
+    await manager.generateModeBriefing('endless');
+    await manager.generateChallengeBriefing('2026-10-19', MODIFIERS);
+    await manager.generateChallengeBriefing('2026-10-19', MODIFIERS);
+    await manager.generateChallengeBriefing('2026-10-20', MODIFIERS);
+    assert.strictEqual(manager.prompts.length, 5);
+});
+
 // ============================================
 // Summary
 // ============================================
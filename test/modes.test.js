@@ -0,0 +1,257 @@
+/**
+ * ===========================================
+ * Game Mode Tests
+ * ===========================================
+ *
+ * Tests for the Endless and Time Attack modes.
+ * These tests verify the Endless row stream and
+ * ramp, and the Time Attack clock.
+ *
+ * Run with: node test/modes.test.js
+ */
+
+import assert from 'assert';
+import { GameSimulation, CONFIG, TICK } from '../simulation.js';
+import { DEFAULT_MODE, GAME_MODES } from '../modes.js';
+import { buildSimulation } from './helpers.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+const endless = CONFIG.modes.endless;
+const SPACING_X = CONFIG.enemy.width + CONFIG.enemy.padding;
+const SPACING_Y = CONFIG.enemy.height + CONFIG.enemy.padding;
+
+/**
+ * A fresh run in a mode, with a ship that can't be hit and nothing
+ * in the way, so only the mode decides how it ends
+ */
+function runIn(mode) {
+    const sim = buildSimulation({ mode });
+    sim.player.invincible = Infinity;
+    sim.bunkers = [];
+    return sim;
+}
+
+function stepFor(sim, seconds) {
+    const ticks = Math.round(seconds / TICK);
+    for (let i = 0; i < ticks && sim.status === 'playing'; i++) sim.step(TICK);
+}
+
+function eventsOf(sim, type) {
+    return sim.drainEvents().filter(e => e.type === type);
+}
+
+// ============================================
+// Mode Tests
+// ============================================
+
+console.log('\n🧪 Running Game Mode Tests\n');
+console.log('================================\n');
+console.log('Mode Tests:\n');
+
+test('Waves is the default mode', () => {
+    assert.strictEqual(DEFAULT_MODE, 'waves');
+    assert.strictEqual(new GameSimulation(1).mode, 'waves');
+    assert.deepStrictEqual(Object.keys(GAME_MODES), ['waves', 'endless', 'timeAttack']);
+});
+
+test('Unknown modes are rejected', () => {
+    assert.throws(() => new GameSimulation(1).setMode('zen'), /Unknown game mode "zen"/);
+});
+
+test('Mode applies from the next reset', () => {
+    const sim = new GameSimulation(1);
+    sim.setMode('timeAttack');
+    assert.strictEqual(sim.clockTimer, null);
+    sim.reset(1);
+    assert.notStrictEqual(sim.clockTimer, null);
+});
+
+test('Waves runs have no mode timers', () => {
+    const sim = runIn('waves');
+    assert.strictEqual(sim.streamTimer, null);
+    assert.strictEqual(sim.rampTimer, null);
+    assert.strictEqual(sim.clockTimer, null);
+});
+
+// ============================================
+// Endless Tests
+// ============================================
+
+console.log('\nEndless Tests:\n');
+
+test('Endless ignores authored levels', () => {
+    const sim = new GameSimulation();
+    sim.setLevels([{ name: 'Chevron', formation: ['S'] }]);
+    sim.setMode('endless');
+    sim.reset(1);
+    assert.strictEqual(sim.wave.name, null);
+    assert.strictEqual(sim.enemies.length, CONFIG.enemy.rows * CONFIG.enemy.cols);
+});
+
+test('New rows stream in at the top and push the formation down', () => {
+    const sim = runIn('endless');
+    sim.wave.dive.rate = 0;
+    const count = sim.enemies.length;
+    const first = sim.enemies[0];
+    const before = first.y;
+    
+    stepFor(sim, endless.rowInterval);
+    assert.deepStrictEqual(eventsOf(sim, 'rowStreamed').length, 1);
+    assert.strictEqual(sim.enemies.length, count + CONFIG.enemy.cols);
+    assert.ok(first.y >= before + SPACING_Y);
+    
+    const row = sim.enemies.slice(-CONFIG.enemy.cols);
+    assert.ok(row.every(e => e.y === CONFIG.enemy.startY));
+    assert.ok(row.every(e => e.type === row[0].type));
+});
+
+test('New rows line up with the formation columns', () => {
+    const sim = runIn('endless');
+    sim.wave.dive.rate = 0;
+    stepFor(sim, endless.rowInterval);
+    
+    const offset = sim.enemies[0].x;
+    for (const enemy of sim.enemies) {
+        const cols = (enemy.x - offset) / SPACING_X;
+        assert.ok(Math.abs(cols - Math.round(cols)) < 1e-6);
+        assert.ok(enemy.x >= 0 && enemy.x + enemy.width <= CONFIG.canvas.width);
+    }
+});
+
+test('Clearing the field brings the next row at once', () => {
+    const sim = runIn('endless');
+    for (const enemy of sim.enemies) enemy.alive = false;
+    sim.step(TICK);
+    
+    assert.strictEqual(sim.status, 'playing');
+    assert.strictEqual(sim.enemies.length, CONFIG.enemy.cols);
+    assert.ok(sim.enemies.every(e => e.alive));
+});
+
+test('Endless ramps up with time survived', () => {
+    const sim = runIn('endless');
+    const { fireRate, movement } = sim.wave;
+    
+    // Hold the formation still so it isn't down on the ship first
+    sim.wave.movement = { ...movement, speed: 0 };
+    sim.wave.dive.rate = 0;
+    stepFor(sim, endless.rampInterval);
+    const ramps = eventsOf(sim, 'endlessRamp');
+    assert.deepStrictEqual(ramps.map(e => e.level), [2]);
+    assert.strictEqual(sim.level, 2);
+    assert.ok(sim.wave.fireRate > fireRate);
+    assert.ok(sim.wave.movement.speed > movement.speed);
+});
+
+test('Rows come in more often as it ramps', () => {
+    const sim = runIn('endless');
+    sim.level = 5;
+    sim.scheduleStream();
+    const interval = endless.rowInterval - 4 * endless.rowIntervalStep;
+    
+    stepFor(sim, interval - TICK);
+    assert.strictEqual(eventsOf(sim, 'rowStreamed').length, 0);
+    stepFor(sim, TICK);
+    assert.strictEqual(eventsOf(sim, 'rowStreamed').length, 1);
+});
+
+test('Rows wait while the next ship is on its way', () => {
+    const sim = runIn('endless');
+    sim.player.alive = false;
+    const count = sim.enemies.length;
+    sim.streamRow();
+    assert.strictEqual(sim.enemies.length, count);
+    
+    sim.player.alive = true;
+    stepFor(sim, CONFIG.player.respawnDelay);
+    assert.strictEqual(sim.enemies.length, count + CONFIG.enemy.cols);
+});
+
+test('Endless tracks the time survived', () => {
+    const sim = runIn('endless');
+    stepFor(sim, 2);
+    assert.ok(Math.abs(sim.playTime - 2) < 1e-6);
+});
+
+// ============================================
+// Time Attack Tests
+// ============================================
+
+console.log('\nTime Attack Tests:\n');
+
+test('The clock counts down with play', () => {
+    const sim = runIn('timeAttack');
+    assert.strictEqual(sim.timeLeft, CONFIG.modes.timeAttack.duration);
+    stepFor(sim, 10);
+    assert.ok(Math.abs(sim.timeLeft - (CONFIG.modes.timeAttack.duration - 10)) < 1e-6);
+});
+
+test("The run ends when time's up", () => {
+    const sim = runIn('timeAttack');
+    sim.wave.movement.speed = 0;
+    sim.wave.dive.rate = 0;
+    
+    stepFor(sim, CONFIG.modes.timeAttack.duration - 1);
+    assert.strictEqual(sim.status, 'playing');
+    stepFor(sim, 2);
+    const [end] = eventsOf(sim, 'gameOver');
+    assert.strictEqual(sim.status, 'gameOver');
+    assert.strictEqual(end.reason, 'timeUp');
+    assert.strictEqual(sim.timeLeft, 0);
+});
+
+test('Waves cleared are counted and the clock keeps running', () => {
+    const sim = runIn('timeAttack');
+    for (const enemy of sim.enemies) enemy.alive = false;
+    sim.step(TICK);
+    assert.strictEqual(sim.status, 'levelComplete');
+    assert.strictEqual(sim.wavesCleared, 1);
+    
+    const left = sim.timeLeft;
+    sim.startNextLevel();
+    stepFor(sim, 1);
+    assert.ok(Math.abs(sim.timeLeft - (left - 1)) < 1e-6);
+    assert.notStrictEqual(sim.clockTimer, null);
+});
+
+test('Defeat is reported as such', () => {
+    const sim = runIn('timeAttack');
+    sim.player.invincible = 0;
+    sim.lives = 1;
+    sim.playerHit();
+    assert.strictEqual(eventsOf(sim, 'gameOver')[0].reason, 'defeat');
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
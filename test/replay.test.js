@@ -0,0 +1,295 @@
+/**
+ * ===========================================
+ * Replay Module Tests
+ * ===========================================
+ * 
+ * Tests for input recording and replay playback.
+ * These tests verify run-length encoding, file
+ * validation and that playback reproduces a live run.
+ * 
+ * Run with: node test/replay.test.js
+ */
+
+import assert from 'assert';
+import { GameSimulation, TICK } from '../simulation.js';
+import {
+    INPUT_BITS,
+    InputRecorder,
+    ReplayPlayer,
+    encodeInput,
+    applyInput,
+    serializeReplay,
+    parseReplay
+} from '../replay.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+/**
+ * Play a scripted run while recording it, as the browser loop does.
+ * `rules` picks the run's difficulty, adaptive setting and mode.
+ */
+function recordRun(seed, ticks = 900, rules = {}) {
+    const { difficulty = 'normal', adaptive = false, mode = 'waves', modifiers = [] } = rules;
+    const sim = new GameSimulation();
+    sim.setDifficulty(difficulty);
+    sim.setAdaptive(adaptive);
+    sim.setMode(mode);
+    sim.setModifiers(modifiers);
+    sim.reset(seed);
+    const recorder = new InputRecorder(seed, difficulty, adaptive, mode, modifiers);
+    for (let i = 0; i < ticks && sim.status === 'playing'; i++) {
+        sim.input.left = i % 150 < 70;
+        sim.input.right = i % 150 >= 80;
+        if (i === 200) recorder.markPause();
+        if (i % 40 === 0) sim.fire();
+        recorder.record(sim.input);
+        sim.step(TICK);
+    }
+    return { sim, replay: recorder.toReplay({ score: sim.score, level: sim.level }) };
+}
+
+function snapshot(sim) {
+    return {
+        score: sim.score,
+        lives: sim.lives,
+        player: [sim.player.x, sim.player.y],
+        enemies: sim.enemies.filter(e => e.alive).map(e => [e.x, e.y]),
+        enemyShots: sim.enemyProjectiles.map(p => [p.x, p.y])
+    };
+}
+
+// ============================================
+// Input Encoding Tests
+// ============================================
+
+console.log('\n🧪 Running Replay Module Tests\n');
+console.log('================================\n');
+console.log('Input Encoding Tests:\n');
+
+test('Input bits round-trip through a mask', () => {
+    const mask = encodeInput({ left: true, right: false, fire: true, cycle: true });
+    assert.strictEqual(mask, INPUT_BITS.left | INPUT_BITS.fire | INPUT_BITS.cycle);
+    
+    const input = { left: false, right: true, fire: false, cycle: false };
+    applyInput(input, mask);
+    assert.deepStrictEqual(input, { left: true, right: false, fire: true, cycle: true });
+});
+
+test('Recorder run-length encodes repeated input', () => {
+    const recorder = new InputRecorder(1);
+    for (let i = 0; i < 5; i++) recorder.record({ left: true, right: false, fire: false });
+    for (let i = 0; i < 3; i++) recorder.record({ left: false, right: false, fire: false });
+    recorder.record({ left: true, right: false, fire: false });
+    
+    const replay = recorder.toReplay({ score: 0, level: 1 });
+    assert.deepStrictEqual(replay.inputs, [[INPUT_BITS.left, 5], [0, 3], [INPUT_BITS.left, 1]]);
+    assert.strictEqual(replay.ticks, 9);
+});
+
+test('Pause is stored on the next recorded tick only', () => {
+    const recorder = new InputRecorder(1);
+    const idle = { left: false, right: false, fire: false };
+    recorder.record(idle);
+    recorder.markPause();
+    recorder.record(idle);
+    recorder.record(idle);
+    
+    const replay = recorder.toReplay({ score: 0, level: 1 });
+    assert.deepStrictEqual(replay.inputs, [[0, 1], [INPUT_BITS.pause, 1], [0, 1]]);
+});
+
+// ============================================
+// Serialization Tests
+// ============================================
+
+console.log('\nSerialization Tests:\n');
+
+test('Replay survives serialize and parse', () => {
+    const { replay } = recordRun(0x1234);
+    assert.deepStrictEqual(parseReplay(serializeReplay(replay)), replay);
+});
+
+test('Rejects files that are not replays', () => {
+    assert.throws(() => parseReplay('not json'), /not valid JSON/);
+    assert.throws(() => parseReplay('{"format":"other"}'), /Not a Space Invaders replay/);
+});
+
+test('Rejects unsupported versions and tick rates', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: 99 })), /version/);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, tickRate: 30 })), /30 ticks/);
+});
+
+test('Rejects corrupt seeds and input data', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, seed: -1 })), /seed/);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, inputs: [[1, 0]] })), /corrupt/);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, ticks: replay.ticks + 1 })), /tick count/);
+});
+
+test('Rejects unknown difficulty presets', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, difficulty: 'insane' })), /unknown difficulty/);
+});
+
+test('Rejects version 1 replays and replays missing run settings', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: 1 })), /version 1/);
+    for (const field of ['difficulty', 'adaptive', 'mode', 'modifiers']) {
+        const partial = { ...replay };
+        delete partial[field];
+        assert.throws(() => parseReplay(JSON.stringify(partial)), /Replay has/);
+    }
+});
+
+test('Rejects invalid adaptive settings and unknown modes', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, adaptive: 'yes' })), /adaptive/);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, mode: 'zen' })), /unknown game mode/);
+});
+
+test('Rejects unknown challenge modifiers', () => {
+    const { replay } = recordRun(0x1234, 60);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, modifiers: 'oneLife' })), /invalid challenge modifiers/);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, modifiers: ['oneLife', 'godMode'] })),
+        /unknown challenge modifier "godMode"/);
+});
+
+// ============================================
+// Playback Tests
+// ============================================
+
+console.log('\nPlayback Tests:\n');
+
+test('Playback reproduces the recorded run', () => {
+    const { sim: live, replay } = recordRun(0xC0FFEE);
+    const player = new ReplayPlayer(replay);
+    while (!player.finished) player.stepTick();
+    
+    assert.deepStrictEqual(snapshot(player.sim), snapshot(live));
+    assert.ok(player.verify());
+});
+
+test('Playback uses the recorded difficulty preset', () => {
+    const { sim: live, replay } = recordRun(0xC0FFEE, 900, { difficulty: 'veteran' });
+    assert.strictEqual(replay.difficulty, 'veteran');
+    
+    const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+    assert.strictEqual(player.sim.difficulty, 'veteran');
+    while (!player.finished) player.stepTick();
+    
+    assert.deepStrictEqual(snapshot(player.sim), snapshot(live));
+    assert.ok(player.verify());
+});
+
+test('Playback reproduces adaptive runs', () => {
+    const { sim: live, replay } = recordRun(0xC0FFEE, 1500, { adaptive: true });
+    assert.strictEqual(replay.adaptive, true);
+    assert.notStrictEqual(live.director.fireRate, 1);
+    
+    const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+    while (!player.finished) player.stepTick();
+    
+    assert.strictEqual(player.sim.director.fireRate, live.director.fireRate);
+    assert.deepStrictEqual(snapshot(player.sim), snapshot(live));
+    assert.ok(player.verify());
+});
+
+test('Playback reproduces Endless and Time Attack runs', () => {
+    for (const mode of ['endless', 'timeAttack']) {
+        const { sim: live, replay } = recordRun(0xC0FFEE, 1200, { mode });
+        assert.strictEqual(replay.mode, mode);
+        
+        const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+        while (!player.finished) player.stepTick();
+        
+        assert.strictEqual(player.sim.mode, mode);
+        assert.strictEqual(player.sim.playTime, live.playTime);
+        assert.deepStrictEqual(snapshot(player.sim), snapshot(live));
+        assert.ok(player.verify());
+    }
+});
+
+test('Playback reproduces daily challenge runs', () => {
+    const modifiers = ['missilesOnly', 'doubleSpeed', 'noCover'];
+    const { sim: live, replay } = recordRun(0xC0FFEE, 1200, { modifiers });
+    assert.deepStrictEqual(replay.modifiers, modifiers);
+    
+    const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+    while (!player.finished) player.stepTick();
+    
+    assert.deepStrictEqual(player.sim.modifiers, modifiers);
+    assert.deepStrictEqual(snapshot(player.sim), snapshot(live));
+    assert.ok(player.verify());
+});
+
+test('Playback reports recorded pauses', () => {
+    const { replay } = recordRun(0xC0FFEE, 300);
+    const player = new ReplayPlayer(replay);
+    const paused = [];
+    while (!player.finished) {
+        const tick = player.tick;
+        if (player.stepTick() & INPUT_BITS.pause) paused.push(tick);
+    }
+    assert.deepStrictEqual(paused, [200]);
+});
+
+test('Seeking backwards matches playing forwards', () => {
+    const { replay } = recordRun(0xBEEF);
+    const forward = new ReplayPlayer(replay);
+    forward.seek(400);
+    
+    const rewound = new ReplayPlayer(replay);
+    rewound.seek(700);
+    rewound.seek(400);
+    
+    assert.strictEqual(rewound.tick, 400);
+    assert.deepStrictEqual(snapshot(rewound.sim), snapshot(forward.sim));
+});
+
+test('Seeking drains the skipped events', () => {
+    const { replay } = recordRun(0xBEEF);
+    const player = new ReplayPlayer(replay);
+    player.seek(300);
+    assert.deepStrictEqual(player.sim.drainEvents(), []);
+});
+
+test('Verification fails when the outcome was tampered with', () => {
+    const { replay } = recordRun(0xC0FFEE);
+    const player = new ReplayPlayer({ ...replay, final: { ...replay.final, score: replay.final.score + 10 } });
+    player.seek(player.length);
+    assert.strictEqual(player.verify(), false);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,163 @@
+/**
+ * ===========================================
+ * Scheduler Module Tests
+ * ===========================================
+ * 
+ * Tests for the game clock scheduler.
+ * These tests verify that timers fire on game time,
+ * in order, and can be cancelled or cleared.
+ * 
+ * Run with: node test/scheduler.test.js
+ */
+
+import assert from 'assert';
+import { Scheduler } from '../scheduler.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+const TICK = 1 / 60;
+
+// ============================================
+// Timer Tests
+// ============================================
+
+console.log('\n🧪 Running Scheduler Module Tests\n');
+console.log('================================\n');
+console.log('Timer Tests:\n');
+
+test('Timer fires once its delay has elapsed', () => {
+    const scheduler = new Scheduler();
+    let fired = 0;
+    scheduler.after(0.5, () => fired++);
+    
+    for (let i = 0; i < 29; i++) scheduler.update(TICK);
+    assert.strictEqual(fired, 0);
+    scheduler.update(TICK);
+    assert.strictEqual(fired, 1);
+    
+    scheduler.update(1);
+    assert.strictEqual(fired, 1);
+});
+
+test('Timers fire earliest first within one update', () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    scheduler.after(0.3, () => order.push('b'));
+    scheduler.after(0.1, () => order.push('a'));
+    scheduler.after(0.3, () => order.push('c'));
+    scheduler.update(1);
+    assert.deepStrictEqual(order, ['a', 'b', 'c']);
+});
+
+test('Time only advances through update', () => {
+    const scheduler = new Scheduler();
+    let fired = false;
+    scheduler.after(0, () => { fired = true; });
+    assert.strictEqual(fired, false);
+    scheduler.update(0);
+    assert.strictEqual(fired, true);
+});
+
+test('Callbacks can schedule new timers', () => {
+    const scheduler = new Scheduler();
+    let count = 0;
+    const tick = () => {
+        count++;
+        if (count < 3) scheduler.after(0.1, tick);
+    };
+    scheduler.after(0.1, tick);
+    for (let i = 0; i < 30; i++) scheduler.update(TICK);
+    assert.strictEqual(count, 3);
+    assert.strictEqual(scheduler.pending, 0);
+});
+
+test('Timers scheduled by a callback wait for the next update', () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    scheduler.after(0.1, () => {
+        order.push('a');
+        scheduler.after(0, () => order.push('b'));
+    });
+    scheduler.update(1);
+    assert.deepStrictEqual(order, ['a']);
+    scheduler.update(0);
+    assert.deepStrictEqual(order, ['a', 'b']);
+});
+
+// ============================================
+// Cancellation Tests
+// ============================================
+
+console.log('\nCancellation Tests:\n');
+
+test('Cancelled timer never fires', () => {
+    const scheduler = new Scheduler();
+    let fired = false;
+    const id = scheduler.after(0.1, () => { fired = true; });
+    scheduler.cancel(id);
+    scheduler.update(1);
+    assert.strictEqual(fired, false);
+});
+
+test('Cancelling keeps the other timers in order', () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    scheduler.after(0.2, () => order.push('b'));
+    const id = scheduler.after(0.1, () => order.push('x'));
+    scheduler.after(0.1, () => order.push('a'));
+    scheduler.cancel(id);
+    scheduler.update(1);
+    assert.deepStrictEqual(order, ['a', 'b']);
+});
+
+test('Cancelling an unknown id is ignored', () => {
+    const scheduler = new Scheduler();
+    scheduler.after(0.1, () => {});
+    scheduler.cancel(999);
+    scheduler.cancel(null);
+    assert.strictEqual(scheduler.pending, 1);
+});
+
+test('Clear drops all timers and restarts the clock', () => {
+    const scheduler = new Scheduler();
+    let fired = false;
+    scheduler.after(0.1, () => { fired = true; });
+    scheduler.update(0.05);
+    scheduler.clear();
+    scheduler.update(1);
+    assert.strictEqual(fired, false);
+    assert.strictEqual(scheduler.time, 1);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,188 @@
+/**
+ * ===========================================
+ * Screen Flow Tests
+ * ===========================================
+ * 
+ * Tests for the screen state machine.
+ * These tests verify guarded transitions, hook order
+ * and the game's screen flow table.
+ * 
+ * Run with: node test/screens.test.js
+ */
+
+import assert from 'assert';
+import { StateMachine, GAME_SCREENS } from '../screens.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+/**
+ * Walk the game flow through the given screens, failing on any refusal
+ */
+function walk(...screens) {
+    const flow = new StateMachine('title', GAME_SCREENS);
+    for (const screen of screens) {
+        assert.ok(flow.transition(screen), `${flow.state} -> ${screen} refused`);
+    }
+    return flow;
+}
+
+// ============================================
+// State Machine Tests
+// ============================================
+
+console.log('\n🧪 Running Screen Flow Tests\n');
+console.log('================================\n');
+console.log('State Machine Tests:\n');
+
+const LIGHTS = {
+    red: ['green'],
+    green: ['amber'],
+    amber: ['red']
+};
+
+test('Starts in the initial state', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    assert.strictEqual(machine.state, 'red');
+    assert.ok(machine.is('red'));
+    assert.ok(machine.is('amber', 'red'));
+    assert.ok(!machine.is('green'));
+});
+
+test('Allowed transitions change state', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    assert.strictEqual(machine.transition('green'), true);
+    assert.strictEqual(machine.state, 'green');
+});
+
+test('Refused transitions change nothing and run no hooks', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    let hooks = 0;
+    machine.onExit('red', () => hooks++);
+    machine.onEnter('amber', () => hooks++);
+    machine.onChange(() => hooks++);
+    
+    assert.strictEqual(machine.can('amber'), false);
+    assert.strictEqual(machine.transition('amber'), false);
+    assert.strictEqual(machine.state, 'red');
+    assert.strictEqual(hooks, 0);
+});
+
+test('Unknown states throw', () => {
+    assert.throws(() => new StateMachine('blue', LIGHTS), /Unknown state: blue/);
+    const machine = new StateMachine('red', LIGHTS);
+    assert.throws(() => machine.transition('blue'), /Unknown state: blue/);
+    assert.throws(() => machine.onEnter('blue', () => {}), /Unknown state: blue/);
+});
+
+test('Hooks run exit, change, then enter', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    const calls = [];
+    machine.onExit('red', ({ from, to }) => calls.push(`exit ${from}->${to}`));
+    machine.onChange(({ from, to }) => calls.push(`change ${from}->${to}`));
+    machine.onEnter('green', ({ from, to }) => calls.push(`enter ${from}->${to}`));
+    machine.transition('green');
+    assert.deepStrictEqual(calls, ['exit red->green', 'change red->green', 'enter red->green']);
+});
+
+test('Hooks receive transition data', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    let received = null;
+    machine.onEnter('green', ({ data }) => { received = data; });
+    machine.transition('green', { reason: 'timer' });
+    assert.deepStrictEqual(received, { reason: 'timer' });
+});
+
+test('Enter hooks can chain another transition', () => {
+    const machine = new StateMachine('red', LIGHTS);
+    const entered = [];
+    machine.onEnter('green', () => { entered.push('green'); machine.transition('amber'); });
+    machine.onEnter('amber', () => entered.push('amber'));
+    machine.transition('green');
+    assert.strictEqual(machine.state, 'amber');
+    assert.deepStrictEqual(entered, ['green', 'amber']);
+});
+
+// ============================================
+// Game Flow Tests
+// ============================================
+
+console.log('\nGame Flow Tests:\n');
+
+test('Every target in the flow table is a screen', () => {
+    for (const targets of Object.values(GAME_SCREENS)) {
+        targets.forEach(target => assert.ok(target in GAME_SCREENS, target));
+    }
+});
+
+test('A full run goes title to leaderboard', () => {
+    const flow = walk('briefing', 'playing', 'paused', 'playing', 'levelClear',
+        'briefing', 'playing', 'gameOver', 'leaderboard');
+    assert.strictEqual(flow.state, 'leaderboard');
+});
+
+test('Pause only toggles during play', () => {
+    assert.ok(walk('briefing', 'playing').can('paused'));
+    assert.ok(!walk().can('paused'));
+    assert.ok(!walk('briefing').can('paused'));
+    assert.ok(!walk('briefing', 'playing', 'gameOver').can('paused'));
+    assert.ok(!walk('briefing', 'playing', 'levelClear').can('paused'));
+});
+
+test('A run cannot restart mid-game', () => {
+    assert.ok(!walk('briefing', 'playing').can('briefing'));
+    assert.ok(!walk('briefing', 'playing', 'paused').can('briefing'));
+    assert.ok(walk('briefing', 'playing', 'gameOver').can('briefing'));
+});
+
+test('Game over can go back to the title', () => {
+    assert.ok(walk('briefing', 'playing', 'gameOver').can('title'));
+    assert.ok(!walk('briefing', 'playing').can('title'));
+    assert.ok(!walk('briefing', 'playing', 'paused').can('title'));
+});
+
+test('Leaderboard returns to where it was opened', () => {
+    ['title', 'paused', 'gameOver'].forEach(screen => {
+        assert.ok(GAME_SCREENS.leaderboard.includes(screen), screen);
+    });
+    assert.ok(!walk('briefing', 'playing').can('leaderboard'));
+});
+
+test('Replays open from the title and game over screens only', () => {
+    assert.ok(walk().can('replay'));
+    assert.ok(walk('briefing', 'playing', 'gameOver').can('replay'));
+    assert.ok(!walk('briefing', 'playing', 'paused').can('replay'));
+    assert.deepStrictEqual(GAME_SCREENS.replay, ['title']);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,151 @@
+/**
+ * ===========================================
+ * Pool and Spatial Hash Tests
+ * ===========================================
+ * 
+ * Tests for object pooling and the collision broad phase.
+ * These tests verify that pooled objects are recycled,
+ * in-place cleanup keeps order, and grid queries find
+ * every nearby object exactly once.
+ * 
+ * Run with: node test/spatial.test.js
+ */
+
+import assert from 'assert';
+import { Pool, compactActive, releaseAll } from '../pool.js';
+import { SpatialHash } from '../spatial.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+function rect(x, y, width = 10, height = 10) {
+    return { x, y, width, height };
+}
+
+// ============================================
+// Pool Tests
+// ============================================
+
+console.log('\n🧪 Running Pool and Spatial Hash Tests\n');
+console.log('================================\n');
+console.log('Pool Tests:\n');
+
+test('Pool creates only when empty', () => {
+    const pool = new Pool(() => ({}));
+    const a = pool.acquire();
+    pool.release(a);
+    assert.strictEqual(pool.acquire(), a);
+    pool.acquire();
+    assert.strictEqual(pool.created, 2);
+});
+
+test('Compaction keeps active items in order', () => {
+    const items = [1, 2, 3, 4, 5].map(id => ({ id, active: id % 2 === 1 }));
+    const original = items;
+    compactActive(items);
+    assert.strictEqual(items, original);
+    assert.deepStrictEqual(items.map(i => i.id), [1, 3, 5]);
+});
+
+test('Compaction returns inactive items to the pool', () => {
+    const pool = new Pool(() => ({}));
+    const items = [{ active: false }, { active: true }, { active: false }];
+    compactActive(items, pool);
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(pool.available, 2);
+});
+
+test('Release all empties the list into the pool', () => {
+    const pool = new Pool(() => ({}));
+    const items = [{}, {}, {}];
+    releaseAll(items, pool);
+    assert.strictEqual(items.length, 0);
+    assert.strictEqual(pool.available, 3);
+});
+
+// ============================================
+// Spatial Hash Tests
+// ============================================
+
+console.log('\nSpatial Hash Tests:\n');
+
+test('Query finds objects in the same cell', () => {
+    const grid = new SpatialHash(50);
+    const near = rect(10, 10);
+    const far = rect(300, 300);
+    grid.insert(near);
+    grid.insert(far);
+    assert.deepStrictEqual(grid.query(rect(20, 20)), [near]);
+});
+
+test('Objects spanning cells are returned once', () => {
+    const grid = new SpatialHash(50);
+    const wide = rect(40, 40, 30, 30);     // Covers four cells
+    grid.insert(wide);
+    assert.deepStrictEqual(grid.query(rect(30, 30, 50, 50)), [wide]);
+    assert.deepStrictEqual(grid.query(rect(60, 60, 5, 5)), [wide]);
+});
+
+test('Negative coordinates hash to their own cells', () => {
+    const grid = new SpatialHash(50);
+    const offscreen = rect(-40, -40);
+    grid.insert(offscreen);
+    assert.deepStrictEqual(grid.query(rect(-30, -30)), [offscreen]);
+    assert.deepStrictEqual(grid.query(rect(20, 20)), []);
+});
+
+test('Clear empties every cell', () => {
+    const grid = new SpatialHash(50);
+    grid.insert(rect(10, 10));
+    grid.clear();
+    assert.deepStrictEqual(grid.query(rect(10, 10)), []);
+});
+
+test('Query never misses an overlapping object', () => {
+    const grid = new SpatialHash(32);
+    const objects = [];
+    for (let i = 0; i < 200; i++) {
+        const obj = rect((i * 37) % 500, (i * 53) % 400, 5 + i % 40, 5 + i % 25);
+        objects.push(obj);
+        grid.insert(obj);
+    }
+    const probe = rect(120, 90, 60, 45);
+    const overlaps = (a, b) => a.x < b.x + b.width && a.x + a.width > b.x &&
+        a.y < b.y + b.height && a.y + a.height > b.y;
+    const expected = objects.filter(obj => overlaps(probe, obj));
+    const found = grid.query(probe).filter(obj => overlaps(probe, obj));
+    assert.strictEqual(found.length, expected.length);
+    expected.forEach(obj => assert.ok(found.includes(obj)));
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,156 @@
+/**
+ * ===========================================
+ * Sprite Cache Tests
+ * ===========================================
+ * 
+ * Tests for the pre-rendered sprite cache.
+ * These tests verify that each sprite is drawn once,
+ * sized to its bounds and pixel density, and positioned
+ * by its offset.
+ * 
+ * Run with: node test/sprites.test.js
+ */
+
+import assert from 'assert';
+import { SpriteCache } from '../sprites.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+/**
+ * Minimal OffscreenCanvas stand-in that records drawing calls
+ */
+class FakeCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.calls = [];
+    }
+    
+    getContext() {
+        const calls = this.calls;
+        return {
+            scale: (x, y) => calls.push(['scale', x, y]),
+            translate: (x, y) => calls.push(['translate', x, y]),
+            fillRect: (x, y, w, h) => calls.push(['fillRect', x, y, w, h])
+        };
+    }
+}
+
+globalThis.OffscreenCanvas = FakeCanvas;
+
+// ============================================
+// Sprite Cache Tests
+// ============================================
+
+console.log('\n🧪 Running Sprite Cache Tests\n');
+console.log('================================\n');
+
+test('Sprite is drawn once and then reused', () => {
+    const cache = new SpriteCache();
+    let draws = 0;
+    const bounds = { x: 0, y: 0, width: 10, height: 10 };
+    const first = cache.get('ship', bounds, () => draws++);
+    const second = cache.get('ship', bounds, () => draws++);
+    assert.strictEqual(first, second);
+    assert.strictEqual(draws, 1);
+    assert.strictEqual(cache.size, 1);
+});
+
+test('Uncached renders are not stored', () => {
+    const cache = new SpriteCache();
+    const bounds = { x: 0, y: 0, width: 10, height: 10 };
+    const first = cache.render(bounds, () => {});
+    const second = cache.render(bounds, () => {});
+    assert.notStrictEqual(first.canvas, second.canvas);
+    assert.strictEqual(cache.size, 0);
+});
+
+test('Different keys get their own canvas', () => {
+    const cache = new SpriteCache();
+    const bounds = { x: 0, y: 0, width: 10, height: 10 };
+    const red = cache.get('enemy:0:red', bounds, () => {});
+    const green = cache.get('enemy:0:green', bounds, () => {});
+    assert.notStrictEqual(red.canvas, green.canvas);
+});
+
+test('Canvas covers the bounds, rounded up', () => {
+    const cache = new SpriteCache();
+    const sprite = cache.get('shot', { x: -20, y: -20, width: 44.5, height: 55 }, () => {});
+    assert.strictEqual(sprite.canvas.width, 45);
+    assert.strictEqual(sprite.canvas.height, 55);
+});
+
+test('Drawing happens in entity coordinates', () => {
+    const cache = new SpriteCache();
+    const sprite = cache.get('enemy', { x: -2, y: -5, width: 45, height: 40 }, ctx => {
+        ctx.fillRect(-2, -5, 4, 4);
+    });
+    assert.deepStrictEqual(sprite.canvas.calls, [
+        ['scale', 1, 1], ['translate', 2, 5], ['fillRect', -2, -5, 4, 4]
+    ]);
+    assert.strictEqual(sprite.x, -2);
+    assert.strictEqual(sprite.y, -5);
+});
+
+test('Sprites render at the display pixel density', () => {
+    const cache = new SpriteCache();
+    cache.setScale(2);
+    const sprite = cache.get('ship', { x: 0, y: 0, width: 50, height: 30.5 }, () => {});
+    assert.strictEqual(sprite.canvas.width, 100);
+    assert.strictEqual(sprite.canvas.height, 61);
+    assert.strictEqual(sprite.width, 50);
+    assert.strictEqual(sprite.height, 30.5);
+    assert.deepStrictEqual(sprite.canvas.calls[0], ['scale', 2, 2]);
+});
+
+test('Changing the density redraws sprites', () => {
+    const cache = new SpriteCache();
+    let draws = 0;
+    const bounds = { x: 0, y: 0, width: 10, height: 10 };
+    cache.get('ship', bounds, () => draws++);
+    cache.setScale(1);
+    cache.get('ship', bounds, () => draws++);
+    cache.setScale(1.5);
+    cache.get('ship', bounds, () => draws++);
+    assert.strictEqual(draws, 2);
+});
+
+test('Clear drops every sprite', () => {
+    const cache = new SpriteCache();
+    cache.get('a', { x: 0, y: 0, width: 1, height: 1 }, () => {});
+    cache.clear();
+    assert.strictEqual(cache.size, 0);
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
@@ -0,0 +1,133 @@
+/**
+ * ===========================================
+ * Viewport Module Tests
+ * ===========================================
+ * 
+ * Tests for canvas scaling.
+ * These tests verify letterbox fitting, HiDPI backing
+ * store sizes and conversion back to logical units.
+ * 
+ * Run with: node test/viewport.test.js
+ */
+
+import assert from 'assert';
+import { Viewport, fitLetterbox } from '../viewport.js';
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const testResults = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        testResults.push({ name, status: 'PASS' });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        testResults.push({ name, status: 'FAIL', error: error.message });
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+    }
+}
+
+// Minimal browser globals for the viewport
+globalThis.window = { devicePixelRatio: 1 };
+
+function makeViewport(containerWidth, containerHeight) {
+    const transforms = [];
+    const canvas = {
+        width: 600,
+        height: 500,
+        style: {},
+        getContext: () => ({ setTransform: (...args) => transforms.push(args) }),
+        getBoundingClientRect() {
+            return { left: 10, top: 20, width: parseFloat(this.style.width), height: parseFloat(this.style.height) };
+        }
+    };
+    const container = { clientWidth: containerWidth, clientHeight: containerHeight };
+    return { viewport: new Viewport(canvas, container, 600, 500), canvas, transforms };
+}
+
+// ============================================
+// Letterbox Tests
+// ============================================
+
+console.log('\n🧪 Running Viewport Module Tests\n');
+console.log('================================\n');
+console.log('Letterbox Tests:\n');
+
+test('Same aspect ratio fills the space', () => {
+    assert.deepStrictEqual(fitLetterbox(1200, 1000, 600, 500), { scale: 2, width: 1200, height: 1000 });
+});
+
+test('Wide space is pillarboxed', () => {
+    const fit = fitLetterbox(1920, 1000, 600, 500);
+    assert.strictEqual(fit.scale, 2);
+    assert.strictEqual(fit.width, 1200);
+    assert.strictEqual(fit.height, 1000);
+});
+
+test('Tall space is letterboxed', () => {
+    const fit = fitLetterbox(300, 1000, 600, 500);
+    assert.strictEqual(fit.scale, 0.5);
+    assert.strictEqual(fit.height, 250);
+});
+
+test('Unknown space falls back to 1:1', () => {
+    assert.strictEqual(fitLetterbox(0, 0, 600, 500).scale, 1);
+    assert.strictEqual(fitLetterbox(undefined, undefined, 600, 500).scale, 1);
+});
+
+// ============================================
+// Canvas Scaling Tests
+// ============================================
+
+console.log('\nCanvas Scaling Tests:\n');
+
+test('Backing store follows devicePixelRatio', () => {
+    window.devicePixelRatio = 2;
+    const { viewport, canvas, transforms } = makeViewport(900, 750);
+    viewport.fit();
+    window.devicePixelRatio = 1;
+    
+    assert.strictEqual(canvas.style.width, '900px');
+    assert.strictEqual(canvas.style.height, '750px');
+    assert.strictEqual(canvas.width, 1800);
+    assert.strictEqual(canvas.height, 1500);
+    assert.strictEqual(viewport.scale, 1.5);
+    assert.strictEqual(viewport.pixelRatio, 3);
+    assert.deepStrictEqual(transforms.pop(), [3, 0, 0, 3, 0, 0]);
+});
+
+test('Resize listeners run after fitting', () => {
+    const { viewport } = makeViewport(1200, 1000);
+    let seen = null;
+    viewport.onResize(v => { seen = v.pixelRatio; });
+    viewport.fit();
+    assert.strictEqual(seen, 2);
+});
+
+test('Pointer positions map back to logical units', () => {
+    const { viewport } = makeViewport(1200, 1000);
+    viewport.fit();
+    assert.deepStrictEqual(viewport.toLogical(10, 20), { x: 0, y: 0 });
+    assert.deepStrictEqual(viewport.toLogical(610, 520), { x: 300, y: 250 });
+});
+
+// ============================================
+// Summary
+// ============================================
+
+console.log('\n================================');
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+    console.log('Failed tests:');
+    testResults
+        .filter(r => r.status === 'FAIL')
+        .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    console.log('');
+    process.exit(1);
+}
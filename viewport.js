@@ -0,0 +1,118 @@
+/**
+ * ===========================================
+ * Viewport
+ * HiDPI, letterboxed and fullscreen canvas
+ * ===========================================
+ *
+ * The game always works in logical units (CONFIG.canvas, 600x500):
+ * the simulation, collisions, input and the renderer never see
+ * screen pixels. The viewport scales that logical playfield to the
+ * largest size that fits its container, keeping the aspect ratio
+ * (letterboxing the rest), and sizes the canvas backing store to
+ * devicePixelRatio so it stays sharp on high density displays.
+ */
+
+/**
+ * Largest uniform scale at which a logical area fits the available
+ * space, with the resulting CSS size. Falls back to 1:1 when the
+ * space is unknown (e.g. the container is hidden).
+ */
+function fitLetterbox(availableWidth, availableHeight, logicalWidth, logicalHeight) {
+    let scale = Math.min(availableWidth / logicalWidth, availableHeight / logicalHeight);
+    if (!(scale > 0) || !Number.isFinite(scale)) scale = 1;
+    return {
+        scale,
+        width: Math.floor(logicalWidth * scale),
+        height: Math.floor(logicalHeight * scale)
+    };
+}
+
+class Viewport {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to size and scale
+     * @param {HTMLElement} container - Element whose size the canvas fills
+     * @param {number} width - Logical width
+     * @param {number} height - Logical height
+     */
+    constructor(canvas, container, width, height) {
+        this.canvas = canvas;
+        this.container = container;
+        this.width = width;
+        this.height = height;
+        this.scale = 1;         // CSS pixels per logical unit
+        this.pixelRatio = 1;    // Device pixels per logical unit
+        this.resizeListeners = [];
+    }
+    
+    onResize(listener) {
+        this.resizeListeners.push(listener);
+    }
+    
+    /**
+     * Resize the canvas to its container and reset the drawing
+     * transform so callers keep drawing in logical units
+     */
+    fit() {
+        const { scale, width, height } = fitLetterbox(
+            this.container.clientWidth, this.container.clientHeight, this.width, this.height
+        );
+        const dpr = window.devicePixelRatio || 1;
+        
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        
+        this.scale = scale;
+        this.pixelRatio = this.canvas.width / this.width;
+        
+        // Resizing the backing store resets the context state
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(this.pixelRatio, 0, 0, this.canvas.height / this.height, 0, 0);
+        
+        this.resizeListeners.forEach(listener => listener(this));
+    }
+    
+    /**
+     * Refit on window resizes, zoom (devicePixelRatio changes) and
+     * fullscreen changes
+     */
+    watch() {
+        window.addEventListener('resize', () => this.fit());
+        document.addEventListener('fullscreenchange', () => {
+            document.body.classList.toggle('fullscreen', this.isFullscreen);
+            this.fit();
+        });
+    }
+    
+    /**
+     * Convert a pointer position (clientX/clientY) to logical units
+     */
+    toLogical(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * this.width / rect.width,
+            y: (clientY - rect.top) * this.height / rect.height
+        };
+    }
+    
+    get isFullscreen() {
+        return Boolean(document.fullscreenElement);
+    }
+    
+    /**
+     * Enter or leave fullscreen. Returns a promise that rejects when
+     * the browser refuses (no user gesture, or not supported).
+     */
+    toggleFullscreen() {
+        if (this.isFullscreen) {
+            return document.exitFullscreen();
+        }
+        if (!document.documentElement.requestFullscreen) {
+            return Promise.reject(new Error('Fullscreen is not supported'));
+        }
+        return document.documentElement.requestFullscreen();
+    }
+}
+
+export { Viewport, fitLetterbox };